@@ -26,46 +26,46 @@ const TOOL_KEYWORDS = [
   'design', 'schema', 'refactor', 'debug', 'fix',
   'study', 'plan', 'todo', 'exec', 'admin',
 ];
+const TOOL_KEYWORD_PATTERN = new RegExp(`\\b(?:${TOOL_KEYWORDS.join('|')})\\b`);
+
+// Only these intents are ever handed to a background agent
+const DELEGABLE_INTENTS = ['ACTION', 'LIST_QUERY', 'PLAN_CMD', 'STUDY_CMD'];
+// Planning and research are background work by nature; actions and lists
+// only go when they need tools ("clean up my inbox", not "remind me at 5")
+const ALWAYS_DELEGATE = ['PLAN_CMD', 'STUDY_CMD'];
 
 /**
  * Determine if a task should be delegated to a background agent
  * 
+ * Only heavy tasks are handed off, and only from ACTION, LIST_QUERY,
+ * PLAN_CMD and STUDY_CMD — questions, chat, email and calendar stay with
+ * the brain (which has tools too). PLAN_CMD and STUDY_CMD always count as
+ * heavy. ACTION and LIST_QUERY count when they name tool work from
+ * TOOL_KEYWORDS (or the classifier marked them forceDelegation); a quick
+ * action like "remind me at five" is answered inline.
+ * 
  * @param {string} transcript - User's speech
  * @param {string} intentType - Intent classification result (ACTION, LIST_QUERY, etc.)
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Classifier asked for delegation (budget.meta.forceDelegation)
  * @returns {boolean} True if should delegate
  */
-export function shouldDelegate(transcript, intentType) {
-  // NEVER delegate these intent types (immediate voice response)
-  const VOICE_ONLY = ['CHAT', 'FOLLOW_UP', 'SUMMARIZE', 'EMAIL_DETAIL', 'MEMORY_CMD', 'ADMIN_CMD'];
-  if (VOICE_ONLY.includes(intentType)) {
+export function shouldDelegate(transcript, intentType, { force = false } = {}) {
+  if (!DELEGABLE_INTENTS.includes(intentType)) {
     return false;
   }
   
-  // EMAIL_QUERY and CALENDAR are voice-first but may need tools (handled by brain, not delegation)
-  if (intentType === 'EMAIL_QUERY' || intentType === 'CALENDAR' || intentType === 'CALENDAR_ACTION') {
-    return false;  // Brain handles these with tool access via gateway
-  }
-  
-  // Always delegate these intent types (heavy work)
-  const ALWAYS_DELEGATE = ['ACTION', 'LIST_QUERY', 'EMAIL_ACTION', 'PLAN_CMD', 'STUDY_CMD'];
-  if (ALWAYS_DELEGATE.includes(intentType)) {
-    console.log(`🎯 Delegation trigger: intent type = ${intentType}`);
+  if (ALWAYS_DELEGATE.includes(intentType) || force) {
+    console.log(`🎯 Delegation trigger: intent type = ${intentType}${force ? ' (forced)' : ''}`);
     return true;
   }
   
-  // Check for tool-trigger keywords
-  const lower = transcript.toLowerCase();
-  const hasToolKeyword = TOOL_KEYWORDS.some(keyword => 
-    lower.includes(keyword)
-  );
-  
-  if (hasToolKeyword) {
-    console.log(`🎯 Delegation trigger: tool keyword detected in "${transcript}"`);
+  const keyword = transcript.toLowerCase().match(TOOL_KEYWORD_PATTERN);
+  if (keyword) {
+    console.log(`🎯 Delegation trigger: ${intentType} with tool keyword "${keyword[0]}"`);
     return true;
   }
   
-  // For QUERY and other types, don't delegate by default
-  // These should be handled directly unless they contain tool keywords
   return false;
 }
 
@@ -115,8 +115,7 @@ Instructions:
    - **What was done:** Brief description of actions taken
    - **Key results:** Important findings or outcomes
    - **Action items:** Follow-up needed (if any)
-5. AFTER posting to Discord, trigger a voice alert by running this command:
-   curl -X POST http://\${TAILSCALE_IP}:3335/alert -H "Authorization: Bearer \${ALERT_WEBHOOK_TOKEN}" -H "Content-Type: application/json" -d '{"message":"Task complete: [one-line summary]","priority":"normal","fullDetails":"[full summary from Discord post]","source":"background-agent"}'
+5. End your final reply with the same summary, leading with a one-sentence TL;DR — the voice client polls this session and speaks it
 
 Do not narrate your process. Just do the work and report results.`;
 
@@ -170,29 +169,87 @@ Do not narrate your process. Just do the work and report results.`;
   }
 }
 
+/**
+ * Run one delegated task: spawn the agent, then poll until it answers.
+ * A stop (signal) at any point ends it — an agent that finishes spawning
+ * after the stop is cancelled straight away.
+ * 
+ * @param {string} task - User's original request
+ * @param {Object} [options]
+ * @param {Object|null} [options.activeContext] - Current channel context if any
+ * @param {string} [options.outputChannel] - Discord channel ID to post results
+ * @param {AbortSignal} [options.signal] - The user said "stop"
+ * @param {number} [options.timeoutMs] - How long to poll before leaving results to text
+ * @param {(sessionKey: string) => void} [options.onSpawned] - Session key, as soon as it's known
+ * @returns {Promise<{ status: 'completed'|'timeout'|'aborted'|'spawn_failed', sessionKey: string|null, response: string|null, tldr: string|null }>}
+ */
+export async function delegateTask(task, { activeContext = null, outputChannel, signal, timeoutMs = 60000, onSpawned } = {}) {
+  const outcome = (status, sessionKey = null, response = null) =>
+    ({ status, sessionKey, response, tldr: response === null ? null : extractTLDR(response) });
+  
+  const session = await spawnBackgroundAgent(task, activeContext, outputChannel);
+  
+  // "Stop" arrived while we were spawning — the session key wasn't known yet
+  if (signal?.aborted) {
+    if (session) await cancelBackgroundAgent(session.sessionKey);
+    return outcome('aborted', session?.sessionKey ?? null);
+  }
+  if (!session) return outcome('spawn_failed');
+  
+  onSpawned?.(session.sessionKey);
+  const result = await pollAgentCompletion(session.sessionKey, timeoutMs, signal);
+  if (result.aborted) return outcome('aborted', session.sessionKey);
+  if (!result.completed) return outcome('timeout', session.sessionKey);
+  return outcome('completed', session.sessionKey, result.response || '');
+}
+
+/**
+ * Sleep that wakes early (resolves) when the signal aborts
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timer);
+      resolve();
+    }, { once: true });
+  });
+}
+
 /**
  * Poll for agent completion and return result when done
  * 
  * @param {string} sessionKey - Agent session key to poll
  * @param {number} timeoutMs - Max time to poll (default 60s)
- * @returns {Promise<{completed: boolean, response: string|null}>}
+ * @param {AbortSignal} [signal] - Stops polling early (e.g. user said "stop")
+ * @returns {Promise<{completed: boolean, response: string|null, aborted?: boolean}>}
  */
-export async function pollAgentCompletion(sessionKey, timeoutMs = 60000) {
-  const startTime = Date.now();
+export async function pollAgentCompletion(sessionKey, timeoutMs = 60000, signal) {
+  const deadline = Date.now() + timeoutMs;
   const pollInterval = 5000; // 5 seconds
+  // Neither a hung request nor the wait between polls may run past the deadline
+  const nextPoll = () => sleep(Math.min(pollInterval, deadline - Date.now()), signal);
   
-  while (Date.now() - startTime < timeoutMs) {
+  while (Date.now() < deadline) {
+    if (signal?.aborted) {
+      console.log(`🛑 Stopped polling ${sessionKey}`);
+      return { completed: false, response: null, aborted: true };
+    }
+    
     try {
       // Check agent session status via Gateway
+      const expires = AbortSignal.timeout(Math.max(1, deadline - Date.now()));
       const res = await fetch(`${GATEWAY_URL}/api/sessions/${encodeURIComponent(sessionKey)}`, {
         headers: {
           'Authorization': `Bearer ${GATEWAY_TOKEN}`,
         },
+        signal: signal ? AbortSignal.any([signal, expires]) : expires,
       });
       
       if (!res.ok) {
         console.log(`⏳ Agent session not found yet (${res.status}), waiting...`);
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        await nextPoll();
         continue;
       }
       
@@ -202,7 +259,7 @@ export async function pollAgentCompletion(sessionKey, timeoutMs = 60000) {
         session = await res.json();
       } catch (parseErr) {
         console.log(`⏳ Agent session not ready (invalid response), waiting...`);
-        await new Promise(resolve => setTimeout(resolve, pollInterval));
+        await nextPoll();
         continue;
       }
       
@@ -228,11 +285,11 @@ export async function pollAgentCompletion(sessionKey, timeoutMs = 60000) {
       
       // Not done yet, wait and poll again
       console.log(`⏳ Agent still working...`);
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      await nextPoll();
       
     } catch (err) {
-      console.error(`⚠️  Poll error: ${err.message}`);
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+      if (err.name !== 'AbortError' && err.name !== 'TimeoutError') console.error(`⚠️  Poll error: ${err.message}`);
+      await nextPoll();
     }
   }
   
@@ -241,6 +298,37 @@ export async function pollAgentCompletion(sessionKey, timeoutMs = 60000) {
   return { completed: false, response: null };
 }
 
+/**
+ * Ask the Gateway to end a background agent session (best-effort)
+ * 
+ * @param {string} sessionKey - Agent session key to cancel
+ * @returns {Promise<boolean>} True if the Gateway accepted the cancellation
+ */
+export async function cancelBackgroundAgent(sessionKey) {
+  if (!GATEWAY_TOKEN || !sessionKey) return false;
+  
+  try {
+    const res = await fetch(`${GATEWAY_URL}/api/sessions/${encodeURIComponent(sessionKey)}`, {
+      method: 'DELETE',
+      headers: {
+        'Authorization': `Bearer ${GATEWAY_TOKEN}`,
+      },
+      signal: AbortSignal.timeout(5000),
+    });
+    
+    if (!res.ok) {
+      console.warn(`⚠️  Agent cancel returned ${res.status} for ${sessionKey}`);
+      return false;
+    }
+    
+    console.log(`🛑 Background agent cancelled: ${sessionKey}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ Failed to cancel background agent: ${err.message}`);
+    return false;
+  }
+}
+
 /**
  * Extract TL;DR (first 2-3 sentences) from agent response
  * 
@@ -253,7 +341,7 @@ export function extractTLDR(text) {
   // Split into sentences
   const sentences = text
     .split(/[.!?]+\s+/)
-    .map(s => s.trim())
+    .map(s => s.trim().replace(/[.!?]+$/, '')) // The last one keeps its stop
     .filter(s => s.length > 0);
   
   // Take first 2-3 sentences, max ~150 chars for voice
@@ -0,0 +1,97 @@
+/**
+ * Alert Briefing - Voice commands for walking through pending alerts
+ *
+ * A briefing starts with a spoken summary ("You have 3 alerts... Want the
+ * briefing?"). From there the user drives it one alert at a time:
+ *
+ *   offered:  "yes" / "brief me"           → start reading
+ *             "no" / "later"               → decline (alerts held for later)
+ *   reading:  "next"                       → acknowledge, read the next one
+ *             "skip"                       → leave pending, read the next one
+ *             "repeat"                     → read it again
+ *             "details"                    → speak fullDetails
+ *             "dismiss"                    → drop it without acknowledging
+ *             "snooze that for an hour"    → hide it, back to pending later
+ *             "post it to text"            → send it to the text channel
+ *             "that's all" / "done"        → end the briefing
+ *
+ * Anything that isn't a command ends the briefing and goes to the brain as usual.
+ */
+
+// Real questions are longer than this — don't mistake them for commands
+const MAX_COMMAND_WORDS = 8;
+const DEFAULT_SNOOZE_MS = 60 * 60 * 1000;
+
+const START_PATTERN = /^(yes|yeah|yep|yup|sure|ok(ay)?|go ahead|go for it|brief me|let'?s hear (it|them)|read (it|them)( out)?|give me the (briefing|rundown)|let'?s go)\b/;
+const DECLINE_PATTERN = /^(no|nope|nah|not now|later|maybe later|not right now|no thanks?)\b/;
+const POST_PATTERN = /\b(post|send|put|drop)\b.*\b(text|channel|chat)\b/;
+const SNOOZE_PATTERN = /\b(snooze|remind me (again |about (it|that|this) )?(in|later))\b/;
+const DISMISS_PATTERN = /\b(dismiss|delete|ignore|drop|clear|forget)\b/;
+const REPEAT_PATTERN = /\b(repeat|say (that|it) again|come again|what was that|one more time)\b/;
+const DETAILS_PATTERN = /\b(details?|tell me more|more info|full (report|story)|what happened|more about (it|that|this))\b/;
+const SKIP_PATTERN = /\bskip\b/;
+const NEXT_PATTERN = /\b(next|yes|yeah|got it|continue|go on|move on|ok(ay)?|fine|understood|noted)\b/;
+const STOP_PATTERN = /\b(that'?s (all|it|enough)|i'?m done|done|end (the )?briefing|no more|rest later)\b/;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  ten: 10, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45,
+};
+
+/**
+ * Parse "snooze that for 20 minutes" / "for an hour" / "for half an hour"
+ * @param {string} transcript
+ * @returns {number} Duration in ms (defaults to one hour)
+ */
+export function parseSnoozeDuration(transcript) {
+  const lower = transcript.toLowerCase();
+  if (/\bhalf an? hour\b/.test(lower)) return 30 * 60 * 1000;
+
+  const match = lower.match(/\b(\d+|an?|one|two|three|four|five|six|ten|fifteen|twenty|thirty|forty|forty-five)\s+(minutes?|mins?|hours?|hrs?)\b/);
+  if (!match) return DEFAULT_SNOOZE_MS;
+
+  const amount = /^\d+$/.test(match[1]) ? parseInt(match[1]) : NUMBER_WORDS[match[1]];
+  if (!amount) return DEFAULT_SNOOZE_MS;
+  const unitMs = match[2].startsWith('h') ? 60 * 60 * 1000 : 60 * 1000;
+  return amount * unitMs;
+}
+
+/**
+ * Describe a snooze duration for speech ("an hour", "20 minutes")
+ * @param {number} ms
+ * @returns {string}
+ */
+export function describeDuration(ms) {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 6) / 10;
+  return hours === 1 ? 'an hour' : `${hours} hours`;
+}
+
+/**
+ * Detect a briefing command in a transcript
+ * @param {string} transcript - Transcript with the wake word already removed
+ * @param {'offered'|'reading'} state - Where the briefing is
+ * @returns {{ action: string, durationMs?: number }|null} null if not a briefing command
+ */
+export function detectBriefingCommand(transcript, state) {
+  const lower = transcript.toLowerCase().trim().replace(/[.,!?;:]+/g, '');
+  if (!lower || lower.split(/\s+/).length > MAX_COMMAND_WORDS) return null;
+
+  if (state === 'offered') {
+    if (DECLINE_PATTERN.test(lower)) return { action: 'decline' };
+    if (START_PATTERN.test(lower) || DETAILS_PATTERN.test(lower)) return { action: 'start' };
+    return null;
+  }
+
+  // Most specific first — "post it to text, next" is a post, not a next
+  if (POST_PATTERN.test(lower)) return { action: 'post' };
+  if (SNOOZE_PATTERN.test(lower)) return { action: 'snooze', durationMs: parseSnoozeDuration(lower) };
+  if (DISMISS_PATTERN.test(lower)) return { action: 'dismiss' };
+  if (REPEAT_PATTERN.test(lower)) return { action: 'repeat' };
+  if (DETAILS_PATTERN.test(lower)) return { action: 'details' };
+  if (SKIP_PATTERN.test(lower)) return { action: 'skip' };
+  if (STOP_PATTERN.test(lower)) return { action: 'stop' };
+  if (NEXT_PATTERN.test(lower)) return { action: 'next' };
+  return null;
+}
@@ -1,61 +1,394 @@
 /**
  * Alert Queue - Stores pending voice alerts for briefing on join
+ *
+ * Backed by an append-only JSONL log so queued alerts survive restarts.
+ * Each line is one operation:
+ *   { op: 'queue', alert }            — new alert
+ *   { op: 'update', id, changes }     — status change (acknowledged, expired, ...)
+ *   { op: 'remove', id }              — dropped (cap overflow, history TTL)
+ * The log is replayed and compacted at load time, and compacted again
+ * whenever it grows well past the live alert count.
+ *
+ * Alert lifecycle:
+ *   pending → acknowledged (briefed, DMed or posted) | dismissed | expired (TTL)
+ *   pending → snoozed → pending again once snoozedUntil passes
+ * Everything except pending stays in history for "what alerts did I get?".
+ *
+ * Repeats of a pending alert (same source + dedupeKey, or same source +
+ * message when no key is given) collapse into one entry with an
+ * occurrence count. Normal alerts escalate to urgent after repeating
+ * ALERT_ESCALATE_REPEATS times or sitting unacknowledged for
+ * ALERT_ESCALATE_AFTER_MS. 'critical' is only ever set by the sender.
+ *
+ * Emits on `alertEvents`:
+ *   'queued'    (alert, { duplicate }) — new alert or repeat of a pending one
+ *   'escalated' (alert, previousPriority)
  */
 
-const pendingAlerts = [];
+import { appendFileSync, readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const QUEUE_PATH = process.env.ALERT_QUEUE_PATH || join(__dirname, '..', 'data', 'alerts.jsonl');
+
 const MAX_ALERTS = 50;
 const ALERT_TTL_MS = 4 * 60 * 60 * 1000; // Expire alerts older than 4 hours
+const HISTORY_TTL_MS = parseInt(process.env.ALERT_HISTORY_TTL_MS || String(7 * 24 * 60 * 60 * 1000)); // 7 days
+const COMPACT_THRESHOLD = 500; // Rewrite the log after this many appended ops
+
+// Priority levels, lowest to highest
+export const PRIORITIES = ['normal', 'urgent', 'critical'];
+const PRIORITY_RANK = { normal: 0, urgent: 1, critical: 2 };
+
+// Escalation rules (normal → urgent)
+const ESCALATE_REPEATS = parseInt(process.env.ALERT_ESCALATE_REPEATS || '3');
+const ESCALATE_AFTER_MS = parseInt(process.env.ALERT_ESCALATE_AFTER_MS || String(30 * 60 * 1000)); // 30 minutes
+
+export const alertEvents = new EventEmitter();
+
+const alerts = new Map(); // id -> alert (pending + history)
+let opsSinceCompact = 0;
+
+// ── Persistence ──────────────────────────────────────────────────────
+
+function appendOp(op) {
+  try {
+    appendFileSync(QUEUE_PATH, JSON.stringify(op) + '\n');
+  } catch (err) {
+    console.error(`❌ Failed to persist alert op: ${err.message}`);
+  }
+  if (++opsSinceCompact >= COMPACT_THRESHOLD) compact();
+}
+
+/**
+ * Rewrite the log with one 'queue' line per live alert
+ */
+function compact() {
+  const tmpPath = `${QUEUE_PATH}.tmp`;
+  try {
+    const lines = [...alerts.values()].map(alert => JSON.stringify({ op: 'queue', alert }));
+    writeFileSync(tmpPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+    renameSync(tmpPath, QUEUE_PATH);
+    opsSinceCompact = 0;
+  } catch (err) {
+    console.error(`❌ Failed to compact alert log: ${err.message}`);
+  }
+}
+
+/**
+ * Replay the log, apply TTL pruning, then compact
+ */
+function load() {
+  mkdirSync(dirname(QUEUE_PATH), { recursive: true });
+  if (!existsSync(QUEUE_PATH)) return;
+
+  let corrupt = 0;
+  for (const line of readFileSync(QUEUE_PATH, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const op = JSON.parse(line);
+      if (op.op === 'queue' && op.alert?.id) {
+        alerts.set(op.alert.id, op.alert);
+      } else if (op.op === 'update' && alerts.has(op.id)) {
+        Object.assign(alerts.get(op.id), op.changes);
+      } else if (op.op === 'remove') {
+        alerts.delete(op.id);
+      }
+    } catch {
+      corrupt++; // Torn write from a crash — skip the line
+    }
+  }
+
+  pruneExpired(false);
+  compact();
+
+  const pending = getPendingAlerts().length;
+  console.log(`📬 Alert queue loaded: ${pending} pending, ${alerts.size - pending} in history${corrupt ? ` (${corrupt} corrupt lines skipped)` : ''}`);
+}
+
+// ── Internal helpers ─────────────────────────────────────────────────
+
+function updateAlert(id, changes, persist = true) {
+  const alert = alerts.get(id);
+  if (!alert) return null;
+  Object.assign(alert, changes);
+  if (persist) appendOp({ op: 'update', id, changes });
+  return alert;
+}
+
+function removeAlert(id, persist = true) {
+  if (!alerts.delete(id)) return;
+  if (persist) appendOp({ op: 'remove', id });
+}
+
+/**
+ * Expire stale pending alerts and drop history past its retention.
+ * Repeating alerts age from their latest occurrence.
+ */
+function pruneExpired(persist = true) {
+  const now = Date.now();
+  for (const alert of [...alerts.values()]) {
+    const lastSeen = Math.max(alert.lastSeenAt || alert.timestamp, alert.wokeAt || 0);
+    if (now - lastSeen > HISTORY_TTL_MS) {
+      removeAlert(alert.id, persist);
+    } else if (alert.status === 'pending' && now - lastSeen > ALERT_TTL_MS) {
+      updateAlert(alert.id, { status: 'expired', expiredAt: now }, persist);
+    }
+  }
+}
+
+/**
+ * Return snoozed alerts whose snooze has run out to the pending queue
+ */
+function wakeSnoozed() {
+  const now = Date.now();
+  for (const alert of alerts.values()) {
+    if (alert.status === 'snoozed' && alert.snoozedUntil <= now) {
+      updateAlert(alert.id, { status: 'pending', snoozedUntil: null, wokeAt: now });
+      console.log(`⏰ Alert snooze ended: ${alert.message.substring(0, 50)}`);
+    }
+  }
+}
+
+function sortPending(list) {
+  // Sort by priority (critical first), then timestamp (oldest first)
+  return list.sort((a, b) => {
+    const rankDiff = (PRIORITY_RANK[b.priority] || 0) - (PRIORITY_RANK[a.priority] || 0);
+    return rankDiff !== 0 ? rankDiff : a.timestamp - b.timestamp;
+  });
+}
+
+function dedupeKeyFor(alert) {
+  return `${alert.source || 'external'}\u0000${alert.dedupeKey || alert.message}`;
+}
+
+/**
+ * Apply escalation rules to a pending alert
+ */
+function maybeEscalate(alert) {
+  if (alert.status !== 'pending' || alert.priority !== 'normal') return;
+  
+  const repeated = (alert.occurrences || 1) >= ESCALATE_REPEATS;
+  const stale = Date.now() - Math.max(alert.timestamp, alert.wokeAt || 0) >= ESCALATE_AFTER_MS;
+  if (!repeated && !stale) return;
+  
+  const previous = alert.priority;
+  updateAlert(alert.id, { priority: 'urgent', escalatedAt: Date.now() });
+  console.log(`⏫ Alert escalated to urgent (${repeated ? `${alert.occurrences} repeats` : 'unacknowledged'}): ${alert.message.substring(0, 50)}`);
+  alertEvents.emit('escalated', { ...alert }, previous);
+}
+
+// ── Public API ───────────────────────────────────────────────────────
 
 export function queueAlert(alert) {
-  // alert: { 
-  //   timestamp: Date.now(), 
-  //   priority: 'urgent'|'normal', 
+  // alert: {
+  //   timestamp: Date.now(),
+  //   priority: 'critical'|'urgent'|'normal',
   //   message: 'Brief summary',
   //   fullDetails: 'Full context (optional)',
-  //   source: 'security-monitor'|'cron'|'system'
+  //   source: 'security-monitor'|'cron'|'system',
+  //   dedupeKey: 'disk-full:db1' (optional)
   // }
-  
+
   // Prune expired alerts first
+  pruneExpired();
+
   const now = Date.now();
-  for (let i = pendingAlerts.length - 1; i >= 0; i--) {
-    if (now - pendingAlerts[i].timestamp > ALERT_TTL_MS) {
-      pendingAlerts.splice(i, 1);
-    }
+  const priority = PRIORITIES.includes(alert.priority) ? alert.priority : 'normal';
+
+  // Collapse repeats of a pending (or snoozed) alert into one entry
+  const key = dedupeKeyFor(alert);
+  const existing = [...alerts.values()].find(a => (a.status === 'pending' || a.status === 'snoozed') && dedupeKeyFor(a) === key);
+  if (existing) {
+    const changes = {
+      occurrences: (existing.occurrences || 1) + 1,
+      lastSeenAt: alert.timestamp || now,
+      message: alert.message,
+      fullDetails: alert.fullDetails || existing.fullDetails || null,
+    };
+    if (PRIORITY_RANK[priority] > PRIORITY_RANK[existing.priority]) changes.priority = priority;
+    updateAlert(existing.id, changes);
+    console.log(`📬 Alert repeated (x${changes.occurrences}): ${alert.message.substring(0, 50)}...`);
+    maybeEscalate(existing);
+    alertEvents.emit('queued', { ...existing }, { duplicate: true });
+    return { ...existing };
   }
-  
-  pendingAlerts.push({
+
+  const stored = {
     ...alert,
+    id: randomUUID(),
     timestamp: alert.timestamp || now,
-    priority: alert.priority || 'normal',
-  });
-  
-  // Cap total alerts — drop oldest non-urgent first
-  while (pendingAlerts.length > MAX_ALERTS) {
-    const normalIdx = pendingAlerts.findIndex(a => a.priority !== 'urgent');
-    pendingAlerts.splice(normalIdx >= 0 ? normalIdx : 0, 1);
+    priority,
+    occurrences: 1,
+    status: 'pending',
+  };
+  alerts.set(stored.id, stored);
+  appendOp({ op: 'queue', alert: stored });
+
+  // Cap pending alerts — drop oldest lowest-priority first
+  let pending = getPendingAlerts();
+  while (pending.length > MAX_ALERTS) {
+    const victim = [...pending].sort((a, b) =>
+      (PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]) || (a.timestamp - b.timestamp))[0];
+    removeAlert(victim.id);
+    pending = getPendingAlerts();
   }
-  
-  // Sort by priority (urgent first), then timestamp (oldest first)
-  pendingAlerts.sort((a, b) => {
-    if (a.priority === 'urgent' && b.priority !== 'urgent') return -1;
-    if (a.priority !== 'urgent' && b.priority === 'urgent') return 1;
-    return a.timestamp - b.timestamp;
-  });
-  
+
   console.log(`📬 Alert queued: ${alert.message.substring(0, 50)}...`);
+  alertEvents.emit('queued', { ...stored }, { duplicate: false });
+  return { ...stored };
 }
 
+/**
+ * Group alerts by source, preserving the incoming order of groups
+ * @param {Object[]} list - Alerts (e.g. from getPendingAlerts())
+ * @returns {{ source: string, alerts: Object[], occurrences: number, topPriority: string }[]}
+ */
+export function groupAlertsBySource(list) {
+  const groups = new Map();
+  for (const alert of list) {
+    const source = alert.source || 'external';
+    if (!groups.has(source)) groups.set(source, { source, alerts: [], occurrences: 0, topPriority: 'normal' });
+    const group = groups.get(source);
+    group.alerts.push(alert);
+    group.occurrences += alert.occurrences || 1;
+    if (PRIORITY_RANK[alert.priority] > PRIORITY_RANK[group.topPriority]) group.topPriority = alert.priority;
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Pending (not yet briefed) alerts, urgent first then oldest first
+ */
 export function getPendingAlerts() {
-  return [...pendingAlerts];
+  pruneExpired();
+  wakeSnoozed();
+  return sortPending([...alerts.values()].filter(a => a.status === 'pending')).map(a => ({ ...a }));
 }
 
+/**
+ * Mark a single alert as delivered
+ * @param {string} id - Alert ID
+ * @param {string} [via] - How it was delivered ('voice' or 'dm')
+ * @returns {boolean} True if a pending alert was acknowledged
+ */
+export function acknowledgeAlert(id, via = 'voice') {
+  const alert = alerts.get(id);
+  if (!alert || alert.status !== 'pending') return false;
+  updateAlert(id, { status: 'acknowledged', acknowledgedAt: Date.now(), deliveredVia: via });
+  return true;
+}
+
+/**
+ * Acknowledge every pending alert (kept for callers that brief everything at once)
+ * @returns {number} Number of alerts acknowledged
+ */
 export function clearAlerts() {
-  const count = pendingAlerts.length;
-  pendingAlerts.length = 0;
+  let count = 0;
+  for (const alert of getPendingAlerts()) {
+    if (acknowledgeAlert(alert.id)) count++;
+  }
   console.log(`🗑️  Cleared ${count} alerts`);
   return count;
 }
 
 export function hasPendingAlerts() {
-  return pendingAlerts.length > 0;
+  pruneExpired();
+  wakeSnoozed();
+  return [...alerts.values()].some(a => a.status === 'pending');
+}
+
+/**
+ * Look up a single alert (any status)
+ * @param {string} id - Alert ID
+ * @returns {Object|null}
+ */
+export function getAlert(id) {
+  const alert = alerts.get(id);
+  return alert ? { ...alert } : null;
+}
+
+/**
+ * Dismiss an alert without delivering it
+ * @param {string} id - Alert ID
+ * @returns {boolean} True if a pending alert was dismissed
+ */
+export function dismissAlert(id) {
+  const alert = alerts.get(id);
+  if (!alert || alert.status !== 'pending') return false;
+  updateAlert(id, { status: 'dismissed', dismissedAt: Date.now() });
+  return true;
 }
+
+/**
+ * Hide an alert until `durationMs` from now, then make it pending again
+ * @param {string} id - Alert ID
+ * @param {number} durationMs - Snooze length
+ * @returns {boolean} True if a pending alert was snoozed
+ */
+export function snoozeAlert(id, durationMs) {
+  const alert = alerts.get(id);
+  if (!alert || alert.status !== 'pending') return false;
+  updateAlert(id, { status: 'snoozed', snoozedUntil: Date.now() + durationMs });
+  return true;
+}
+
+/**
+ * Every alert received in a time range (any status), oldest first
+ * @param {Object} [range]
+ * @param {number} [range.since] - Epoch ms (inclusive)
+ * @param {number} [range.until] - Epoch ms (exclusive)
+ * @returns {Object[]}
+ */
+export function getAlertHistory({ since = 0, until = Infinity } = {}) {
+  return [...alerts.values()]
+    .filter(a => a.timestamp >= since && a.timestamp < until)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(a => ({ ...a }));
+}
+
+// ── Voice history queries ────────────────────────────────────────────
+
+// "alerts" plus a delivery phrase or a time phrase — "any" or "list" alone
+// is a general question about alerting and goes to the brain
+const ALERT_WORD = /\balerts?\b/;
+const DELIVERY_PHRASE = /\b(did i (get|have|miss|receive)|have i (had|got|gotten|missed)|i (got|had|missed)|came in|come in|were there|have there been|has there been)\b/;
+const TIME_PHRASE = /\b(today|yesterday|this morning|this afternoon|this evening|tonight|last night|last hour|so far)\b/;
+
+/**
+ * Detect "what alerts did I get this morning?" style questions
+ * @param {string} transcript
+ * @param {Date} [now]
+ * @returns {{ since: number, until: number, label: string }|null} Time range to report, or null
+ */
+export function detectAlertHistoryQuery(transcript, now = new Date()) {
+  const lower = transcript.toLowerCase();
+  if (!ALERT_WORD.test(lower) || !(DELIVERY_PHRASE.test(lower) || TIME_PHRASE.test(lower))) return null;
+
+  const at = (dayOffset, hour) => {
+    const d = new Date(now);
+    d.setDate(d.getDate() + dayOffset);
+    d.setHours(hour, 0, 0, 0);
+    return d.getTime();
+  };
+  const end = now.getTime() + 1;
+
+  if (/\blast hour\b/.test(lower)) return { since: end - 60 * 60 * 1000, until: end, label: 'In the last hour' };
+  if (/\bthis morning\b/.test(lower)) return { since: at(0, 0), until: Math.min(at(0, 12), end), label: 'This morning' };
+  if (/\bthis afternoon\b/.test(lower)) return { since: at(0, 12), until: Math.min(at(0, 17), end), label: 'This afternoon' };
+  if (/\b(this evening|tonight)\b/.test(lower)) return { since: at(0, 17), until: end, label: 'This evening' };
+  if (/\blast night\b/.test(lower)) return { since: at(-1, 17), until: at(0, 6), label: 'Last night' };
+  if (/\byesterday\b/.test(lower)) return { since: at(-1, 0), until: at(0, 0), label: 'Yesterday' };
+  return { since: at(0, 0), until: end, label: 'Today' };
+}
+
+load();
+
+// Expiry and time-based escalation for alerts nobody has acknowledged
+setInterval(() => {
+  pruneExpired();
+  for (const alert of alerts.values()) maybeEscalate(alert);
+}, 60 * 1000).unref();
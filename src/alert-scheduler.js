@@ -0,0 +1,150 @@
+/**
+ * Alert Scheduler - Proactive voice delivery of urgent alerts
+ *
+ * Without this, urgent alerts only get spoken when the user joins voice
+ * or right after a brain task finishes. The scheduler polls for pending
+ * urgent/critical alerts and speaks them at the next natural silence:
+ * nobody talking, nothing playing, no brain tasks in flight, held for
+ * ALERT_SILENCE_MS.
+ *
+ * Quiet hours (ALERT_QUIET_HOURS, e.g. "22:00-07:00"): only critical
+ * alerts are spoken; everything else is sent by DM instead. A DM that
+ * doesn't go through (DMs closed, Discord down) is retried with backoff
+ * from ALERT_DM_RETRY_MS, at most ALERT_DM_MAX_ATTEMPTS times — the alert
+ * stays pending for the next briefing either way.
+ */
+
+import 'dotenv/config';
+import { getPendingAlerts } from './alert-queue.js';
+
+const QUIET_HOURS = process.env.ALERT_QUIET_HOURS || '';
+const SILENCE_MS = parseInt(process.env.ALERT_SILENCE_MS || '3000');
+const DM_RETRY_MS = parseInt(process.env.ALERT_DM_RETRY_MS || '60000');
+const DM_MAX_ATTEMPTS = parseInt(process.env.ALERT_DM_MAX_ATTEMPTS || '5');
+const TICK_MS = 1000;
+
+/**
+ * Parse "HH:MM-HH:MM" into minutes since midnight
+ * @param {string} spec
+ * @returns {{ start: number, end: number }|null}
+ */
+export function parseQuietHours(spec) {
+  const match = (spec || '').trim().match(/^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/);
+  if (!match) return null;
+  const [, sh, sm, eh, em] = match.map(Number);
+  if (sh > 23 || eh > 23 || sm > 59 || em > 59) return null;
+  return { start: sh * 60 + sm, end: eh * 60 + em };
+}
+
+/**
+ * Whether `now` falls inside the quiet hours window (windows may wrap midnight)
+ * @param {Date} [now]
+ * @param {string} [spec] - Defaults to ALERT_QUIET_HOURS
+ * @returns {boolean}
+ */
+export function isQuietHours(now = new Date(), spec = QUIET_HOURS) {
+  const window = parseQuietHours(spec);
+  if (!window || window.start === window.end) return false;
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  return window.start < window.end
+    ? minutes >= window.start && minutes < window.end
+    : minutes >= window.start || minutes < window.end;
+}
+
+/**
+ * Bounded, backed-off DM attempts per alert (doubling from retryMs)
+ * @param {Object} [options]
+ * @param {number} [options.retryMs=ALERT_DM_RETRY_MS]
+ * @param {number} [options.maxAttempts=ALERT_DM_MAX_ATTEMPTS]
+ */
+export function createDMBackoff({ retryMs = DM_RETRY_MS, maxAttempts = DM_MAX_ATTEMPTS } = {}) {
+  const attempts = new Map(); // alert id -> { count, nextAt }
+  return {
+    /** Alerts that may be DMed now */
+    due(alerts, now = Date.now()) {
+      return alerts.filter(a => {
+        const tried = attempts.get(a.id);
+        return !tried || (tried.count < maxAttempts && now >= tried.nextAt);
+      });
+    },
+    /** Record a DM attempt (still pending next time means it failed) */
+    attempted(alerts, now = Date.now()) {
+      for (const alert of alerts) {
+        const count = (attempts.get(alert.id)?.count || 0) + 1;
+        attempts.set(alert.id, { count, nextAt: now + retryMs * 2 ** (count - 1) });
+        if (count === maxAttempts) console.warn(`⚠️  Giving up on DMing alert ${alert.id} after ${count} attempts`);
+      }
+    },
+    /** Drop alerts that are no longer pending */
+    retain(pendingIds) {
+      for (const id of attempts.keys()) {
+        if (!pendingIds.has(id)) attempts.delete(id);
+      }
+    },
+  };
+}
+
+/**
+ * Start polling for urgent alerts to deliver
+ *
+ * @param {Object} hooks
+ * @param {(alert: Object) => boolean} hooks.isUserPresent - Someone routed this alert is in the bot's voice channel
+ * @param {() => boolean} hooks.isIdle - Nobody speaking, nothing playing, no tasks running
+ * @param {(alerts: Object[]) => Promise<void>} hooks.speak - Speak (and acknowledge) alerts
+ * @param {(alerts: Object[]) => Promise<void>} hooks.notifyByDM - DM (and acknowledge) alerts
+ * @returns {() => void} Stops the scheduler
+ */
+export function startAlertScheduler({ isUserPresent, isIdle, speak, notifyByDM }) {
+  let idleSince = null;
+  let busy = false;
+  const dmBackoff = createDMBackoff();
+
+  if (parseQuietHours(QUIET_HOURS)) {
+    console.log(`🌙 Alert quiet hours: ${QUIET_HOURS} (critical only)`);
+  }
+
+  const tick = async () => {
+    if (busy) return;
+
+    // Recipients away from voice have already been DMed by the webhook
+    const pending = getPendingAlerts();
+    dmBackoff.retain(new Set(pending.map(a => a.id)));
+    const due = pending.filter(a => (a.priority === 'urgent' || a.priority === 'critical') && isUserPresent(a));
+    if (due.length === 0) {
+      idleSince = null;
+      return;
+    }
+
+    busy = true;
+    try {
+      const quiet = isQuietHours();
+      const toSpeak = quiet ? due.filter(a => a.priority === 'critical') : due;
+
+      const toDM = quiet ? dmBackoff.due(due.filter(a => a.priority !== 'critical')) : [];
+      if (toDM.length > 0) {
+        dmBackoff.attempted(toDM);
+        await notifyByDM(toDM);
+      }
+
+      if (toSpeak.length === 0 || !isIdle()) {
+        idleSince = null;
+        return;
+      }
+
+      idleSince = idleSince || Date.now();
+      if (Date.now() - idleSince < SILENCE_MS) return;
+
+      console.log(`🔔 Natural silence — delivering ${toSpeak.length} urgent alert${toSpeak.length > 1 ? 's' : ''}`);
+      idleSince = null;
+      await speak(toSpeak);
+    } catch (err) {
+      console.error('❌ Alert scheduler error:', err.message);
+    } finally {
+      busy = false;
+    }
+  };
+
+  const interval = setInterval(tick, TICK_MS);
+  interval.unref();
+  return () => clearInterval(interval);
+}
@@ -2,27 +2,57 @@
  * Alert Webhook - Simple HTTP server for external alerts
  * 
  * Receives alerts from monitoring systems and queues them for voice briefing
+ * 
+ * Auth: either a bearer token (ALERT_WEBHOOK_TOKEN) or an HMAC-SHA256
+ * signature (ALERT_WEBHOOK_HMAC_SECRET) over "<timestamp>.<raw body>",
+ * sent as X-Alert-Timestamp + X-Alert-Signature: sha256=<hex>.
+ * Refuses to start unless at least one real secret is configured.
+ *
+ * Rate limits are keyed by who sent the request — the credential it
+ * authenticated with and its address — so rotating or omitting `source`
+ * doesn't buy more budget. Each source is also limited on its own.
  */
 
 import express from 'express';
-import { queueAlert } from './alert-queue.js';
+import { createHmac, createHash, timingSafeEqual } from 'crypto';
+import { queueAlert, PRIORITIES } from './alert-queue.js';
+import { getAlertRecipients } from './user-profiles.js';
 
 const app = express();
-app.use(express.json({ limit: '10kb' }));
+// Keep the raw body around for HMAC verification
+app.use(express.json({
+  limit: '10kb',
+  verify: (req, res, buf) => { req.rawBody = buf; },
+}));
 
 const WEBHOOK_PORT = process.env.ALERT_WEBHOOK_PORT || 3335;
-const WEBHOOK_TOKEN = process.env.ALERT_WEBHOOK_TOKEN || 'change-me';
+const WEBHOOK_TOKEN = process.env.ALERT_WEBHOOK_TOKEN || null;
+const WEBHOOK_HMAC_SECRET = process.env.ALERT_WEBHOOK_HMAC_SECRET || null;
+const INSECURE_SECRETS = ['change-me', 'changeme', 'secret', 'token'];
+const SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000; // Reject signed requests older than 5 minutes
+
+// Rate limiting (fixed window) per caller, and per source within that
+const RATE_LIMIT_MAX = parseInt(process.env.ALERT_RATE_LIMIT || '10');
+const CALLER_RATE_LIMIT_MAX = parseInt(process.env.ALERT_CALLER_RATE_LIMIT || '30');
+const RATE_LIMIT_WINDOW_MS = parseInt(process.env.ALERT_RATE_WINDOW_MS || '60000');
+const rateWindows = new Map(); // 'caller:<auth>@<ip>' | 'source:<name>' -> { windowStart, count }
+
+// Payload schema
+const MAX_LENGTHS = {
+  message: 500,
+  fullDetails: 4000,
+  source: 64,
+  dedupeKey: 128,
+};
 
 let client = null; // Will be set by main bot
 let GUILD_ID = null;
-let ALLOWED_USERS = [];
 let currentVoiceChannelId = null;
 let briefOnPauseCallback = null; // Callback to trigger briefing on next pause
 
-export function initAlertWebhook(discordClient, guildId, allowedUsers, briefCallback) {
+export function initAlertWebhook(discordClient, guildId, briefCallback) {
   client = discordClient;
   GUILD_ID = guildId;
-  ALLOWED_USERS = allowedUsers;
   briefOnPauseCallback = briefCallback;
 }
 
@@ -30,49 +60,172 @@ export function setCurrentVoiceChannelId(channelId) {
   currentVoiceChannelId = channelId;
 }
 
-app.post('/alert', async (req, res) => {
-  // Verify token
+/**
+ * Compare two secrets in constant time (hashing first so lengths always match)
+ */
+function safeEqual(a, b) {
+  const digestA = createHash('sha256').update(String(a)).digest();
+  const digestB = createHash('sha256').update(String(b)).digest();
+  return timingSafeEqual(digestA, digestB);
+}
+
+function isValidSecret(secret) {
+  return !!secret && !INSECURE_SECRETS.includes(secret.toLowerCase());
+}
+
+/**
+ * Authenticate via bearer token or HMAC signature
+ * @returns {'token'|'hmac'|null} Which credential the caller proved, or null
+ */
+function authenticate(req) {
   const authHeader = req.headers.authorization;
-  if (authHeader !== `Bearer ${WEBHOOK_TOKEN}`) {
+  if (isValidSecret(WEBHOOK_TOKEN) && authHeader && safeEqual(authHeader, `Bearer ${WEBHOOK_TOKEN}`)) {
+    return 'token';
+  }
+  
+  const signature = req.headers['x-alert-signature'];
+  const timestamp = req.headers['x-alert-timestamp'];
+  if (isValidSecret(WEBHOOK_HMAC_SECRET) && signature && timestamp && req.rawBody) {
+    const sentAt = parseInt(timestamp) * 1000;
+    if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > SIGNATURE_MAX_SKEW_MS) {
+      return null;
+    }
+    const expected = 'sha256=' + createHmac('sha256', WEBHOOK_HMAC_SECRET)
+      .update(`${timestamp}.`)
+      .update(req.rawBody)
+      .digest('hex');
+    return safeEqual(signature, expected) ? 'hmac' : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Validate alert payload against the schema
+ * @param {*} body - Parsed request body
+ * @returns {string[]} Validation errors (empty if valid)
+ */
+export function validateAlert(body) {
+  const errors = [];
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return ['body must be a JSON object'];
+  }
+  
+  if (typeof body.message !== 'string' || !body.message.trim()) {
+    errors.push('message required');
+  }
+  if (body.priority !== undefined && !PRIORITIES.includes(body.priority)) {
+    errors.push(`priority must be one of: ${PRIORITIES.join(', ')}`);
+  }
+  for (const field of ['fullDetails', 'source', 'dedupeKey']) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  for (const [field, max] of Object.entries(MAX_LENGTHS)) {
+    if (typeof body[field] === 'string' && body[field].length > max) {
+      errors.push(`${field} exceeds ${max} characters`);
+    }
+  }
+  
+  return errors;
+}
+
+/**
+ * Count a request against a key's window
+ * @param {string} key - 'caller:...' or 'source:...'
+ * @param {number} max - Requests allowed per window
+ * @returns {number} 0 if allowed, otherwise seconds until the window resets
+ */
+function checkRateLimit(key, max) {
+  const now = Date.now();
+  let window = rateWindows.get(key);
+  if (!window || now - window.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    window = { windowStart: now, count: 0 };
+    rateWindows.set(key, window);
+  }
+  window.count++;
+  if (window.count <= max) return 0;
+  return Math.ceil((window.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000);
+}
+
+// Drop stale rate-limit windows so the map can't grow unbounded
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, window] of rateWindows) {
+    if (now - window.windowStart >= RATE_LIMIT_WINDOW_MS) rateWindows.delete(key);
+  }
+}, 5 * 60 * 1000).unref();
+
+function rateLimited(res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: 'Rate limit exceeded', retryAfter });
+}
+
+app.post('/alert', async (req, res) => {
+  const credential = authenticate(req);
+  if (!credential) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
   
-  const { message, priority, fullDetails, source } = req.body;
+  // Counted before validation — a flood of bad payloads is still a flood
+  const caller = `${credential}@${req.ip}`;
+  const callerRetryAfter = checkRateLimit(`caller:${caller}`, CALLER_RATE_LIMIT_MAX);
+  if (callerRetryAfter > 0) {
+    console.warn(`🚦 Alert rate limit hit for caller ${caller}`);
+    return rateLimited(res, callerRetryAfter);
+  }
   
-  if (!message) {
-    return res.status(400).json({ error: 'message required' });
+  const errors = validateAlert(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid alert', details: errors });
   }
   
+  const { message, priority, fullDetails, source, dedupeKey } = req.body;
+  
   const alert = {
-    message,
+    message: message.trim(),
     priority: priority || 'normal',
     fullDetails: fullDetails || null,
     source: source || 'external',
+    dedupeKey: dedupeKey || null,
   };
   
-  queueAlert(alert);
+  const sourceRetryAfter = checkRateLimit(`source:${alert.source}`, RATE_LIMIT_MAX);
+  if (sourceRetryAfter > 0) {
+    console.warn(`🚦 Alert rate limit hit for source "${alert.source}"`);
+    return rateLimited(res, sourceRetryAfter);
+  }
   
-  const userInVoice = isUserInVoice(ALLOWED_USERS[0]);
+  const stored = queueAlert(alert);
+  const isRepeat = stored.occurrences > 1;
   
-  if (!userInVoice) {
-    // Not in voice - send text notification
-    await sendTextNotification(alert);
-  } else {
-    // Already in voice - flag for briefing on next pause
-    console.log('📢 Alert received while user in voice - will brief on next pause');
-    if (briefOnPauseCallback) {
-      briefOnPauseCallback(ALLOWED_USERS[0]);
+  // Each user routed this alert gets it their own way
+  const recipients = getAlertRecipients(stored);
+  let userInVoice = false;
+  for (const profile of recipients) {
+    if (!isUserInVoice(profile.id)) {
+      // Not in voice - send text notification (once per alert, not per repeat)
+      if (!isRepeat) await sendTextNotification(profile, stored);
+    } else {
+      // Already in voice - flag for briefing on next pause
+      // (critical alerts interrupt playback via alertEvents instead)
+      userInVoice = true;
+      console.log(`📢 Alert received while ${profile.name || profile.id} in voice - will brief on next pause`);
+      if (briefOnPauseCallback) {
+        briefOnPauseCallback(profile.id);
+      }
     }
   }
   
-  res.json({ ok: true, queued: true, userInVoice });
+  res.json({ ok: true, queued: true, id: stored.id, occurrences: stored.occurrences, recipients: recipients.length, userInVoice });
 });
 
 app.get('/health', (req, res) => {
   res.json({ ok: true, service: 'mandy-voice-alerts' });
 });
 
-function isUserInVoice(userId) {
+export function isUserInVoice(userId) {
   if (!client || !GUILD_ID || !currentVoiceChannelId) return false;
   
   // Check if user is in the current voice channel
@@ -85,24 +238,39 @@ function isUserInVoice(userId) {
   return member.voice.channelId === currentVoiceChannelId;
 }
 
-async function sendTextNotification(alert) {
-  if (!client || !ALLOWED_USERS[0]) return;
+async function sendTextNotification(profile, alert) {
+  if (!client) return;
   
   // Send Discord DM
   try {
-    const user = await client.users.fetch(ALLOWED_USERS[0]);
-    const priorityBadge = alert.priority === 'urgent' ? '🚨 **Urgent Alert**' : '🔔 **Alert**';
+    const user = await client.users.fetch(profile.dmUserId);
+    const priorityBadge = alert.priority === 'critical' ? '🔥 **Critical Alert**'
+      : alert.priority === 'urgent' ? '🚨 **Urgent Alert**'
+      : '🔔 **Alert**';
     const sourceBadge = alert.source ? `\n*Source: ${alert.source}*` : '';
     await user.send(`${priorityBadge}\n${alert.message}${sourceBadge}\n\nJoin voice for briefing.`);
-    console.log(`📱 Text notification sent to user`);
+    console.log(`📱 Text notification sent to ${profile.name || profile.id}`);
   } catch (err) {
     console.error(`❌ Failed to send DM: ${err.message}`);
   }
 }
 
-export function startAlertWebhook() {
-  const TAILSCALE_IP = process.env.TAILSCALE_IP || 'localhost';
-  app.listen(WEBHOOK_PORT, TAILSCALE_IP, () => {
-    console.log(`🔔 Alert webhook listening on ${TAILSCALE_IP}:${WEBHOOK_PORT} (Tailscale only)`);
+/**
+ * Start the webhook server
+ * @param {Object} [options]
+ * @param {number} [options.port=ALERT_WEBHOOK_PORT] - 0 for any free port
+ * @param {string} [options.host=TAILSCALE_IP]
+ * @returns {import('http').Server|null} null if no usable secret is configured (server not started)
+ */
+export function startAlertWebhook({ port = WEBHOOK_PORT, host = process.env.TAILSCALE_IP || 'localhost' } = {}) {
+  if (!isValidSecret(WEBHOOK_TOKEN) && !isValidSecret(WEBHOOK_HMAC_SECRET)) {
+    console.error('❌ Alert webhook NOT started: set ALERT_WEBHOOK_TOKEN or ALERT_WEBHOOK_HMAC_SECRET to a real secret');
+    return null;
+  }
+  
+  const server = app.listen(port, host, () => {
+    console.log(`🔔 Alert webhook listening on ${host}:${server.address().port} (Tailscale only)`);
   });
+  server.on('error', (err) => console.error(`❌ Alert webhook failed: ${err.message}`));
+  return server;
 }
@@ -0,0 +1,377 @@
+/**
+ * Audio Preprocessing - Cleanup chain between OpusDecoder and STT (pure JS)
+ *
+ * Runs once per utterance on the trimmed 48kHz PCM and hands STT 16kHz:
+ *
+ *   resample        polyphase windowed-sinc (Kaiser) — anti-aliased, unlike
+ *                   averaging every 3 samples, which folds 8–24kHz hiss
+ *                   back into the speech band
+ *   high-pass       2nd-order Butterworth at PREPROCESS_HIGHPASS_HZ — removes
+ *                   DC offset, desk thumps and mains hum
+ *   noise reduction spectral subtraction against the quietest frames of the
+ *                   utterance (off by default — it can smear consonants)
+ *   AGC             gain to a target loudness, peak-limited so it never clips
+ *
+ * pcmToWav() wraps the result for STT without touching the disk.
+ *
+ * Each stage is toggled in config; createPreprocessor() also takes a custom
+ * stage list, so a new stage is just (samples, sampleRate) => samples.
+ */
+
+import 'dotenv/config';
+import { fft, ifft } from './fft.js';
+
+export const PREPROCESS_CONFIG = {
+  inputRate: 48000,
+  outputRate: 16000,
+  resampler: process.env.PREPROCESS_RESAMPLER === 'average' ? 'average' : 'sinc',
+  highPass: process.env.PREPROCESS_HIGHPASS !== 'false',
+  highPassHz: parseFloat(process.env.PREPROCESS_HIGHPASS_HZ || '80'),
+  noiseReduction: process.env.PREPROCESS_NOISE_REDUCTION === 'true',
+  agc: process.env.PREPROCESS_AGC !== 'false',
+  agcTargetDbfs: parseFloat(process.env.PREPROCESS_AGC_TARGET_DBFS || '-20'),
+  agcMaxGainDb: parseFloat(process.env.PREPROCESS_AGC_MAX_GAIN_DB || '20'),
+};
+
+// ── PCM conversion ───────────────────────────────────────────────────
+
+/**
+ * 16-bit little-endian PCM → float samples (same scale, ±32768)
+ * @param {Buffer} pcm
+ * @returns {Float32Array}
+ */
+export function pcmToFloat(pcm) {
+  const samples = new Float32Array(Math.floor(pcm.length / 2));
+  for (let i = 0; i < samples.length; i++) samples[i] = pcm.readInt16LE(i * 2);
+  return samples;
+}
+
+/**
+ * Float samples → 16-bit little-endian PCM (clamped)
+ * @param {Float32Array} samples
+ * @returns {Buffer}
+ */
+export function floatToPcm(samples) {
+  const pcm = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(samples[i]))), i * 2);
+  }
+  return pcm;
+}
+
+// ── Resampling ───────────────────────────────────────────────────────
+
+const ZERO_CROSSINGS = 32;  // Sinc lobes each side — sets the transition width
+const KAISER_BETA = 8;      // ~80dB stopband
+const CUTOFF_SCALE = 0.92;  // Cutoff as a fraction of the output Nyquist
+
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  for (let k = 1; k < 50; k++) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+const filters = new Map(); // "L:M" -> Float64Array
+
+/**
+ * Low-pass prototype for an L/M rational resampler, at the upsampled rate
+ */
+function designFilter(up, down) {
+  const key = `${up}:${down}`;
+  if (filters.has(key)) return filters.get(key);
+
+  const factor = Math.max(up, down);
+  const cutoff = (0.5 / factor) * CUTOFF_SCALE; // cycles per upsampled sample
+  const length = 2 * ZERO_CROSSINGS * factor + 1;
+  const center = (length - 1) / 2;
+  const i0Beta = besselI0(KAISER_BETA);
+  const taps = new Float64Array(length);
+  let sum = 0;
+  for (let i = 0; i < length; i++) {
+    const t = i - center;
+    const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+    const ratio = t / center;
+    const window = besselI0(KAISER_BETA * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / i0Beta;
+    taps[i] = sinc * window;
+    sum += taps[i];
+  }
+  // Unity DC gain per output sample (zero-stuffing divides the level by `up`)
+  for (let i = 0; i < length; i++) taps[i] *= up / sum;
+
+  filters.set(key, taps);
+  return taps;
+}
+
+/**
+ * Rational-ratio polyphase resampler (windowed sinc)
+ * @param {Float32Array} samples
+ * @param {number} fromRate
+ * @param {number} toRate
+ * @returns {Float32Array}
+ */
+export function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+  const divisor = gcd(fromRate, toRate);
+  const up = toRate / divisor;
+  const down = fromRate / divisor;
+  const taps = designFilter(up, down);
+  const center = (taps.length - 1) / 2;
+
+  const output = new Float32Array(Math.floor((samples.length * up) / down));
+  for (let n = 0; n < output.length; n++) {
+    // Position in the (virtual) zero-stuffed signal, delay-compensated
+    const t = n * down + center;
+    const first = Math.max(0, Math.ceil((t - taps.length + 1) / up));
+    const last = Math.min(samples.length - 1, Math.floor(t / up));
+    let acc = 0;
+    for (let k = first; k <= last; k++) acc += samples[k] * taps[t - k * up];
+    output[n] = acc;
+  }
+  return output;
+}
+
+/**
+ * Legacy decimator — average every `ratio` samples (no anti-aliasing)
+ * @param {Float32Array} samples
+ * @param {number} ratio - Integer decimation factor
+ * @returns {Float32Array}
+ */
+export function decimateAverage(samples, ratio) {
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < ratio; j++) sum += samples[i * ratio + j];
+    output[i] = sum / ratio;
+  }
+  return output;
+}
+
+// ── High-pass ────────────────────────────────────────────────────────
+
+/**
+ * 2nd-order Butterworth high-pass (RBJ biquad) — also blocks DC
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} [cutoffHz=80]
+ * @returns {Float32Array}
+ */
+export function highPass(samples, sampleRate, cutoffHz = 80) {
+  const w0 = (2 * Math.PI * cutoffHz) / sampleRate;
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const cos = Math.cos(w0);
+  const a0 = 1 + alpha;
+  const b0 = (1 + cos) / 2 / a0;
+  const b1 = -(1 + cos) / a0;
+  const b2 = b0;
+  const a1 = (-2 * cos) / a0;
+  const a2 = (1 - alpha) / a0;
+
+  // Start from the first sample's level so a DC offset doesn't produce a click
+  const output = new Float32Array(samples.length);
+  let x1 = samples[0] || 0, x2 = x1, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    output[i] = y;
+  }
+  return output;
+}
+
+// ── Noise reduction ──────────────────────────────────────────────────
+
+const NR_FRAME = 512;         // 32ms at 16kHz
+const NR_HOP = NR_FRAME / 2;  // Hann at 50% overlap sums to 1 — no synthesis window needed
+const NR_NOISE_PERCENTILE = 0.2; // Quietest 20% of frames define the noise spectrum
+const NR_OVER_SUBTRACTION = 2;
+const NR_SPECTRAL_FLOOR = 0.05; // Keep a little of every bin — avoids "musical noise"
+
+const nrWindow = new Float64Array(NR_FRAME);
+for (let i = 0; i < NR_FRAME; i++) nrWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / NR_FRAME); // Periodic Hann
+
+/**
+ * Spectral subtraction. The noise estimate comes from the utterance itself
+ * (its quietest frames), so it needs no separate noise-only recording.
+ * @param {Float32Array} samples
+ * @returns {Float32Array}
+ */
+export function reduceNoise(samples) {
+  // Pad half a frame each side (and up to a whole hop) so every real sample
+  // sits under two overlapping windows
+  const paddedLength = Math.ceil((samples.length + NR_HOP) / NR_HOP) * NR_HOP + NR_HOP;
+  const padded = new Float32Array(paddedLength);
+  padded.set(samples, NR_HOP);
+  const frameCount = (paddedLength - NR_FRAME) / NR_HOP + 1;
+  if (frameCount < 4) return samples;
+
+  const bins = NR_FRAME / 2 + 1;
+  const spectra = [];
+  for (let f = 0; f < frameCount; f++) {
+    const re = new Float64Array(NR_FRAME);
+    const im = new Float64Array(NR_FRAME);
+    let energy = 0;
+    for (let i = 0; i < NR_FRAME; i++) {
+      re[i] = padded[f * NR_HOP + i] * nrWindow[i];
+      energy += re[i] * re[i];
+    }
+    fft(re, im);
+    spectra.push({ re, im, energy });
+  }
+
+  // Average magnitude of the quietest frames, per bin (padding-only frames excluded)
+  const quietest = spectra.slice(1, -1).sort((a, b) => a.energy - b.energy)
+    .slice(0, Math.max(1, Math.round(frameCount * NR_NOISE_PERCENTILE)));
+  const noise = new Float64Array(bins);
+  for (const { re, im } of quietest) {
+    for (let k = 0; k < bins; k++) noise[k] += Math.hypot(re[k], im[k]) / quietest.length;
+  }
+
+  const output = new Float32Array(paddedLength);
+  for (let f = 0; f < frameCount; f++) {
+    const { re, im } = spectra[f];
+    for (let k = 0; k < bins; k++) {
+      const magnitude = Math.hypot(re[k], im[k]);
+      if (magnitude === 0) continue;
+      const cleaned = Math.max(magnitude - NR_OVER_SUBTRACTION * noise[k], NR_SPECTRAL_FLOOR * magnitude);
+      const gain = cleaned / magnitude;
+      re[k] *= gain;
+      im[k] *= gain;
+      if (k > 0 && k < NR_FRAME / 2) { // Keep the spectrum conjugate-symmetric
+        re[NR_FRAME - k] = re[k];
+        im[NR_FRAME - k] = -im[k];
+      }
+    }
+    ifft(re, im);
+    for (let i = 0; i < NR_FRAME; i++) output[f * NR_HOP + i] += re[i];
+  }
+  return output.subarray(NR_HOP, NR_HOP + samples.length);
+}
+
+// ── AGC ──────────────────────────────────────────────────────────────
+
+const AGC_BLOCK = 320;        // 20ms at 16kHz
+const AGC_GATE_DBFS = -50;    // Blocks quieter than this don't count toward loudness
+const AGC_PEAK_CEILING = 0.98 * 32767;
+
+/**
+ * Bring speech to a target loudness. Loudness is measured on blocks above
+ * a gate (pauses don't drag it down), and gain is capped so quiet rooms
+ * aren't blown up into hiss and peaks never clip.
+ * @param {Float32Array} samples
+ * @param {Object} [options]
+ * @param {number} [options.targetDbfs=-20]
+ * @param {number} [options.maxGainDb=20]
+ * @returns {Float32Array}
+ */
+export function normalizeLoudness(samples, { targetDbfs = -20, maxGainDb = 20 } = {}) {
+  const gate = 32768 * 10 ** (AGC_GATE_DBFS / 20);
+  let sumSquares = 0;
+  let counted = 0;
+  let peak = 0;
+  for (let start = 0; start < samples.length; start += AGC_BLOCK) {
+    const end = Math.min(samples.length, start + AGC_BLOCK);
+    let blockSquares = 0;
+    for (let i = start; i < end; i++) {
+      blockSquares += samples[i] * samples[i];
+      peak = Math.max(peak, Math.abs(samples[i]));
+    }
+    if (Math.sqrt(blockSquares / (end - start)) >= gate) {
+      sumSquares += blockSquares;
+      counted += end - start;
+    }
+  }
+  if (counted === 0 || peak === 0) return samples;
+
+  const rms = Math.sqrt(sumSquares / counted);
+  const target = 32768 * 10 ** (targetDbfs / 20);
+  const gain = Math.min(target / rms, 10 ** (maxGainDb / 20), AGC_PEAK_CEILING / peak);
+
+  const output = new Float32Array(samples.length);
+  for (let i = 0; i < samples.length; i++) output[i] = samples[i] * gain;
+  return output;
+}
+
+// ── Chain ────────────────────────────────────────────────────────────
+
+/**
+ * Stage list for a config (resampling always runs; the rest are optional)
+ * @param {Object} config - Shape of PREPROCESS_CONFIG
+ * @returns {Array<{ name: string, run: (samples: Float32Array, sampleRate: number) => Float32Array, outputRate?: number }>}
+ */
+export function buildStages(config = PREPROCESS_CONFIG) {
+  const ratio = config.inputRate / config.outputRate;
+  return [
+    {
+      name: 'resample',
+      outputRate: config.outputRate,
+      run: (samples) => (config.resampler === 'average' && Number.isInteger(ratio)
+        ? decimateAverage(samples, ratio)
+        : resample(samples, config.inputRate, config.outputRate)),
+    },
+    config.highPass && { name: 'highpass', run: (samples, rate) => highPass(samples, rate, config.highPassHz) },
+    config.noiseReduction && { name: 'noise-reduction', run: (samples) => reduceNoise(samples) },
+    config.agc && {
+      name: 'agc',
+      run: (samples) => normalizeLoudness(samples, { targetDbfs: config.agcTargetDbfs, maxGainDb: config.agcMaxGainDb }),
+    },
+  ].filter(Boolean);
+}
+
+/**
+ * Build the preprocessing function used before STT
+ * @param {Object} [config] - Shape of PREPROCESS_CONFIG
+ * @param {Array} [stages] - Custom stage list (defaults to buildStages(config))
+ * @returns {(pcm: Buffer) => Buffer} 16-bit mono PCM at inputRate → 16-bit mono PCM at outputRate
+ */
+export function createPreprocessor(config = PREPROCESS_CONFIG, stages = buildStages(config)) {
+  return (pcm) => {
+    let samples = pcmToFloat(pcm);
+    let rate = config.inputRate;
+    for (const stage of stages) {
+      samples = stage.run(samples, rate);
+      if (stage.outputRate) rate = stage.outputRate;
+    }
+    return floatToPcm(samples);
+  };
+}
+
+// ── WAV ──────────────────────────────────────────────────────────────
+
+/**
+ * Wrap 16-bit mono PCM in a WAV header (in memory) — what STT is sent
+ * @param {Buffer} pcm
+ * @param {number} [sampleRate=16000]
+ * @returns {Buffer}
+ */
+export function pcmToWav(pcm, sampleRate = 16000) {
+  const numChannels = 1, bitsPerSample = 16;
+  const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
+  const blockAlign = numChannels * (bitsPerSample / 8);
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(pcm.length + 36, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(numChannels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(byteRate, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(pcm.length, 40);
+
+  return Buffer.concat([header, pcm]);
+}
@@ -0,0 +1,115 @@
+/**
+ * Barge-in - Decide what talking over the bot meant
+ *
+ * When the owner of an answer talks over it for BARGE_IN_THRESHOLD_MS, the
+ * answer is paused (not thrown away) until we know what they said:
+ *
+ *   interrupt    "stop", "wait", "cancel that"     → stop; keep the rest
+ *   backchannel  "mm-hm", "right", "okay"          → resume
+ *   continue     "go on", "keep going"             → resume
+ *   noise        nothing intelligible              → resume
+ *   question     anything else                     → stop; answer the new one
+ *
+ * Interrupt commands are matched by index.js (isInterruptCommand) before
+ * classifyBargeIn() is asked. When an answer is stopped, the sentences that
+ * hadn't finished playing are kept for BARGE_IN_REMAINDER_TTL_MS so "go on"
+ * can pick up where it stopped.
+ */
+
+import 'dotenv/config';
+
+export const BARGE_IN_THRESHOLD_MS = parseInt(process.env.BARGE_IN_THRESHOLD_MS || '600');
+export const BARGE_IN_MAX_PAUSE_MS = parseInt(process.env.BARGE_IN_MAX_PAUSE_MS || '8000'); // Resume if no verdict by then
+const REMAINDER_TTL_MS = parseInt(process.env.BARGE_IN_REMAINDER_TTL_MS || '300000');
+
+const BACKCHANNEL = /^((u+h+|m+)[- ]?h+m+|mhm+|hm+|m+|uh[- ]?huh|yeah|yea|yep|yup|yes|right|ok(ay)?|sure|got it|gotcha|i see|cool|nice|wow|oh|ah|interesting|true|totally|exactly|makes sense|alright|all right|fair enough|uh huh)(\s+(yeah|yes|right|ok(ay)?|sure|i see|cool|totally))*$/;
+const CONTINUE = /^((ok(ay)?|yeah|sorry|please)\s+)?(go on|continue|keep going|carry on|go ahead|resume|you were saying|what were you saying|as you were|and then what|then what|finish what you were saying)(\s+please)?$/;
+const NOISE_HALLUCINATION = /^(you|thank you|thanks for watching|bye)$/; // Whisper's usual output for breath and hum
+
+function normalize(transcript, phrases) {
+  let text = (transcript || '').toLowerCase().replace(/[.,!?;:…"]+/g, ' ').replace(/\s+/g, ' ').trim();
+  for (const phrase of phrases) {
+    if (text.startsWith(`${phrase} `)) { text = text.slice(phrase.length + 1); break; }
+  }
+  return text;
+}
+
+/**
+ * What did the user mean by talking over the answer?
+ * @param {string} transcript
+ * @param {string[]} [phrases] - Wake phrases to ignore at the start ("mandy, go on")
+ * @returns {'backchannel'|'continue'|'noise'|'question'}
+ */
+export function classifyBargeIn(transcript, phrases = []) {
+  const text = normalize(transcript, phrases);
+  if (!/[a-z]{2}/.test(text) || NOISE_HALLUCINATION.test(text)) return 'noise';
+  if (CONTINUE.test(text)) return 'continue';
+  if (BACKCHANNEL.test(text)) return 'backchannel';
+  return 'question';
+}
+
+/**
+ * Tracks each user's latest answer sentence by sentence, so the unplayed
+ * part can be kept when they stop it
+ */
+export class AnswerTracker {
+  constructor() {
+    this.scripts = new Map();    // userId -> { taskId, sentences, played }
+    this.remainders = new Map(); // userId -> { sentences, savedAt }
+  }
+
+  /**
+   * A new answer started — replaces the user's previous one
+   */
+  start(taskId, userId) {
+    this.scripts.set(userId, { taskId, sentences: [], played: -1 });
+  }
+
+  /**
+   * @returns {number} The sentence's index in its answer
+   */
+  addSentence(userId, text) {
+    const script = this.scripts.get(userId);
+    if (!script) return -1;
+    script.sentences.push(text);
+    return script.sentences.length - 1;
+  }
+
+  /**
+   * A sentence finished playing
+   */
+  markPlayed(userId, taskId, index) {
+    const script = this.scripts.get(userId);
+    if (script?.taskId === taskId) script.played = Math.max(script.played, index);
+  }
+
+  /**
+   * Keep whatever of the user's answer hasn't finished playing
+   * @returns {number} Sentences kept
+   */
+  saveRemainder(userId) {
+    const script = this.scripts.get(userId);
+    if (!script) return 0;
+    this.scripts.delete(userId);
+    const sentences = script.sentences.slice(script.played + 1);
+    if (sentences.length === 0) return 0;
+    this.remainders.set(userId, { sentences, savedAt: Date.now() });
+    return sentences.length;
+  }
+
+  /**
+   * Take the kept remainder (once)
+   * @returns {string[]|null}
+   */
+  takeRemainder(userId) {
+    const remainder = this.remainders.get(userId);
+    this.remainders.delete(userId);
+    if (!remainder || Date.now() - remainder.savedAt > REMAINDER_TTL_MS) return null;
+    return remainder.sentences;
+  }
+
+  hasRemainder(userId) {
+    const remainder = this.remainders.get(userId);
+    return !!remainder && Date.now() - remainder.savedAt <= REMAINDER_TTL_MS;
+  }
+}
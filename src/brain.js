@@ -18,7 +18,8 @@ const GATEWAY_URL = process.env.CLAWDBOT_GATEWAY_URL || 'http://127.0.0.1:22100'
 const GATEWAY_TOKEN = process.env.CLAWDBOT_GATEWAY_TOKEN;
 const COMPLETIONS_URL = `${GATEWAY_URL}/v1/chat/completions`;
 
-// Use the main Discord text channel session — same brain as chat
+// Use the main Discord text channel session — same brain as chat.
+// Per-user profiles override this via options.sessionUser.
 const SESSION_USER = process.env.SESSION_USER || 'mandy-voice-user';
 
 // Model selection delegated to gateway — voice bot doesn't pick the model.
@@ -28,6 +29,10 @@ const SESSION_USER = process.env.SESSION_USER || 'mandy-voice-user';
 // Key: use tools exactly as you would in text chat. The ONLY difference is output format.
 const VOICE_TAG = `[VOICE] This is a voice request. Use tools and take actions exactly as you would for a text message — check live data, run commands, use MCP services. The ONLY difference: format your final response for spoken TTS output. No markdown, no formatting, no bullet points, no numbered lists. Natural conversational speech only. IMPORTANT: Do NOT generate audio, do NOT use TTS tools, do NOT return MEDIA: tags or file paths. Return ONLY plain text — the voice client handles speech synthesis.`;
 
+// Appended after the budget instruction when the voice client will spill
+// sentences past the budget into the text channel
+const SPILLOVER_NOTE = `If the full answer does not fit the budget, lead with the spoken summary. Anything past the budget is posted to the text channel automatically — do not repeat it or announce that you are posting it.`;
+
 // Sentence boundary pattern — split on . ! ? followed by space or end
 const SENTENCE_END = /[.!?]+(?:\s|$)/;
 
@@ -64,6 +69,34 @@ export function trimForVoice(text) {
   return clean;
 }
 
+/**
+ * Build the user message sent to the gateway: voice tag, optional
+ * channel focus directive, optional response budget, then the transcript.
+ *
+ * @param {string} userMessage - The transcribed voice input
+ * @param {Object} [options]
+ * @param {Object} [options.budget] - classifyIntent() result
+ * @param {Object} [options.context] - Active focus ({ channelName, directive })
+ * @returns {string}
+ */
+function buildVoiceMessage(userMessage, options = {}) {
+  const { budget, context } = options;
+  const parts = [VOICE_TAG];
+  
+  if (context && context.directive) {
+    parts.push(`[FOCUS: ${context.channelName}] The user has focused this voice session on ${context.channelName}. Work within this channel directive:\n${context.directive}`);
+  }
+  
+  if (budget && budget.budgetInstruction) {
+    let instruction = `${budget.budgetInstruction} Hard limit: ${budget.maxSentences} sentences, about ${budget.maxSpokenSeconds} seconds spoken.`;
+    if (budget.spillover) instruction += ` ${SPILLOVER_NOTE}`;
+    parts.push(instruction);
+  }
+  
+  parts.push(userMessage);
+  return parts.join('\n\n');
+}
+
 /**
  * Generate response via streaming SSE — calls onSentence() as each
  * complete sentence arrives, so TTS can start immediately.
@@ -72,10 +105,12 @@ export function trimForVoice(text) {
  * @param {Array} history - Conversation history
  * @param {AbortSignal} signal - For cancellation
  * @param {Function} onSentence - Called with each complete sentence
+ * @param {Object} [options] - See buildVoiceMessage()
+ * @param {string} [options.sessionUser] - Gateway session user (defaults to SESSION_USER)
  * @returns {{ text: string, aborted?: boolean }} Full response text
  */
-export async function generateResponseStreaming(userMessage, history = [], signal, onSentence) {
-  const voiceMessage = `${VOICE_TAG}\n\n${userMessage}`;
+export async function generateResponseStreaming(userMessage, history = [], signal, onSentence, options = {}) {
+  const voiceMessage = buildVoiceMessage(userMessage, options);
   
   const messages = [
     ...history.slice(-6).map(m => ({ role: m.role, content: m.content })),
@@ -105,7 +140,7 @@ export async function generateResponseStreaming(userMessage, history = [], signa
       body: JSON.stringify({
         messages,
         max_tokens: 8192,
-        user: SESSION_USER,
+        user: options.sessionUser || SESSION_USER,
         stream: true,
       }),
     });
@@ -211,8 +246,8 @@ export async function generateResponseStreaming(userMessage, history = [], signa
 /**
  * Generate response (non-streaming fallback)
  */
-export async function generateResponse(userMessage, history = [], signal) {
-  const voiceMessage = `${VOICE_TAG}\n\n${userMessage}`;
+export async function generateResponse(userMessage, history = [], signal, options = {}) {
+  const voiceMessage = buildVoiceMessage(userMessage, options);
   
   const messages = [
     ...history.slice(-6).map(m => ({ role: m.role, content: m.content })),
@@ -239,7 +274,7 @@ export async function generateResponse(userMessage, history = [], signal) {
       body: JSON.stringify({
         messages,
         max_tokens: 8192,
-        user: SESSION_USER,
+        user: options.sessionUser || SESSION_USER,
       }),
     });
     
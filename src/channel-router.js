@@ -7,13 +7,18 @@
  * - Channel queries (where am I, what contexts are available)
  */
 
-import { readFileSync } from 'fs';
+import { readFileSync, existsSync, watchFile } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { joinVoiceChannel } from '@discordjs/voice';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
+const REGISTRY_PATH = process.env.CHANNEL_REGISTRY_PATH || join(__dirname, '..', 'channels.json');
+
+// Current registry — replaced wholesale on hot reload
+let registry = { discord: {}, voiceChannels: {} };
+
 // Voice command patterns
 const MOVE_PATTERNS = [
   /\b(?:go to|move to|join|come to)\s+(?:the\s+)?(.+?)(?:\s+channel|\s+voice)?$/i,
@@ -29,13 +34,72 @@ const QUERY_PATTERNS = [
   /\b(?:what channels are available|list channels|show channels)\b/i,
 ];
 
+/**
+ * Load the channel registry (JSON) from disk.
+ * Keeps the previous registry if the file is missing or invalid, so a
+ * half-saved edit never wipes out routing.
+ * @param {string} [registryPath] - Defaults to CHANNEL_REGISTRY_PATH or ./channels.json
+ * @returns {Object} The active registry
+ */
+export function loadChannelRegistry(registryPath = REGISTRY_PATH) {
+  if (!existsSync(registryPath)) {
+    console.warn(`⚠️  No channel registry at ${registryPath} — channel commands disabled`);
+    return registry;
+  }
+  
+  try {
+    const parsed = JSON.parse(readFileSync(registryPath, 'utf8'));
+    registry = {
+      discord: parsed.discord || {},
+      voiceChannels: parsed.voiceChannels || {},
+    };
+    const count = Object.keys(registry.discord).length + Object.keys(registry.voiceChannels).length;
+    console.log(`🗺️  Channel registry loaded: ${count} entries from ${registryPath}`);
+  } catch (err) {
+    console.error(`❌ Failed to load channel registry ${registryPath}:`, err.message);
+  }
+  
+  return registry;
+}
+
+/**
+ * Reload the registry whenever the file changes on disk
+ * @param {string} [registryPath] - Defaults to CHANNEL_REGISTRY_PATH or ./channels.json
+ */
+export function watchChannelRegistry(registryPath = REGISTRY_PATH) {
+  watchFile(registryPath, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    console.log('🔄 Channel registry changed, reloading...');
+    loadChannelRegistry(registryPath);
+  });
+}
+
+/**
+ * Get the currently loaded channel registry
+ * @returns {Object}
+ */
+export function getChannelRegistry() {
+  return registry;
+}
+
+/**
+ * List spoken names of every channel in the registry
+ * @param {Object} registry - Channel registry object
+ * @returns {{ contexts: string[], voiceChannels: string[] }}
+ */
+export function listChannels(registry) {
+  const contexts = Object.values(registry?.discord || {}).map(c => c.name).filter(Boolean);
+  const voiceChannels = Object.values(registry?.voiceChannels || {}).map(c => c.name).filter(Boolean);
+  return { contexts, voiceChannels };
+}
+
 /**
  * Detect channel command in transcript
  * @param {string} transcript - The user's speech
  * @returns {{ action: 'move'|'focus'|'query'|null, target: string|null, raw: string }}
  */
 export function detectChannelCommand(transcript) {
-  const lower = transcript.toLowerCase().trim();
+  const lower = transcript.toLowerCase().trim().replace(/[.,!?]+$/, '');
   
   // Check for query commands first (no target needed)
   for (const pattern of QUERY_PATTERNS) {
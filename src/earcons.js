@@ -0,0 +1,117 @@
+/**
+ * Earcons - Short non-verbal sounds for acknowledgements and state
+ *
+ *   listening   wake word heard, go ahead          (instead of "Yes?")
+ *   thinking    working on it; loops while a long answer is being prepared
+ *   done        stopped / finished                 (instead of "Stopped.")
+ *   error       that didn't work                   (instead of "I had trouble...")
+ *   alert       before proactive and critical alerts
+ *
+ * The built-in sounds are rendered here from note lists (48kHz stereo s16le,
+ * what the player takes raw) — nothing to install, no ffmpeg. Each event can
+ * be pointed at another built-in, an audio file, or "off" with
+ * EARCON_<EVENT> (e.g. EARCON_DONE=/sounds/ding.mp3, EARCON_THINKING=off).
+ *
+ * EARCONS_PREFERRED makes earcons replace the spoken acks (per user:
+ * "earcons" in users.json); otherwise only the thinking loop, the alert cue
+ * and the agent-finished cue are played.
+ */
+
+import 'dotenv/config';
+import { Readable } from 'stream';
+import { existsSync } from 'fs';
+
+export const EARCONS_ENABLED = process.env.EARCONS_ENABLED !== 'false';
+export const EARCONS_PREFERRED = process.env.EARCONS_PREFERRED === 'true';
+export const EARCON_THINKING_AFTER_MS = parseInt(process.env.EARCON_THINKING_AFTER_MS || '2000');
+const THINKING_PERIOD_MS = parseInt(process.env.EARCON_THINKING_PERIOD_MS || '1600');
+const THINKING_MAX_MS = 60000; // A loop nobody stopped ends by itself
+const VOLUME = parseFloat(process.env.EARCON_VOLUME || '0.35');
+
+export const EARCON_EVENTS = ['listening', 'thinking', 'done', 'error', 'alert'];
+
+const RATE = 48000;
+const BYTES_PER_MS = (RATE * 2 * 2) / 1000; // Stereo 16-bit
+
+// [frequency Hz (0 = rest), duration ms, level 0..1]
+const BUILTIN = {
+  listening: [[659, 70, 0.8], [0, 20, 0], [988, 110, 0.9]],             // E5 → B5, rising
+  thinking: [[440, 90, 0.45], [0, 60, 0], [554, 90, 0.35]],             // Soft two-note pulse
+  done: [[523, 70, 0.7], [659, 70, 0.7], [784, 160, 0.8]],              // C-E-G
+  error: [[494, 120, 0.8], [0, 30, 0], [370, 220, 0.8]],                 // B4 → F#4, falling
+  alert: [[880, 90, 1], [0, 60, 0], [880, 90, 1], [0, 60, 0], [1175, 200, 1]],
+};
+
+const rendered = new Map(); // builtin name -> PCM
+
+/**
+ * Render a note list to 48kHz stereo PCM — sine plus a soft octave, with a
+ * short attack and an exponential release so nothing clicks
+ * @param {Array<[number, number, number]>} notes
+ * @param {number} [volume=EARCON_VOLUME]
+ * @returns {Buffer}
+ */
+export function renderNotes(notes, volume = VOLUME) {
+  const total = notes.reduce((ms, [, duration]) => ms + duration, 0);
+  const pcm = Buffer.alloc(Math.round(total * BYTES_PER_MS));
+  let offset = 0;
+  for (const [freq, duration, level] of notes) {
+    const samples = Math.round((duration / 1000) * RATE);
+    const attack = Math.min(samples, RATE * 0.005);
+    for (let i = 0; i < samples; i++) {
+      let value = 0;
+      if (freq > 0) {
+        const t = i / RATE;
+        const envelope = Math.min(1, i / attack) * Math.exp(-4 * (i / samples));
+        value = (Math.sin(2 * Math.PI * freq * t) + 0.25 * Math.sin(4 * Math.PI * freq * t)) / 1.25 * envelope * level * volume;
+      }
+      const sample = Math.max(-32768, Math.min(32767, Math.round(value * 32767)));
+      pcm.writeInt16LE(sample, offset);
+      pcm.writeInt16LE(sample, offset + 2);
+      offset += 4;
+    }
+  }
+  return pcm;
+}
+
+function builtin(name) {
+  if (!rendered.has(name)) rendered.set(name, renderNotes(BUILTIN[name]));
+  return rendered.get(name);
+}
+
+/**
+ * The sound for an event, as configured
+ * @param {string} event - One of EARCON_EVENTS
+ * @returns {{ audio: Buffer|string, raw: boolean }|null} PCM (raw) or a file path; null when off
+ */
+export function getEarcon(event) {
+  if (!EARCONS_ENABLED) return null;
+  let setting = process.env[`EARCON_${event.toUpperCase()}`];
+  if (!setting && event === 'alert') setting = process.env.ALERT_EARCON_PATH; // Older setting
+  setting = (setting || event).trim();
+  if (setting === 'off' || setting === 'none') return null;
+  if (BUILTIN[setting]) return { audio: builtin(setting), raw: true };
+  if (existsSync(setting)) return { audio: setting, raw: false };
+  console.warn(`⚠️  Earcon for ${event} not found: ${setting} — using the built-in one`);
+  return BUILTIN[event] ? { audio: builtin(event), raw: true } : null;
+}
+
+/**
+ * Endless "thinking" sound (a cycle every EARCON_THINKING_PERIOD_MS) as a
+ * raw PCM stream; it ends by itself after a minute. A file-based thinking
+ * earcon can't loop raw, so it isn't offered here.
+ * @returns {Readable|null}
+ */
+export function createThinkingLoop() {
+  const earcon = getEarcon('thinking');
+  if (!earcon?.raw) return null;
+  const periodBytes = Math.max(earcon.audio.length, Math.round(THINKING_PERIOD_MS * BYTES_PER_MS) & ~3);
+  const cycle = Buffer.concat([earcon.audio, Buffer.alloc(periodBytes - earcon.audio.length)]);
+  let remaining = Math.ceil(THINKING_MAX_MS / THINKING_PERIOD_MS);
+  return new Readable({
+    highWaterMark: cycle.length,
+    read() {
+      this.push(remaining-- > 0 ? cycle : null);
+    },
+  });
+}
@@ -0,0 +1,182 @@
+/**
+ * Echo Rejection - Recognize the bot's own voice coming back through a mic
+ *
+ * Someone listening on speakers feeds the bot's TTS back into their mic,
+ * which looks like them talking: it fires barge-ins and gets transcribed as
+ * a new request. tapOutgoingAudio() decodes every Opus packet we send and
+ * keeps its loudness envelope (20ms frames, dBFS) as the reference; incoming
+ * audio gets the same envelope, and detectEcho() correlates the two across
+ * 0..ECHO_MAX_DELAY_MS of lag. Loudness envelopes survive the speaker, the
+ * room and the second Opus trip far better than waveforms do, and the
+ * rhythm of someone else's speech doesn't line up with ours.
+ */
+
+import 'dotenv/config';
+import OpusScript from 'opusscript';
+
+export const ECHO_REJECTION_ENABLED = process.env.ECHO_REJECTION_ENABLED !== 'false';
+export const ECHO_THRESHOLD = parseFloat(process.env.ECHO_CORRELATION_THRESHOLD || '0.7');
+const MAX_DELAY_MS = parseInt(process.env.ECHO_MAX_DELAY_MS || '1000');
+
+const FRAME_MS = 20;
+const FLOOR_DB = -90;      // Silence (and frames we never sent)
+const ACTIVE_DB = -50;     // Reference frames louder than this count as "bot talking"
+const MIN_FRAMES = 15;     // 300ms — less than this is too short to judge
+const MIN_ACTIVE_RATIO = 0.3;
+const REFERENCE_HISTORY_MS = 30000;
+
+/**
+ * Loudness per 20ms slot of wall-clock time
+ */
+export class EnergyEnvelope {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.historyMs] - Forget frames older than this (default: keep all)
+   */
+  constructor({ historyMs = Infinity } = {}) {
+    this.historyMs = historyMs;
+    this.frames = new Map(); // slot (time / FRAME_MS) -> dBFS
+    this.nextEnd = null;     // append(): where the next chunk ends
+  }
+
+  /**
+   * Add 16-bit PCM right after the previous append() — for received audio,
+   * whose packets arrive in bursts but were captured back to back
+   * @param {Buffer} pcm
+   * @param {number} [sampleRate=48000] - Samples per second across all channels
+   */
+  append(pcm, sampleRate = 48000) {
+    const durationMs = (pcm.length / 2 / sampleRate) * 1000;
+    this.nextEnd = this.nextEnd === null ? Date.now() : this.nextEnd + durationMs;
+    this.push(pcm, this.nextEnd, sampleRate);
+  }
+
+  /**
+   * Add 16-bit PCM (any channel layout, any rate) that ended at `endTime`
+   * @param {Buffer} pcm
+   * @param {number} [endTime=Date.now()]
+   * @param {number} [sampleRate=48000] - Samples per second across all channels
+   */
+  push(pcm, endTime = Date.now(), sampleRate = 48000) {
+    const perFrame = Math.round((sampleRate * FRAME_MS) / 1000);
+    const count = Math.max(1, Math.round(pcm.length / 2 / perFrame));
+    const endSlot = Math.floor(endTime / FRAME_MS);
+    for (let f = 0; f < count; f++) {
+      const start = f * perFrame * 2;
+      const end = Math.min(pcm.length, start + perFrame * 2);
+      let sum = 0;
+      for (let i = start; i + 1 < end; i += 2) {
+        const sample = pcm.readInt16LE(i) / 32768;
+        sum += sample * sample;
+      }
+      const meanSquare = sum / Math.max(1, (end - start) / 2);
+      this.frames.set(endSlot - (count - 1 - f), Math.max(FLOOR_DB, 10 * Math.log10(meanSquare + 1e-12)));
+    }
+    if (this.historyMs !== Infinity && this.frames.size > this.historyMs / FRAME_MS) {
+      const oldest = endSlot - this.historyMs / FRAME_MS;
+      for (const slot of this.frames.keys()) {
+        if (slot >= oldest) break;
+        this.frames.delete(slot);
+      }
+    }
+  }
+
+  get size() {
+    return this.frames.size;
+  }
+}
+
+/**
+ * Best correlation between what was heard and what we played `lag` ms earlier
+ * @param {EnergyEnvelope} heard
+ * @param {EnergyEnvelope} reference
+ * @param {Object} [options]
+ * @param {number} [options.maxDelayMs=ECHO_MAX_DELAY_MS]
+ * @returns {{ score: number, lagMs: number|null }} Pearson r in [-1, 1]; 0 when the bot wasn't talking
+ */
+export function correlateEcho(heard, reference, { maxDelayMs = MAX_DELAY_MS } = {}) {
+  const best = { score: 0, lagMs: null };
+  if (heard.size < MIN_FRAMES || reference.size === 0) return best;
+  const slots = [...heard.frames.keys()];
+  const x = slots.map(slot => heard.frames.get(slot));
+
+  for (let lag = 0; lag <= maxDelayMs / FRAME_MS; lag++) {
+    const y = slots.map(slot => reference.frames.get(slot - lag) ?? FLOOR_DB);
+    if (y.filter(v => v > ACTIVE_DB).length < y.length * MIN_ACTIVE_RATIO) continue;
+    const r = pearson(x, y);
+    if (r > best.score) {
+      best.score = r;
+      best.lagMs = lag * FRAME_MS;
+    }
+  }
+  return best;
+}
+
+function pearson(x, y) {
+  const n = x.length;
+  let mx = 0, my = 0;
+  for (let i = 0; i < n; i++) { mx += x[i]; my += y[i]; }
+  mx /= n;
+  my /= n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    const dx = x[i] - mx;
+    const dy = y[i] - my;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+/**
+ * Is this the bot's own audio coming back?
+ * @param {EnergyEnvelope} heard
+ * @param {EnergyEnvelope} reference
+ * @returns {{ echo: boolean, score: number, lagMs: number|null }}
+ */
+export function detectEcho(heard, reference) {
+  if (!ECHO_REJECTION_ENABLED) return { echo: false, score: 0, lagMs: null };
+  const { score, lagMs } = correlateEcho(heard, reference);
+  return { echo: score >= ECHO_THRESHOLD, score, lagMs };
+}
+
+/**
+ * Scores close enough to the threshold to be worth logging when tuning it
+ * @param {number} score
+ * @returns {boolean}
+ */
+export function isNearEcho(score) {
+  return score >= ECHO_THRESHOLD - 0.15;
+}
+
+const tappedConnections = new WeakSet();
+
+/**
+ * Record the loudness of every Opus packet the player sends on this
+ * connection into `reference`. The player prepares a packet one 20ms
+ * cycle before dispatching it, so wrap prepareAudioPacket().
+ * @param {import('@discordjs/voice').VoiceConnection} connection
+ * @param {EnergyEnvelope} reference
+ */
+export function tapOutgoingAudio(connection, reference) {
+  if (!ECHO_REJECTION_ENABLED || tappedConnections.has(connection) || typeof connection.prepareAudioPacket !== 'function') return;
+  tappedConnections.add(connection);
+  const opus = new OpusScript(48000, 2, OpusScript.Application.AUDIO);
+  const prepareAudioPacket = connection.prepareAudioPacket.bind(connection);
+  connection.prepareAudioPacket = (buffer) => {
+    try {
+      reference.push(opus.decode(buffer), Date.now() + FRAME_MS, 48000 * 2);
+    } catch {} // Reference is best-effort — never get in the way of playback
+    return prepareAudioPacket(buffer);
+  };
+  connection.once('destroyed', () => { try { opus.delete(); } catch {} });
+}
+
+/**
+ * Reference envelope for everything the bot plays
+ * @returns {EnergyEnvelope}
+ */
+export function createEchoReference() {
+  return new EnergyEnvelope({ historyMs: REFERENCE_HISTORY_MS });
+}
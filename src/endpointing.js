@@ -0,0 +1,155 @@
+/**
+ * Endpointing - Decide when a user has actually finished talking
+ *
+ * Discord ends each audio stream after a short silence (ENDPOINT_SILENCE_MS).
+ * That's fast for "stop" or "what time is it?", but it also cuts people off
+ * when they pause mid-sentence. So once a piece is transcribed we look at
+ * how it ends:
+ *
+ *   complete    ".", "?", "!", or a known short command → dispatch now
+ *   unknown     nothing conclusive                      → wait ENDPOINT_STITCH_MS
+ *   incomplete  trailing "and", "because", "um", ","    → wait ENDPOINT_HOLD_MS
+ *
+ * If the same user speaks again inside the wait, the pieces are stitched
+ * into one transcript before dispatch. While they're mid-utterance the
+ * wait is paused, so a slow STT call never splits a sentence in two.
+ */
+
+import 'dotenv/config';
+
+export const ENDPOINT_SILENCE_MS = parseInt(process.env.ENDPOINT_SILENCE_MS || '600');
+const STITCH_ENABLED = process.env.ENDPOINT_STITCH_ENABLED !== 'false';
+const STITCH_MS = parseInt(process.env.ENDPOINT_STITCH_MS || '500');
+const HOLD_MS = parseInt(process.env.ENDPOINT_HOLD_MS || '1500');
+
+// Conjunctions and fillers nobody ends a request on — not words a command
+// can end with ("turn the lights on", "I think so", "do that then")
+const TRAILING_INCOMPLETE = /\b(and|or|but|because|cause|if|plus|um+|uh+|erm?|hmm+|ah+)$/;
+const TRAILING_PUNCTUATION_INCOMPLETE = /(,|\.\.\.|…|—|-)\s*$/;
+
+// Short utterances that are whole on their own
+const SHORT_COMMAND = /^(stop|cancel|abort|wait|hold on|never ?mind|next|skip|repeat|details|dismiss|done|yes|yeah|yep|no|nope|ok(ay)?|sure|thanks|thank you|go ahead|that'?s (all|it|enough))$/;
+
+/**
+ * Judge whether a transcript looks like a finished utterance
+ * @param {string} transcript
+ * @returns {'complete'|'incomplete'|'unknown'}
+ */
+export function classifyEndpoint(transcript) {
+  const text = (transcript || '').trim();
+  if (!text) return 'unknown';
+  if (TRAILING_PUNCTUATION_INCOMPLETE.test(text)) return 'incomplete';
+
+  const words = text.toLowerCase().replace(/[.,!?;:]+/g, '').trim();
+  if (TRAILING_INCOMPLETE.test(words)) return 'incomplete';
+  if (/[.?!]\s*$/.test(text)) return 'complete'; // "..." was caught above
+
+  // Strip a leading wake word so "mandy, stop" still counts as a command
+  const command = words.replace(/^(hey\s+)?\w+\s+(?=\w)/, '');
+  if (SHORT_COMMAND.test(words) || SHORT_COMMAND.test(command)) return 'complete';
+  return 'unknown';
+}
+
+/**
+ * How long to wait for more speech after a piece
+ * @param {'complete'|'incomplete'|'unknown'} endpoint
+ * @returns {number} ms (0 = dispatch now)
+ */
+export function endpointWaitMs(endpoint) {
+  if (!STITCH_ENABLED || endpoint === 'complete') return 0;
+  return endpoint === 'incomplete' ? HOLD_MS : STITCH_MS;
+}
+
+/**
+ * Combine the VAD summaries of stitched pieces
+ */
+function mergeSpeech(a, b) {
+  if (!a || !b) return a || b || null;
+  const span = (s) => (s.speechRatio > 0 ? s.speechMs / s.speechRatio : 0);
+  const totalSpan = span(a) + span(b);
+  const speechMs = a.speechMs + b.speechMs;
+  return {
+    ...b,
+    totalMs: a.totalMs + b.totalMs,
+    speechMs,
+    speechRatio: totalSpan > 0 ? speechMs / totalSpan : 0,
+  };
+}
+
+/**
+ * Per-user buffer that stitches pieces and dispatches whole utterances
+ */
+export class UtteranceStitcher {
+  /**
+   * @param {(userId: string, utterance: { transcript: string, audio: Buffer, speech: Object|null, pieces: number }) => void} onUtterance
+   */
+  constructor(onUtterance) {
+    this.onUtterance = onUtterance;
+    this.pending = new Map(); // userId -> { transcript, audio, speech, pieces, timer, waitMs }
+  }
+
+  /**
+   * The user started talking again — don't dispatch what we have yet
+   */
+  hold(userId) {
+    const entry = this.pending.get(userId);
+    if (entry?.timer) {
+      clearTimeout(entry.timer);
+      entry.timer = null;
+    }
+  }
+
+  /**
+   * Their new audio turned out to be nothing (noise, STT empty) — restart the wait
+   */
+  resume(userId) {
+    const entry = this.pending.get(userId);
+    if (entry && !entry.timer) this.schedule(userId, entry, entry.waitMs);
+  }
+
+  /**
+   * Add a transcribed piece
+   * @param {string} userId
+   * @param {{ transcript: string, audio: Buffer, speech: Object|null }} piece
+   */
+  add(userId, piece) {
+    const previous = this.pending.get(userId);
+    if (previous?.timer) clearTimeout(previous.timer);
+
+    const entry = previous
+      ? {
+          transcript: `${previous.transcript} ${piece.transcript}`.trim(),
+          audio: Buffer.concat([previous.audio, piece.audio]),
+          speech: mergeSpeech(previous.speech, piece.speech),
+          pieces: previous.pieces + 1,
+        }
+      : { ...piece, pieces: 1 };
+    if (previous) console.log(`🧵 Stitched ${entry.pieces} pieces: "${entry.transcript}"`);
+
+    const endpoint = classifyEndpoint(entry.transcript);
+    entry.waitMs = endpointWaitMs(endpoint);
+    this.pending.set(userId, entry);
+
+    if (entry.waitMs === 0) {
+      this.flush(userId);
+    } else {
+      console.log(`⏳ Endpoint ${endpoint} — waiting ${entry.waitMs}ms for more from ${userId}`);
+      this.schedule(userId, entry, entry.waitMs);
+    }
+  }
+
+  schedule(userId, entry, waitMs) {
+    entry.timer = setTimeout(() => this.flush(userId), waitMs);
+  }
+
+  /**
+   * Dispatch whatever is pending for a user now
+   */
+  flush(userId) {
+    const entry = this.pending.get(userId);
+    if (!entry) return;
+    clearTimeout(entry.timer);
+    this.pending.delete(userId);
+    this.onUtterance(userId, { transcript: entry.transcript, audio: entry.audio, speech: entry.speech, pieces: entry.pieces });
+  }
+}
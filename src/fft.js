@@ -0,0 +1,70 @@
+/**
+ * FFT - In-place radix-2 transform shared by VAD and noise reduction (pure JS)
+ */
+
+const twiddles = new Map(); // size -> { cos, sin }
+
+function getTwiddles(n) {
+  if (!twiddles.has(n)) {
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let i = 0; i < n / 2; i++) {
+      cos[i] = Math.cos((2 * Math.PI * i) / n);
+      sin[i] = Math.sin((2 * Math.PI * i) / n);
+    }
+    twiddles.set(n, { cos, sin });
+  }
+  return twiddles.get(n);
+}
+
+/**
+ * Forward FFT, in place
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts
+ */
+export function fft(re, im) {
+  const n = re.length;
+  const { cos: cosTable, sin: sinTable } = getTwiddles(n);
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = n / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = cosTable[k * step];
+        const sin = sinTable[k * step];
+        const a = start + k;
+        const b = a + half;
+        const tre = re[b] * cos + im[b] * sin;
+        const tim = im[b] * cos - re[b] * sin;
+        re[b] = re[a] - tre;
+        im[b] = im[a] - tim;
+        re[a] += tre;
+        im[a] += tim;
+      }
+    }
+  }
+}
+
+/**
+ * Inverse FFT, in place (scaled by 1/n)
+ * @param {Float64Array} re
+ * @param {Float64Array} im
+ */
+export function ifft(re, im) {
+  const n = re.length;
+  for (let i = 0; i < n; i++) im[i] = -im[i];
+  fft(re, im);
+  for (let i = 0; i < n; i++) {
+    re[i] /= n;
+    im[i] = -im[i] / n;
+  }
+}
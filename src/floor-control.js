@@ -0,0 +1,143 @@
+/**
+ * Floor Control - Turn-taking when several people talk to the bot
+ *
+ * Every brain task is a "turn" owned by the user who asked. The audio
+ * queue asks the floor which queued clip to play next, so one turn's
+ * sentences always play back-to-back instead of interleaving with
+ * someone else's answer.
+ *
+ * Policies (FLOOR_POLICY):
+ *   fifo      answers play in the order they were asked (default)
+ *   priority  when the floor is free, the highest-priority user's answer
+ *             goes next (ALLOWED_USERS order — first listed wins)
+ *   single    one turn at a time; anyone else asking meanwhile waits
+ *
+ * Clips without a taskId (acks, alerts) are interjections: they play
+ * whenever the current turn has nothing ready.
+ */
+
+import 'dotenv/config';
+
+export const FLOOR_POLICIES = ['fifo', 'priority', 'single'];
+export const FLOOR_POLICY = FLOOR_POLICIES.includes(process.env.FLOOR_POLICY) ? process.env.FLOOR_POLICY : 'fifo';
+
+export class FloorControl {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.policy] - One of FLOOR_POLICIES
+   * @param {(userId: string) => number} [options.rankOf] - Lower plays first under 'priority'
+   */
+  constructor({ policy = FLOOR_POLICY, rankOf = () => 0 } = {}) {
+    this.policy = policy;
+    this.rankOf = rankOf;
+    this.turns = new Map(); // taskId -> { userId, open }
+    this.holder = null; // taskId currently holding the floor
+  }
+
+  /**
+   * Register a turn when its task is dispatched
+   */
+  openTurn(taskId, userId) {
+    this.turns.set(taskId, { userId, open: true });
+  }
+
+  /**
+   * The task has produced everything it will — the turn ends once its queued clips play
+   */
+  closeTurn(taskId) {
+    const turn = this.turns.get(taskId);
+    if (turn) turn.open = false;
+  }
+
+  /**
+   * Whether the turn's task may still produce clips
+   * @returns {boolean}
+   */
+  isOpen(taskId) {
+    return !!this.turns.get(taskId)?.open;
+  }
+
+  /**
+   * Drop a turn outright (cancelled)
+   */
+  dropTurn(taskId) {
+    this.turns.delete(taskId);
+    if (this.holder === taskId) this.holder = null;
+  }
+
+  /**
+   * Whether anyone other than `userId` has a turn in progress
+   * (used by the 'single' policy to hold new requests)
+   * @param {string} [userId]
+   * @returns {boolean}
+   */
+  isBusyFor(userId) {
+    return [...this.turns.values()].some(t => t.userId !== userId);
+  }
+
+  /**
+   * Whether any turn is in progress
+   * @returns {boolean}
+   */
+  isBusy() {
+    return this.turns.size > 0;
+  }
+
+  /**
+   * Owner of the turn currently holding the floor
+   * @returns {string|null}
+   */
+  get holderUserId() {
+    return this.holder !== null ? this.turns.get(this.holder)?.userId ?? null : null;
+  }
+
+  /**
+   * Pick the next clip to play
+   * @param {Array<{ metadata: { taskId?: number } }>} queue - Queued clips
+   * @returns {number} Index into queue, or -1 to wait for the floor holder
+   */
+  pickNext(queue) {
+    const hasClips = (taskId) => queue.some(item => item.metadata.taskId === taskId);
+
+    // Retire turns that are closed and fully played
+    for (const [taskId, turn] of this.turns) {
+      if (!turn.open && !hasClips(taskId)) this.dropTurn(taskId);
+    }
+
+    if (this.holder === null) {
+      this.holder = this.chooseHolder(queue);
+    }
+
+    if (this.holder !== null) {
+      const own = queue.findIndex(item => item.metadata.taskId === this.holder);
+      if (own !== -1) return own;
+    }
+
+    // Holder still thinking (or nobody holds the floor) — interjections may play
+    const interjection = queue.findIndex(item => item.metadata.taskId === undefined);
+    if (interjection !== -1) return interjection;
+
+    // Clips from a turn we don't know about (never opened) — don't strand them
+    if (this.holder === null) {
+      return queue.findIndex(item => !this.turns.has(item.metadata.taskId));
+    }
+    return -1;
+  }
+
+  /**
+   * Which turn gets the floor next
+   * @returns {number|null} taskId
+   */
+  chooseHolder(queue) {
+    const candidates = [...this.turns.keys()].filter(taskId => this.turns.get(taskId).open || queue.some(item => item.metadata.taskId === taskId));
+    if (candidates.length === 0) return null;
+
+    if (this.policy === 'priority') {
+      candidates.sort((a, b) =>
+        (this.rankOf(this.turns.get(a).userId) - this.rankOf(this.turns.get(b).userId)) || (a - b));
+    } else {
+      candidates.sort((a, b) => a - b);
+    }
+    return candidates[0];
+  }
+}
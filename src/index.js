@@ -8,43 +8,104 @@
 import 'dotenv/config';
 import { Client, GatewayIntentBits } from 'discord.js';
 import {
-  joinVoiceChannel,
   VoiceConnectionStatus,
   entersState,
   createAudioPlayer,
-  createAudioResource,
-  AudioPlayerStatus,
   EndBehaviorType,
   NoSubscriberBehavior,
 } from '@discordjs/voice';
-import { createWriteStream, mkdirSync, existsSync, unlinkSync } from 'fs';
+import { Readable } from 'stream';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { transcribeAudio } from './stt.js';
+import { transcribeAudio, createStreamingTranscriber } from './stt.js';
 import { generateResponse, generateResponseStreaming, trimForVoice } from './brain.js';
-import { synthesizeSpeech, splitIntoSentences } from './tts.js';
-import { OpusDecoder } from './opus-decoder.js';
-import { checkWakeWord, markBotResponse, WAKE_WORD_ENABLED } from './wakeword.js';
-import { queueAlert, hasPendingAlerts, getPendingAlerts, clearAlerts } from './alert-queue.js';
-// import { startAlertWebhook, initAlertWebhook, setCurrentVoiceChannelId } from './alert-webhook.js';
+import { synthesizeSpeech, synthesizeSpeechStream, splitIntoSentences, checkTTSHealth, prewarmTTS, getTTSCacheStats } from './tts.js';
+import { formatCacheStats } from './tts-cache.js';
+import { OpusDecoder, tapRtpHeaders } from './opus-decoder.js';
+import { PlaybackController } from './playback.js';
+import { SentenceSynthesizer, GaplessStream, decodeToPcm } from './speech-pipeline.js';
+import { toSpeechMarkup, prependText } from './speech-markup.js';
+import { loadLexicon, watchLexicon } from './speech-normalize.js';
+import { getEarcon, createThinkingLoop, EARCONS_PREFERRED, EARCON_THINKING_AFTER_MS } from './earcons.js';
+import { getDetector, trimSilence, MIN_SPEECH_MS } from './vad.js';
+import { UtteranceStitcher, ENDPOINT_SILENCE_MS } from './endpointing.js';
+import { classifyBargeIn, AnswerTracker, BARGE_IN_THRESHOLD_MS, BARGE_IN_MAX_PAUSE_MS } from './barge-in.js';
+import { EnergyEnvelope, createEchoReference, tapOutgoingAudio, detectEcho, isNearEcho } from './echo.js';
+import { createPreprocessor, pcmToWav } from './audio-preprocess.js';
+import { checkWakeWord, hasWakeWord, markBotResponse, isInConversationWindow, WAKE_WORD_ENABLED } from './wakeword.js';
+import { classifyIntent, createBudgetTracker } from './intent-classifier.js';
+import { shouldDelegate, delegateTask, cancelBackgroundAgent } from './agent-delegate.js';
+import {
+  loadChannelRegistry,
+  watchChannelRegistry,
+  getChannelRegistry,
+  listChannels,
+  detectChannelCommand,
+  resolveChannel,
+  loadDirective,
+  moveToVoiceChannel,
+} from './channel-router.js';
+import {
+  queueAlert,
+  hasPendingAlerts,
+  getPendingAlerts,
+  acknowledgeAlert,
+  dismissAlert,
+  snoozeAlert,
+  getAlert,
+  getAlertHistory,
+  detectAlertHistoryQuery,
+  groupAlertsBySource,
+  alertEvents,
+} from './alert-queue.js';
+import { startAlertWebhook, initAlertWebhook, setCurrentVoiceChannelId, isUserInVoice } from './alert-webhook.js';
+import { loadUserProfiles, getUserProfile, getUserProfiles, receivesAlert, getAlertRecipients } from './user-profiles.js';
+import { FloorControl, FLOOR_POLICY } from './floor-control.js';
+import { startAlertScheduler, isQuietHours } from './alert-scheduler.js';
+import { sweepTmpDir } from './tmp-sweep.js';
+import { detectBriefingCommand, describeDuration } from './alert-briefing.js';
 
 const GATEWAY_URL = process.env.CLAWDBOT_GATEWAY_URL || 'http://127.0.0.1:22100';
 const GATEWAY_TOKEN = process.env.CLAWDBOT_GATEWAY_TOKEN;
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const TMP_DIR = join(__dirname, '..', 'tmp');
-if (!existsSync(TMP_DIR)) mkdirSync(TMP_DIR, { recursive: true });
+
+sweepTmpDir(TMP_DIR); // Audio lives in memory now — clear what older versions (or crashes) left behind
 
 // Config
 const GUILD_ID = process.env.DISCORD_GUILD_ID;
 const VOICE_CHANNEL_ID = process.env.DISCORD_VOICE_CHANNEL_ID;
 const TEXT_CHANNEL_ID = process.env.DISCORD_TEXT_CHANNEL_ID;
-const ALLOWED_USERS = (process.env.ALLOWED_USERS || '').split(',').map(s => s.trim());
+const ALERT_WEBHOOK_ENABLED = process.env.ALERT_WEBHOOK_ENABLED === 'true';
+
+// Fixed things the bot says — pre-synthesized into the TTS cache at startup
+const PHRASES = {
+  online: 'Mandy online.',
+  greeting: 'Mandy online. Voice channel is live.',
+  stopped: 'Stopped.',
+  yes: 'Yes?',
+  onIt: 'On it.',
+  oneMoment: 'One moment.',
+  spillover: 'The rest is in the text channel.',
+  trouble: 'I had trouble with that one. Try again?',
+  delegating: "On it. I'll send an agent.",
+};
+const TTS_CACHE_LOG_INTERVAL_MS = 60 * 60 * 1000;
 
 // Conversation history per user (local backup — gateway session is primary)
-const conversations = new Map(); // userId -> { history: [], lastActive: timestamp }
+const conversations = new Map(); // userId -> { history: [], lastActive, depth, lastResponseType }
 const CONVERSATION_TTL_MS = 30 * 60 * 1000; // Prune inactive conversations after 30 min
 
+function getConversation(userId) {
+  if (!conversations.has(userId)) {
+    conversations.set(userId, { history: [], lastActive: Date.now(), depth: 0, lastResponseType: null });
+  }
+  const conv = conversations.get(userId);
+  conv.lastActive = Date.now();
+  return conv;
+}
+
 function pruneConversations() {
   const now = Date.now();
   for (const [userId, conv] of conversations) {
@@ -58,27 +119,50 @@ setInterval(pruneConversations, 5 * 60 * 1000);
 
 // Voice activity tracking
 const userSpeaking = new Map();
-const SILENCE_THRESHOLD_MS = 1000;
-const MIN_AUDIO_DURATION_MS = 300;
+const preprocessAudio = createPreprocessor(); // 48kHz decoded PCM → cleaned 16kHz for STT
+
+// Endpointing — short stream cut-off, then pieces that trail off ("and...", "um")
+// wait briefly for the rest before dispatch
+const stitcher = new UtteranceStitcher((userId, { transcript, audio, speech }) =>
+  handleSpeech(userId, audio, transcript, speech));
+const transcriptionChains = new Map(); // userId -> Promise (keeps one user's pieces in order)
 
-// Audio player
+// Audio player — the controller owns it and reports real state transitions
 const player = createAudioPlayer({
   behaviors: { noSubscriber: NoSubscriberBehavior.Play },
 });
-// Listener cleanup in playAudio/finish() prevents accumulation — modest limit is safe
-player.setMaxListeners(20);
+const playback = new PlaybackController(player);
+playback.on('interrupted', ({ metadata, playedMs, durationMs }) => {
+  if (metadata.earcon) return; // Cut short by the speech it was standing in for
+  console.log(`⏹️  Playback interrupted at ${playedMs}ms${durationMs ? ` of ${durationMs}ms` : ''}${metadata.taskId ? ` (task #${metadata.taskId})` : ''}`);
+});
+playback.on('failed', ({ error }) => console.error('Playback error:', error?.message));
+playback.on('sentence', ({ metadata }) => {
+  if (metadata.sentence !== undefined) answers.markPlayed(metadata.userId, metadata.taskId, metadata.sentence);
+});
 
 let isSpeaking = false;
 let currentConnection = null;
 let currentVoiceChannelId = null;
-const bargeInEvents = new Set();
+let detachConnectionHandlers = null; // Removes the current channel's receiver/reconnect listeners
+let activeContext = null; // Focused channel: { channelId, channelName, directive }
 const bargeInTimers = new Map(); // Module-scope so reconnects can clear old timers
-let pendingAlertBriefingForUser = null;
+let bargeInPause = null; // { userId, timer } while an answer is paused to hear what they said
+const answers = new AnswerTracker(); // Each user's latest answer, for "go on" after a barge-in
+const echoReference = createEchoReference(); // Loudness of everything we've played lately
+const pendingAlertBriefings = new Set(); // userIds to brief at the next natural pause
 
 // Async task management — concurrent background brain calls
 const activeTasks = new Map(); // taskId -> { controller, transcript, startTime }
 let taskIdCounter = 0;
 
+// Delegated tasks — heavy work handed to a background agent session.
+// Tracked separately from activeTasks: they run for minutes and must not
+// hold up alert briefings or the "On it." concurrency ack.
+const DELEGATION_ENABLED = process.env.AGENT_DELEGATION_ENABLED !== 'false';
+const DELEGATION_POLL_TIMEOUT_MS = parseInt(process.env.AGENT_DELEGATION_TIMEOUT_MS || '600000'); // 10 minutes
+const delegatedTasks = new Map(); // taskId -> { controller, transcript, startTime, userId, sessionKey }
+
 // Interrupt/stop command detection
 const INTERRUPT_PATTERNS = [
   /^(mandy\s*[,.]?\s*)?(stop|cancel|abort|shut up|be quiet|enough|nevermind|never mind|hold on|wait)\.?$/i,
@@ -91,45 +175,157 @@ function isInterruptCommand(transcript) {
   return INTERRUPT_PATTERNS.some(p => p.test(clean));
 }
 
-// Voice-to-text handoff tracking
-let userDisconnected = false;
-let lastInteractionTime = 0;
-let lastUserMessage = '';
+// Voice-to-text handoff tracking, per user
+const userStates = new Map(); // userId -> { disconnected, lastInteractionTime, lastUserMessage }
 const ACTIVE_CONVERSATION_WINDOW_MS = 2 * 60 * 1000; // 2 minutes
 
+function getUserState(userId) {
+  if (!userStates.has(userId)) {
+    userStates.set(userId, { disconnected: false, lastInteractionTime: 0, lastUserMessage: '' });
+  }
+  return userStates.get(userId);
+}
+
+/**
+ * TTS options for speech addressed to a user (their preferred voice)
+ */
+function speechOptions(userId) {
+  return { voice: getUserProfile(userId)?.voice };
+}
+
+/**
+ * Allowed users currently in the bot's voice channel
+ */
+function getUsersInVoice() {
+  if (!currentConnection) return [];
+  return getUserProfiles().filter(p => isUserInVoice(p.id));
+}
+
+// ── Floor Control (turn-taking between users) ────────────────────────
+
+const FLOOR_ADDRESSING = process.env.FLOOR_ADDRESSING !== 'false'; // "Alex, ..." when several people are present
+const floor = new FloorControl({
+  policy: FLOOR_POLICY,
+  rankOf: (userId) => getUserProfiles().findIndex(p => p.id === userId),
+});
+const heldRequests = []; // 'single' policy — requests waiting for the floor: { userId, run }
+
+/**
+ * Name to prefix a response with, or null when there's nobody to tell apart
+ */
+function getAddressee(userId) {
+  if (!FLOOR_ADDRESSING || getUsersInVoice().length < 2) return null;
+  return getUserProfile(userId)?.name || null;
+}
+
+/**
+ * Hand the floor to the next held request once every turn has finished
+ */
+function releaseHeldRequests() {
+  if (heldRequests.length === 0 || floor.isBusy()) return;
+  heldRequests.shift().run();
+}
+
 // ── Audio Queue (for streaming TTS) ──────────────────────────────────
 
 class AudioQueue {
   constructor() {
     this.queue = [];
     this.playing = false;
+    this.current = null; // Metadata of the clip playing now ({ taskId, userId })
+    this.gapless = null; // GaplessStream carrying the current turn's sentences
   }
   
-  add(audioSource, metadata = {}) {
-    this.queue.push({ audioSource, metadata });
+  /**
+   * @param {Buffer|Readable|string} audioSource - MP3 bytes, an audio stream, a file path, or PCM (raw)
+   * @param {Object} [metadata] - { taskId, userId } for turn responses; omit for interjections
+   * @param {Object} [options]
+   * @param {boolean} [options.raw] - 48kHz stereo PCM sentence from the speech pipeline
+   */
+  add(audioSource, metadata = {}, { raw = false } = {}) {
+    const sameTurn = metadata.taskId !== undefined && this.current?.taskId === metadata.taskId;
+    if (sameTurn && this.gapless?.open) {
+      // Next sentence of the turn on the speaker — append it without a gap
+      if (raw && this.gapless.append(audioSource, metadata)) return;
+      this.gapless.finish(); // Not PCM — it plays as its own clip once the stream drains
+    }
+    this.queue.push({ audioSource, metadata, raw });
     if (!this.playing) this.playNext();
   }
   
+  /**
+   * The turn has queued its last sentence — let its gapless stream end
+   */
+  endTurn(taskId) {
+    if (this.gapless && this.current?.taskId === taskId) this.gapless.finish();
+  }
+  
   clear() {
+    for (const { audioSource } of this.queue) { if (audioSource instanceof Readable) audioSource.destroy(); }
     this.queue = [];
+    this.gapless?.destroy();
     if (this.playing) {
-      player.stop(true);
+      playback.stop();
       this.playing = false;
     }
   }
   
+  /**
+   * Drop one user's queued responses; stops playback if theirs is playing
+   */
+  clearUser(userId) {
+    const dropped = this.queue.filter(item => item.metadata.userId === userId);
+    for (const { audioSource } of dropped) { if (audioSource instanceof Readable) audioSource.destroy(); }
+    this.queue = this.queue.filter(item => item.metadata.userId !== userId);
+    if (this.playing && this.current?.userId === userId) {
+      this.gapless?.destroy();
+      playback.stop();
+    }
+  }
+  
+  /**
+   * Re-check the floor (a turn opened or closed while idle)
+   */
+  kick() {
+    if (!this.playing) this.playNext();
+  }
+  
   async playNext() {
-    if (this.queue.length === 0) {
+    // The floor decides whose clip is next — -1 means the holder's next sentence isn't ready yet
+    const index = this.queue.length > 0 ? floor.pickNext(this.queue) : -1;
+    if (index === -1) {
+      if (this.queue.length === 0) floor.pickNext(this.queue); // Retire finished turns
       this.playing = false;
+      this.current = null;
       isSpeaking = false;
+      releaseHeldRequests();
       return;
     }
     this.playing = true;
     isSpeaking = true;
-    const { audioSource } = this.queue.shift();
-    try { await playAudio(audioSource); } catch (err) { console.error('Queue playback error:', err.message); }
-    // Clean up TTS temp file after playback
-    try { unlinkSync(audioSource); } catch {}
+    const [{ audioSource, metadata, raw }] = this.queue.splice(index, 1);
+    this.current = metadata;
+    try {
+      if (raw && metadata.taskId !== undefined) {
+        // One continuous stream for this and every following sentence of the turn
+        const stream = new GaplessStream();
+        stream.append(audioSource, metadata);
+        let next;
+        while ((next = this.queue.findIndex(item => item.metadata.taskId === metadata.taskId)) !== -1 && this.queue[next].raw) {
+          const [item] = this.queue.splice(next, 1);
+          stream.append(item.audioSource, item.metadata);
+        }
+        if (next !== -1 || !floor.isOpen(metadata.taskId)) stream.finish(); // Nothing more will be appended
+        this.gapless = stream;
+        await playAudio(stream, metadata, { raw: true });
+      } else {
+        await playAudio(audioSource, metadata, { raw });
+      }
+    } catch (err) {
+      console.error('Queue playback error:', err.message);
+    } finally {
+      if (this.gapless) { this.gapless.destroy(); this.gapless = null; }
+    }
     setImmediate(() => this.playNext());
   }
 }
@@ -147,50 +343,366 @@ function getTimeAgo(timestamp) {
   return `${hours} hour${hours > 1 ? 's' : ''} ago`;
 }
 
-async function briefPendingAlerts(userId) {
-  const alerts = getPendingAlerts();
+function describeRepeats(alert) {
+  return alert.occurrences > 1 ? `, repeated ${alert.occurrences} times` : '';
+}
+
+function priorityLabel(alert) {
+  return alert.priority === 'critical' ? 'critical' : alert.priority === 'urgent' ? 'urgent' : '';
+}
+
+/**
+ * Summarize pending alerts and offer to read them one at a time
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.onJoin] - User just joined voice (prefix "Welcome back.")
+ */
+async function briefPendingAlerts(userId, options = {}) {
+  if (briefingSession) return; // Already mid-briefing — new alerts wait for the next one
+  const profile = getUserProfile(userId);
+  let alerts = getPendingAlerts().filter(a => receivesAlert(profile, a));
   if (alerts.length === 0) return;
   
-  let briefing = 'Welcome back. ';
+  // Quiet hours — only critical alerts are spoken, the rest go to DM
+  if (isQuietHours()) {
+    await notifyAlertsByDM(userId, alerts.filter(a => a.priority !== 'critical'));
+    alerts = alerts.filter(a => a.priority === 'critical');
+    if (alerts.length === 0) return;
+  }
+  
+  let briefing = options.onJoin ? `Welcome back${profile?.name ? `, ${profile.name}` : ''}. ` : '';
   if (alerts.length === 1) {
     const alert = alerts[0];
-    briefing += `${alert.priority === 'urgent' ? 'Urgent alert' : 'Alert'} from ${getTimeAgo(alert.timestamp)}: ${alert.message}. Want the rundown?`;
+    const label = alert.priority === 'critical' ? 'Critical alert' : alert.priority === 'urgent' ? 'Urgent alert' : 'Alert';
+    briefing += `${label} from ${getTimeAgo(alert.timestamp)}: ${alert.message}${describeRepeats(alert)}.`;
+    briefing += alert.fullDetails ? ' Want the rundown?' : '';
   } else {
-    briefing += `You have ${alerts.length} alerts. `;
+    // Group related alerts by source so a noisy monitor reads as one line
+    const groups = groupAlertsBySource(alerts);
+    briefing += `You have ${alerts.length} alerts`;
+    briefing += groups.length > 1 ? ` from ${groups.length} sources. ` : ` from ${groups[0].source}. `;
+    const criticalCount = alerts.filter(a => a.priority === 'critical').length;
     const urgentCount = alerts.filter(a => a.priority === 'urgent').length;
+    if (criticalCount > 0) briefing += `${criticalCount} critical. `;
     if (urgentCount > 0) briefing += `${urgentCount} urgent. `;
     briefing += 'Want the briefing?';
   }
   
-  const audio = await synthesizeSpeech(briefing);
-  if (audio) { await playAudio(audio); try { unlinkSync(audio); } catch {} }
+  await speakNow(briefing, speechOptions(userId));
   markBotResponse(userId);
   
-  // Inject alert context into conversation history so gateway agent can handle follow-ups
-  if (!conversations.has(userId)) conversations.set(userId, { history: [], lastActive: Date.now() });
-  const conv = conversations.get(userId);
-  conv.lastActive = Date.now();
+  const conv = getConversation(userId);
+  conv.history.push({ role: 'assistant', content: briefing });
+  while (conv.history.length > 40) conv.history.shift();
+  
+  // A single alert without details has nothing more to offer
+  if (alerts.length === 1 && !alerts[0].fullDetails) {
+    acknowledgeAlert(alerts[0].id);
+    return;
+  }
+  
+  briefingSession = { userId, alertIds: alerts.map(a => a.id), index: 0, state: 'offered', timer: null };
+  touchBriefing();
+}
+
+// ── Interactive Briefing ─────────────────────────────────────────────
+
+const BRIEFING_TIMEOUT_MS = 60 * 1000; // End the briefing if the user goes quiet
+const BRIEFING_DECLINE_SNOOZE_MS = parseInt(process.env.ALERT_DECLINE_SNOOZE_MS || '3600000'); // "Later" holds alerts this long
+let briefingSession = null; // { userId, alertIds, index, state: 'offered'|'reading', timer }
+
+function touchBriefing() {
+  if (!briefingSession) return;
+  clearTimeout(briefingSession.timer);
+  briefingSession.timer = setTimeout(() => {
+    console.log('📢 Briefing timed out');
+    endBriefing();
+  }, BRIEFING_TIMEOUT_MS);
+  briefingSession.timer.unref();
+}
+
+/**
+ * End the briefing. The summary (offered) or the alert being read counts as
+ * heard and is acknowledged; unread alerts stay pending for the next briefing.
+ */
+function endBriefing() {
+  if (!briefingSession) return;
+  const session = briefingSession;
+  briefingSession = null;
+  clearTimeout(session.timer);
   
-  // Build detailed alert context for the agent
-  let alertContext = `[SYSTEM] The following alerts were queued while user was away and just briefed via TTS:\n`;
-  for (const alert of alerts) {
-    alertContext += `- [${alert.priority}] ${getTimeAgo(alert.timestamp)}: ${alert.message}`;
-    if (alert.fullDetails) alertContext += ` | Details: ${alert.fullDetails}`;
-    if (alert.source) alertContext += ` (source: ${alert.source})`;
-    alertContext += '\n';
+  const heard = session.state === 'offered' ? session.alertIds : [session.alertIds[session.index]];
+  for (const id of heard) {
+    if (id && getAlert(id)?.status === 'pending') acknowledgeAlert(id);
   }
-  alertContext += `User was told: "${briefing}"\nIf they ask for details, provide the full alert information above.`;
+}
+
+async function speakBriefing(userId, text) {
+  const audio = await synthesizeSpeech(text, speechOptions(userId));
+  if (audio) audioQueue.add(audio);
+  markBotResponse(userId);
   
-  conv.history.push({ role: 'assistant', content: alertContext });
+  // Keep what was read in history so follow-up questions have context
+  const conv = getConversation(userId);
+  conv.history.push({ role: 'assistant', content: text });
   while (conv.history.length > 40) conv.history.shift();
+}
+
+/**
+ * Read the current alert, skipping any that were handled elsewhere meanwhile
+ * (critical interrupt, DM, expiry). Ends the briefing after the last one.
+ */
+async function readCurrentAlert(prefix = '') {
+  const session = briefingSession;
+  let alert = getAlert(session.alertIds[session.index]);
+  while (alert && alert.status !== 'pending') {
+    session.index++;
+    alert = getAlert(session.alertIds[session.index]);
+  }
   
-  clearAlerts();
+  if (!alert) {
+    briefingSession = null;
+    clearTimeout(session.timer);
+    await speakBriefing(session.userId, `${prefix}That's all your alerts.`.trim());
+    return;
+  }
+  
+  const isFirst = session.index === 0;
+  const isLast = session.index === session.alertIds.length - 1;
+  const ordinal = isFirst ? 'First' : isLast ? 'Last one' : 'Next';
+  const label = priorityLabel(alert);
+  let text = `${prefix}${ordinal}, ${label ? `${label}, ` : ''}from ${alert.source}, ${getTimeAgo(alert.timestamp)}: ${alert.message.replace(/[.!?]+$/, '')}${describeRepeats(alert)}.`;
+  if (alert.fullDetails) text += ' Details available.';
+  await speakBriefing(session.userId, text);
+}
+
+async function advanceBriefing(prefix = '') {
+  briefingSession.index++;
+  await readCurrentAlert(prefix);
+}
+
+/**
+ * Handle "next", "skip", "dismiss", "snooze that for an hour" etc. while a
+ * briefing is open. Anything else ends the briefing and falls through.
+ * @returns {Promise<boolean>} True if the transcript was a briefing command
+ */
+async function handleBriefingCommand(userId, transcript) {
+  const session = briefingSession;
+  if (!session || session.userId !== userId) return false;
+  
+  const command = detectBriefingCommand(transcript, session.state);
+  if (!command) {
+    endBriefing();
+    return false;
+  }
+  
+  console.log(`📢 Briefing command: ${command.action}`);
+  touchBriefing();
+  
+  if (session.state === 'offered') {
+    if (command.action === 'decline') {
+      // "Later" — hold everything for the default snooze instead of nagging at the next pause
+      for (const id of session.alertIds) snoozeAlert(id, BRIEFING_DECLINE_SNOOZE_MS);
+      briefingSession = null;
+      clearTimeout(session.timer);
+      await speakBriefing(userId, `Okay, I'll hold them for ${describeDuration(BRIEFING_DECLINE_SNOOZE_MS)}.`);
+      return true;
+    }
+    session.state = 'reading';
+    // A single alert was already summarized — go straight to its details
+    if (session.alertIds.length === 1) {
+      const alert = getAlert(session.alertIds[0]);
+      if (alert?.fullDetails) {
+        await speakBriefing(userId, alert.fullDetails);
+        return true;
+      }
+    }
+    await readCurrentAlert();
+    return true;
+  }
+  
+  const alertId = session.alertIds[session.index];
+  const alert = getAlert(alertId);
+  
+  switch (command.action) {
+    case 'next':
+      acknowledgeAlert(alertId);
+      await advanceBriefing();
+      break;
+    case 'skip':
+      await advanceBriefing('Skipped. ');
+      break;
+    case 'repeat':
+      await readCurrentAlert();
+      break;
+    case 'details':
+      await speakBriefing(userId, alert?.fullDetails || 'No more details on that one.');
+      break;
+    case 'dismiss':
+      dismissAlert(alertId);
+      await advanceBriefing('Dismissed. ');
+      break;
+    case 'snooze':
+      snoozeAlert(alertId, command.durationMs);
+      await advanceBriefing(`Snoozed for ${describeDuration(command.durationMs)}. `);
+      break;
+    case 'post': {
+      const badge = alert?.priority === 'critical' ? '🔥' : alert?.priority === 'urgent' ? '🚨' : '🔔';
+      const posted = alert && await postToTextChannel(
+        `${badge} **${alert.message}**\n*${alert.source} · ${getTimeAgo(alert.timestamp)}${alert.occurrences > 1 ? ` · x${alert.occurrences}` : ''}*` +
+        (alert.fullDetails ? `\n\n${alert.fullDetails}` : '')
+      );
+      if (!posted) {
+        await speakBriefing(userId, "I couldn't post that one.");
+        break;
+      }
+      acknowledgeAlert(alertId, 'text');
+      await advanceBriefing('Posted. ');
+      break;
+    }
+    case 'stop':
+      endBriefing();
+      await speakBriefing(userId, 'Okay, the rest can wait.');
+      break;
+  }
+  return true;
+}
+
+/**
+ * Answer "what alerts did I get this morning?" from the alert history
+ */
+async function answerAlertHistory(userId, range) {
+  const profile = getUserProfile(userId);
+  const history = getAlertHistory(range).filter(a => receivesAlert(profile, a));
+  let reply;
+  
+  if (history.length === 0) {
+    reply = `${range.label} you had no alerts.`;
+  } else {
+    const formatTime = (ts) => new Date(ts).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    const spoken = history.slice(-5);
+    reply = `${range.label} you had ${history.length} alert${history.length > 1 ? 's' : ''}. `;
+    reply += spoken.map(a => `At ${formatTime(a.timestamp)}, ${priorityLabel(a) ? `${priorityLabel(a)}, ` : ''}${a.message.replace(/[.!?]+$/, '')}${a.status === 'pending' ? ', not yet briefed' : ''}.`).join(' ');
+    if (history.length > spoken.length) reply += ` Plus ${history.length - spoken.length} earlier.`;
+  }
+  
+  console.log(`📜 Alert history (${range.label}): ${history.length} alerts`);
+  const audio = await synthesizeSpeech(reply, speechOptions(userId));
+  if (audio) audioQueue.add(audio);
 }
 
 function scheduleBriefingOnPause(userId) {
-  pendingAlertBriefingForUser = userId;
+  pendingAlertBriefings.add(userId);
+}
+
+// ── Proactive Alert Delivery ─────────────────────────────────────────
+
+/**
+ * Nothing is happening in the channel — safe to speak unprompted
+ */
+function isVoiceIdle() {
+  return userSpeaking.size === 0 &&
+    !isSpeaking &&
+    !audioQueue.playing &&
+    audioQueue.queue.length === 0 &&
+    activeTasks.size === 0 &&
+    !briefingSession;
 }
 
+const ALERT_PROSODY = { rate: 0.95, pitch: 5 }; // A touch slower and brighter than normal speech
+
+/**
+ * Speak urgent alerts unprompted (earcon first), acknowledging each
+ */
+async function speakAlertsProactively(userId, alerts) {
+  try { await playEarcon('alert'); } catch (err) { console.error('Earcon failed:', err.message); }
+  
+  for (const alert of alerts.slice(0, 3)) {
+    const label = alert.priority === 'critical' ? 'Critical alert' : 'Urgent alert';
+    const audio = await synthesizeSpeech(`${label} from ${alert.source}: ${alert.message}${describeRepeats(alert)}.`, { ...speechOptions(userId), prosody: ALERT_PROSODY });
+    if (audio) audioQueue.add(audio);
+    acknowledgeAlert(alert.id);
+  }
+  if (alerts.length > 3) {
+    const audio = await synthesizeSpeech(`Plus ${alerts.length - 3} more at the next pause.`, speechOptions(userId));
+    if (audio) audioQueue.add(audio);
+  }
+  markBotResponse(userId);
+}
+
+/**
+ * Send alerts by DM instead of speaking them, acknowledging each
+ */
+async function notifyAlertsByDM(userId, alerts) {
+  if (alerts.length === 0) return;
+  const lines = alerts.map(a => `${a.priority === 'urgent' ? '🚨' : '🔔'} ${a.message}${a.occurrences > 1 ? ` (x${a.occurrences})` : ''}${a.source ? ` — *${a.source}*` : ''}`);
+  const sent = await sendDM(getUserProfile(userId)?.dmUserId || userId, `🌙 **Quiet hours** — alerts held from voice:\n${lines.join('\n')}`);
+  if (sent) {
+    for (const alert of alerts) acknowledgeAlert(alert.id, 'dm');
+  }
+}
+
+// ── Critical Alerts & Escalation ─────────────────────────────────────
+
+const CRITICAL_REPEAT_COOLDOWN_MS = 2 * 60 * 1000; // Don't re-interrupt for the same critical alert
+const lastCriticalInterrupt = new Map(); // source+key -> timestamp
+
+/**
+ * Critical alerts don't wait for a pause — cut off whatever is playing
+ * and speak the alert now. Interrupted answers can be resumed with
+ * "go on" afterwards. Repeats within the cooldown stay pending and
+ * are covered by the next regular briefing.
+ */
+async function interruptWithCriticalAlert(alert, listeners) {
+  const now = Date.now();
+  for (const [k, at] of lastCriticalInterrupt) {
+    if (now - at >= CRITICAL_REPEAT_COOLDOWN_MS) lastCriticalInterrupt.delete(k);
+  }
+  const key = `${alert.source}:${alert.dedupeKey || alert.message}`;
+  if (lastCriticalInterrupt.has(key)) return;
+  lastCriticalInterrupt.set(key, now);
+  
+  console.log(`🔥 Critical alert — interrupting playback: ${alert.message.substring(0, 50)}`);
+  // Every answer cut off keeps its unsaid sentences for "go on" and gives up its floor turn
+  const interrupted = new Set([audioQueue.current, ...audioQueue.queue.map(item => item.metadata)].map(m => m?.userId).filter(Boolean));
+  if (bargeInPause) {
+    clearTimeout(bargeInPause.timer);
+    interrupted.add(bargeInPause.userId);
+    bargeInPause = null;
+  }
+  for (const userId of interrupted) {
+    answers.saveRemainder(userId);
+    cancelUserTasks(userId);
+  }
+  audioQueue.clear();
+  playback.stop();
+  isSpeaking = false;
+  queueEarcon('alert'); // Plays while the alert is being synthesized
+  
+  const audio = await synthesizeSpeech(`Critical alert from ${alert.source}: ${alert.message}${describeRepeats(alert)}.`, { ...speechOptions(listeners[0].id), prosody: ALERT_PROSODY });
+  if (audio) audioQueue.add(audio);
+  acknowledgeAlert(alert.id);
+  for (const profile of listeners) markBotResponse(profile.id);
+}
+
+/**
+ * Recipients of an alert who are in voice right now
+ */
+function getListenersFor(alert) {
+  return getUsersInVoice().filter(p => receivesAlert(p, alert));
+}
+
+alertEvents.on('queued', (alert) => {
+  if (alert.priority !== 'critical') return;
+  const listeners = getListenersFor(alert);
+  if (listeners.length === 0) return;
+  interruptWithCriticalAlert(alert, listeners).catch(err => console.error('Critical alert failed:', err.message));
+});
+
+alertEvents.on('escalated', (alert) => {
+  for (const profile of getListenersFor(alert)) scheduleBriefingOnPause(profile.id);
+});
+
 // ── Dynamic Greeting ─────────────────────────────────────────────────
 
 async function generateDynamicGreeting() {
@@ -229,8 +741,47 @@ client.once('ready', async () => {
   console.log(`🤖 Mandy Voice Bot online as ${client.user.tag}`);
   console.log(`📡 Guild: ${GUILD_ID} | Voice: ${VOICE_CHANNEL_ID}`);
   
-  // initAlertWebhook(client, GUILD_ID, ALLOWED_USERS, scheduleBriefingOnPause);
-  // startAlertWebhook();
+  loadUserProfiles();
+  loadChannelRegistry();
+  watchChannelRegistry();
+  loadLexicon();
+  watchLexicon();
+  
+  // TTS provider chain — a dead primary still works (fallbacks), but say so up front
+  checkTTSHealth().then(results => {
+    for (const { name, ok, detail } of results) console.log(`${ok ? '🔊' : '⚠️ '} TTS ${name}: ${detail}`);
+  });
+  
+  // Fixed phrases in every voice in use, so acks never wait on a TTS round trip
+  const voiceOptions = [{}, ...getUserProfiles().map(p => speechOptions(p.id)).filter(o => Object.keys(o.voice || {}).length > 0)];
+  prewarmTTS(Object.values(PHRASES), voiceOptions).then(({ warmed, cached, failed }) => {
+    if (getTTSCacheStats()) console.log(`🗄️  TTS cache warm: ${warmed} synthesized, ${cached} already cached${failed ? `, ${failed} failed` : ''}`);
+  });
+  setInterval(() => {
+    const stats = getTTSCacheStats();
+    if (stats) console.log(`🗄️  TTS cache: ${formatCacheStats(stats)}`);
+  }, TTS_CACHE_LOG_INTERVAL_MS).unref();
+  
+  startAlertScheduler({
+    isUserPresent: (alert) => getListenersFor(alert).length > 0,
+    isIdle: isVoiceIdle,
+    // One shared channel — each alert is spoken once, addressed to the first listener routed it
+    speak: async (alerts) => {
+      for (const profile of getUsersInVoice()) {
+        const mine = alerts.filter(a => receivesAlert(profile, a) && getAlert(a.id)?.status === 'pending');
+        if (mine.length > 0) await speakAlertsProactively(profile.id, mine);
+      }
+    },
+    notifyByDM: async (alerts) => {
+      for (const profile of getUsersInVoice()) {
+        await notifyAlertsByDM(profile.id, alerts.filter(a => receivesAlert(profile, a)));
+      }
+    },
+  });
+  
+  // Always init — isUserInVoice() is used by the scheduler even without the HTTP server
+  initAlertWebhook(client, GUILD_ID, scheduleBriefingOnPause);
+  if (ALERT_WEBHOOK_ENABLED) startAlertWebhook();
   
   try {
     await joinChannel(VOICE_CHANNEL_ID, { greeting: true });
@@ -243,29 +794,35 @@ client.once('ready', async () => {
 
 // Detect user joining/leaving voice channel
 client.on('voiceStateUpdate', async (oldState, newState) => {
-  if (newState.id !== ALLOWED_USERS[0]) return;
+  const profile = getUserProfile(newState.id);
+  if (!profile) return;
+  const state = getUserState(newState.id);
   
-  // User joined
-  if (!oldState.channelId && newState.channelId === currentVoiceChannelId) {
-    userDisconnected = false; // Reset disconnect flag on join
-    console.log(`👋 User joined voice channel`);
+  const wasHere = !!currentVoiceChannelId && oldState.channelId === currentVoiceChannelId;
+  const isHere = !!currentVoiceChannelId && newState.channelId === currentVoiceChannelId;
+  
+  // User joined — from outside voice or moved in from another channel
+  if (!wasHere && isHere) {
+    state.disconnected = false; // Reset disconnect flag on join
+    console.log(`👋 ${profile.name || newState.id} joined voice channel`);
     // Quick "Mandy online" on join — no waiting for AI-generated greeting
     setTimeout(async () => {
       try {
-        const audio = await synthesizeSpeech('Mandy online.');
-        if (audio) { await playAudio(audio); try { unlinkSync(audio); } catch {} }
+        await speakNow(PHRASES.online, speechOptions(newState.id));
       } catch {}
       // Brief pending alerts after greeting
       if (hasPendingAlerts()) {
-        await briefPendingAlerts(newState.id);
+        await briefPendingAlerts(newState.id, { onJoin: true });
       }
     }, 500);
   }
   
-  // User left
-  if (oldState.channelId === currentVoiceChannelId && !newState.channelId) {
-    console.log(`👋 User left voice channel`);
-    userDisconnected = true;
+  // User left — disconnected or moved to another channel
+  if (wasHere && !isHere) {
+    console.log(`👋 ${profile.name || newState.id} left voice channel`);
+    state.disconnected = true;
+    pendingAlertBriefings.delete(newState.id);
+    if (briefingSession?.userId === newState.id) endBriefing();
     await handleVoiceDisconnect(newState.id);
   }
 });
@@ -309,19 +866,29 @@ async function postToTextChannel(message) {
 }
 
 async function handleVoiceDisconnect(userId) {
-  const timeSinceLastInteraction = Date.now() - lastInteractionTime;
+  const state = getUserState(userId);
+  const timeSinceLastInteraction = Date.now() - state.lastInteractionTime;
   const wasRecentlyActive = timeSinceLastInteraction < ACTIVE_CONVERSATION_WINDOW_MS;
+  const isMine = (task) => task.userId === userId;
+  
+  // Delegated agents keep running — their TL;DRs are queued as alerts
+  const delegatedCount = [...delegatedTasks.values()].filter(isMine).length;
+  if (delegatedCount > 0) {
+    console.log(`📬 ${delegatedCount} delegated tasks running — results will be queued as alerts`);
+  }
   
-  // Handle in-flight tasks — they'll detect userDisconnected and post to text
-  if (activeTasks.size > 0) {
-    console.log(`📤 ${activeTasks.size} tasks in flight — will handoff to text channel when ready`);
+  // Handle in-flight tasks — they'll see state.disconnected and post to text
+  const activeCount = [...activeTasks.values()].filter(isMine).length;
+  if (activeCount > 0) {
+    console.log(`📤 ${activeCount} tasks in flight — will handoff to text channel when ready`);
     return;
   }
   
   // Handle recent conversation handoff
-  if (wasRecentlyActive && lastUserMessage) {
+  if (wasRecentlyActive && state.lastUserMessage) {
     console.log(`📤 Active conversation detected — posting handoff note to text channel`);
-    const handoffMsg = `🎙️ Voice session ended. Last topic: "${lastUserMessage}". Continuing in text.`;
+    const name = getUserProfile(userId)?.name;
+    const handoffMsg = `🎙️ ${name ? `${name}'s voice` : 'Voice'} session ended. Last topic: "${state.lastUserMessage}". Continuing in text.`;
     await postToTextChannel(handoffMsg);
     return;
   }
@@ -331,24 +898,20 @@ async function handleVoiceDisconnect(userId) {
 }
 
 async function joinChannel(voiceChannelId, options = {}) {
-  const guild = client.guilds.cache.get(GUILD_ID);
-  if (!guild) throw new Error(`Guild ${GUILD_ID} not found`);
-  const channel = guild.channels.cache.get(voiceChannelId);
-  if (!channel) throw new Error(`Voice channel ${voiceChannelId} not found`);
-  
-  const connection = joinVoiceChannel({
-    channelId: voiceChannelId,
-    guildId: GUILD_ID,
-    adapterCreator: guild.voiceAdapterCreator,
-    selfDeaf: false,
-    selfMute: false,
-  });
+  // Moving within a guild reuses the same VoiceConnection (and receiver),
+  // so drop the previous channel's handlers before attaching new ones
+  if (detachConnectionHandlers) {
+    detachConnectionHandlers();
+    detachConnectionHandlers = null;
+  }
+  
+  const connection = await moveToVoiceChannel(client, GUILD_ID, voiceChannelId);
   
   await entersState(connection, VoiceConnectionStatus.Ready, 30_000);
   connection.subscribe(player);
   currentConnection = connection;
   currentVoiceChannelId = voiceChannelId;
-  // setCurrentVoiceChannelId(voiceChannelId); // Disabled - webhook feature
+  setCurrentVoiceChannelId(voiceChannelId);
   
   // Reconnect on disconnect — named handler + once() to prevent listener accumulation
   const handleDisconnect = async () => {
@@ -362,43 +925,40 @@ async function joinChannel(voiceChannelId, options = {}) {
     } catch {
       connection.destroy();
       console.log('⚠️  Disconnected, rejoining...');
-      setTimeout(() => joinChannel(voiceChannelId), 5000);
+      // Rejoin wherever we are now — a move may have happened since this handler was attached
+      setTimeout(() => joinChannel(currentVoiceChannelId), 5000);
     }
   };
   connection.once(VoiceConnectionStatus.Disconnected, handleDisconnect);
   
   // Listen to incoming audio
   const receiver = connection.receiver;
+  tapRtpHeaders(receiver); // Sequence numbers let the decoder conceal dropped packets
+  tapOutgoingAudio(connection, echoReference); // What we send is the reference for echo rejection
   // Clear any stale barge-in timers from previous connection
   for (const [uid, timer] of bargeInTimers) { clearTimeout(timer); }
   bargeInTimers.clear();
-  const BARGE_IN_THRESHOLD_MS = 600;
   
-  receiver.speaking.on('end', (userId) => {
+  const onSpeakingEnd = (userId) => {
     if (bargeInTimers.has(userId)) {
       clearTimeout(bargeInTimers.get(userId));
       bargeInTimers.delete(userId);
     }
-  });
+  };
   
-  receiver.speaking.on('start', (userId) => {
-    if (!ALLOWED_USERS.includes(userId)) {
+  const onSpeakingStart = (userId) => {
+    if (!getUserProfile(userId)) {
       console.log(`🔇 Ignored speech from non-allowed user: ${userId}`);
       return;
     }
     console.log(`🎤 Speaking start: ${userId} (isSpeaking=${isSpeaking}, userSpeaking=${userSpeaking.has(userId)})`);
+    stitcher.hold(userId); // More may be coming — don't dispatch their last piece yet
 
     // Barge-in detection
     if (isSpeaking) {
       if (!bargeInTimers.has(userId)) {
         const timer = setTimeout(() => {
-          if (isSpeaking) {
-            console.log(`⚡ Barge-in — stopping playback`);
-            bargeInEvents.add(userId);
-            player.stop(true);
-            audioQueue.clear();
-            isSpeaking = false;
-          }
+          if (isSpeaking && !isEcho(userId, userSpeaking.get(userId)?.heard, 'barge-in')) bargeIn(userId);
           bargeInTimers.delete(userId);
         }, BARGE_IN_THRESHOLD_MS);
         bargeInTimers.set(userId, timer);
@@ -408,20 +968,40 @@ async function joinChannel(voiceChannelId, options = {}) {
     // Collect audio
     if (!userSpeaking.has(userId)) {
       const audioStream = receiver.subscribe(userId, {
-        end: { behavior: EndBehaviorType.AfterSilence, duration: SILENCE_THRESHOLD_MS },
+        end: { behavior: EndBehaviorType.AfterSilence, duration: ENDPOINT_SILENCE_MS },
       });
       
       const chunks = [];
+      const heard = new EnergyEnvelope(); // Compared against echoReference
       const decoder = new OpusDecoder();
+      const vad = getDetector(userId);
+      vad.reset();
       audioStream.pipe(decoder);
       
-      decoder.on('data', (chunk) => chunks.push(chunk));
+      // Streaming STT hears the audio as it arrives (null when off)
+      const live = createStreamingTranscriber({ sampleRate: 48000, wakeWords: getUserProfile(userId)?.wakeWords });
+      if (live) {
+        live.on('partial', (text) => handlePartialTranscript(userId, text, live));
+        live.on('final', (text) => handlePartialTranscript(userId, text, live, { segment: true }));
+        live.on('error', (err) => console.warn(`⚠️  Streaming STT failed for ${userId}: ${err.message} — will use file STT`));
+      }
+      
+      // VAD scores each decoded 20ms frame as it arrives
+      decoder.on('data', (chunk) => {
+        chunks.push(chunk);
+        heard.append(chunk);
+        vad.push(chunk);
+        live?.write(chunk);
+      });
       
       // Clean up userSpeaking on error so future audio isn't blocked
       audioStream.once('error', (err) => {
         console.error(`Audio stream error for ${userId}:`, err.message);
         userSpeaking.delete(userId);
         decoder.destroy();
+        live?.abort();
+        stitcher.resume(userId);
+        resumeAfterBargeIn(userId, 'noise');
       });
       
       decoder.once('error', () => {}); // Suppress unhandled error on destroy
@@ -429,41 +1009,75 @@ async function joinChannel(voiceChannelId, options = {}) {
       audioStream.once('end', async () => {
         userSpeaking.delete(userId);
         const totalBuffer = Buffer.concat(chunks);
-        const durationMs = (totalBuffer.length / (48000 * 2)) * 1000;
+        const speech = vad.summarize();
+        const loss = decoder.getStats();
+        if (loss.lost > 0 || loss.decodeErrors > 0) {
+          console.log(`📉 Packet loss for ${userId}: ${loss.lost} lost, ${loss.decodeErrors} corrupt of ${loss.packets + loss.lost + loss.decodeErrors} (${(loss.lossRate * 100).toFixed(1)}%) — ${loss.concealed} frames concealed, ${loss.silenced} silenced`);
+        }
 
-        if (durationMs < MIN_AUDIO_DURATION_MS) {
-          console.log(`🔇 Audio too short: ${Math.round(durationMs)}ms < ${MIN_AUDIO_DURATION_MS}ms`);
+        // Speech gate — clicks, fans and silence never reach the STT APIs
+        if (speech.speechMs < MIN_SPEECH_MS) {
+          console.log(`🔇 No speech: ${speech.speechMs}ms voiced of ${speech.totalMs}ms (noise floor ${speech.noiseFloor})`);
+          live?.abort();
+          stitcher.resume(userId);
+          resumeAfterBargeIn(userId, 'noise');
           return;
         }
-
-        // Energy filter — reject background noise / silence before hitting STT APIs
-        const rms = computeRMS(totalBuffer);
-        if (rms < 500) {
-          console.log(`🔇 Audio too quiet: RMS=${Math.round(rms)} < 500`);
+        // Our own voice coming back through their speakers — not a request
+        if (isEcho(userId, heard, 'transcription')) {
+          live?.abort();
+          stitcher.resume(userId);
+          resumeAfterBargeIn(userId, 'echo');
           return;
         }
-        console.log(`🎙️ Audio accepted: ${Math.round(durationMs)}ms, RMS=${Math.round(rms)}`);
+        console.log(`🎙️ Audio accepted: ${speech.speechMs}ms speech / ${speech.totalMs}ms (ratio ${speech.speechRatio.toFixed(2)}, noise floor ${speech.noiseFloor})`);
 
-        // Downsample 48kHz → 16kHz for faster STT processing
-        const downsampled = downsample48to16(totalBuffer);
+        // Trim leading/trailing silence, then resample 48kHz → 16kHz and clean up for STT
+        const downsampled = preprocessAudio(trimSilence(totalBuffer, speech));
 
-        // Fully async — every utterance goes straight to handleSpeech
-        // No blocking, no queueing. Multiple brain calls run concurrently.
-        await handleSpeech(userId, downsampled);
+        // Transcribe now; the stitcher decides when the utterance is complete
+        // and hands it to handleSpeech. Different users still run concurrently.
+        await transcribePiece(userId, downsampled, speech, live);
       });
       
-      userSpeaking.set(userId, { startTime: Date.now() });
+      userSpeaking.set(userId, { startTime: Date.now(), heard });
     }
-  });
+  };
+  
+  receiver.speaking.on('end', onSpeakingEnd);
+  receiver.speaking.on('start', onSpeakingStart);
+  
+  detachConnectionHandlers = () => {
+    connection.off(VoiceConnectionStatus.Disconnected, handleDisconnect);
+    receiver.speaking.off('start', onSpeakingStart);
+    receiver.speaking.off('end', onSpeakingEnd);
+  };
   
   if (options.greeting) await playGreeting();
   return connection;
 }
 
+/**
+ * Does this user's audio match what we just played? Logs matches (and
+ * near misses, for tuning ECHO_CORRELATION_THRESHOLD).
+ * @param {EnergyEnvelope|undefined} heard
+ * @param {string} suppressing - What a match suppresses (for the log)
+ * @returns {boolean}
+ */
+function isEcho(userId, heard, suppressing) {
+  if (!heard) return false;
+  const { echo, score, lagMs } = detectEcho(heard, echoReference);
+  if (echo) {
+    console.log(`🔁 Echo from ${userId}: r=${score.toFixed(2)} at ${lagMs}ms lag — ${suppressing} suppressed`);
+  } else if (score > 0 && isNearEcho(score)) {
+    console.log(`🔁 Possible echo from ${userId}: r=${score.toFixed(2)} at ${lagMs}ms lag — below threshold, ${suppressing} allowed`);
+  }
+  return echo;
+}
+
 async function playGreeting() {
   try {
-    const audio = await synthesizeSpeech('Mandy online. Voice channel is live.');
-    if (audio) { await playAudio(audio); try { unlinkSync(audio); } catch {} }
+    await speakNow(PHRASES.greeting);
   } catch (err) {
     console.error('Greeting failed:', err.message);
   }
@@ -477,44 +1091,132 @@ async function playGreeting() {
 // Quick commands (focus, wake word only, alerts) are handled synchronously.
 // Brain calls are fully async — multiple can run concurrently.
 
-async function handleSpeech(userId, audioBuffer, preTranscribed = null) {
+/**
+ * Transcribe a 16kHz PCM buffer (wrapped as an in-memory WAV)
+ * @returns {Promise<string>}
+ */
+function transcribePcm(userId, pcm) {
+  return transcribeAudio(pcmToWav(pcm));
+}
+
+/**
+ * Transcribe one endpointed piece and hand it to the stitcher.
+ * A user's pieces are transcribed in order so stitched text reads right.
+ * @param {Object|null} live - Streaming session that heard this piece, if any
+ */
+function transcribePiece(userId, pcm, speech, live = null) {
+  const previous = transcriptionChains.get(userId) || Promise.resolve();
+  const next = previous.then(async () => {
+    const startTime = Date.now();
+    try {
+      const transcript = live
+        ? await live.finish().catch(() => transcribePcm(userId, pcm)) // Stream died — file-based fallback
+        : await transcribePcm(userId, pcm);
+      if (!transcript || transcript.trim().length === 0) {
+        stitcher.resume(userId);
+        resumeAfterBargeIn(userId, 'noise');
+        return;
+      }
+      console.log(`📝 Piece: "${transcript}" (${Date.now() - startTime}ms)`);
+      stitcher.add(userId, { transcript: transcript.trim(), audio: pcm, speech });
+    } catch (err) {
+      console.error('❌ Transcription error:', err.message);
+      stitcher.resume(userId);
+    }
+  });
+  transcriptionChains.set(userId, next);
+  next.then(() => {
+    if (transcriptionChains.get(userId) === next) transcriptionChains.delete(userId);
+  });
+  return next;
+}
+
+/**
+ * Act on streaming transcripts before the utterance ends:
+ * a finished "stop" segment cancels right away, and a wake word while the
+ * bot is talking barges in without waiting out BARGE_IN_THRESHOLD_MS.
+ * The final transcript still goes through handleSpeech as usual.
+ * @param {Object} [options]
+ * @param {boolean} [options.segment] - text is a final segment (won't be revised)
+ */
+function handlePartialTranscript(userId, text, live, { segment = false } = {}) {
+  if (live.handled) return;
+  const wakeWord = hasWakeWord(text, getUserProfile(userId)?.wakeWords);
+  if (WAKE_WORD_ENABLED && !wakeWord && !isInConversationWindow(userId)) return;
+
+  // Interim words get revised ("stop" → "stop the timer at five") — only trust final segments
+  if (segment && isInterruptCommand(text) && (activeTasks.size > 0 || isSpeaking || briefingSession)) {
+    live.handled = true;
+    console.log(`⛔ Interrupt heard mid-utterance: "${text}"`);
+    answers.saveRemainder(userId);
+    stopUser(userId);
+    endBriefing();
+    return;
+  }
+
+  if (WAKE_WORD_ENABLED && wakeWord && isSpeaking) {
+    live.handled = true;
+    console.log(`🎯 Wake word in partial from ${userId}: "${text}"`);
+    bargeIn(userId);
+  }
+}
+
+/**
+ * @param {string} userId
+ * @param {Buffer} audioBuffer - 16kHz 16-bit mono PCM, silence trimmed
+ * @param {string|null} [preTranscribed] - Skip STT with this transcript
+ * @param {Object|null} [speech] - VAD summary ({ speechMs, speechRatio, ... })
+ */
+async function handleSpeech(userId, audioBuffer, preTranscribed = null, speech = null) {
   const startTime = Date.now();
-  let wavPath = null;
   
   try {
-    // 1. Transcribe (skip if already transcribed during queue)
+    // 1. Transcribe (skip if the endpointer already did)
     let rawTranscript;
     if (preTranscribed) {
       rawTranscript = preTranscribed;
       console.log(`📝 (pre-transcribed) "${rawTranscript}"`);
     } else {
-      wavPath = join(TMP_DIR, `speech_${userId}_${Date.now()}.wav`);
-      await savePcmAsWav(audioBuffer, wavPath);
-      rawTranscript = await transcribeAudio(wavPath);
-      try { unlinkSync(wavPath); } catch {}
-      wavPath = null; // Cleaned up successfully
+      rawTranscript = await transcribePcm(userId, audioBuffer);
     }
     
     if (!rawTranscript || rawTranscript.trim().length === 0) return;
     console.log(`📝 "${rawTranscript}" (${Date.now() - startTime}ms)`);
+    const profile = getUserProfile(userId);
+    
+    // 2. Their answer is paused for this — resume unless it was a real interruption
+    const bargeKind = bargeInPause?.userId === userId
+      ? (isInterruptCommand(rawTranscript) ? 'interrupt' : classifyBargeIn(rawTranscript, profile?.wakeWords))
+      : null;
+    if (bargeKind && bargeKind !== 'interrupt' && bargeKind !== 'question') {
+      resumeAfterBargeIn(userId, bargeKind);
+      return;
+    }
+    if (bargeKind === 'interrupt') stopForBargeIn(userId);
     
-    // 2. Wake word check
-    const { detected, cleanedTranscript } = checkWakeWord(rawTranscript, userId);
-    if (!detected) return;
+    // 3. Wake word check
+    const { detected, cleanedTranscript } = checkWakeWord(rawTranscript, userId, profile?.wakeWords);
+    if (!detected) {
+      if (bargeKind) resumeAfterBargeIn(userId, 'not addressed to us'); // Talking to someone else
+      return;
+    }
+    if (bargeKind === 'question') stopForBargeIn(userId);
     
     const transcript = cleanedTranscript;
     
     // Track interaction for handoff detection
-    lastInteractionTime = Date.now();
-    lastUserMessage = transcript.substring(0, 100);
+    const state = getUserState(userId);
+    state.lastInteractionTime = Date.now();
+    state.lastUserMessage = transcript.substring(0, 100);
     
-    // ── Interrupt/stop detection (cancels all active tasks) ──
+    // ── Interrupt/stop detection (cancels the speaker's tasks) ──
     // This MUST stay local — it needs to kill in-flight audio/tasks immediately
     if (isInterruptCommand(rawTranscript)) {
       console.log(`⛔ Interrupt command: "${rawTranscript}"`);
-      cancelAllTasks();
-      const stopAudio = await synthesizeSpeech('Stopped.');
-      if (stopAudio) { await playAudio(stopAudio); try { unlinkSync(stopAudio); } catch {} }
+      answers.saveRemainder(userId); // "Go on" can still pick it up
+      stopUser(userId);
+      endBriefing();
+      await acknowledge(userId, 'done', PHRASES.stopped);
       return;
     }
     
@@ -522,59 +1224,257 @@ async function handleSpeech(userId, audioBuffer, preTranscribed = null) {
     const trimmed = transcript.trim().replace(/[.,!?]/g, '');
     if (!trimmed || trimmed.length < 2) {
       markBotResponse(userId);
-      const chime = await synthesizeSpeech('Yes?');
-      if (chime) { playAudio(chime).then(() => { try { unlinkSync(chime); } catch {} }).catch(() => {}); }
+      acknowledge(userId, 'listening', PHRASES.yes).catch(() => {});
+      return;
+    }
+    
+    // Open alert briefing — "next", "skip", "snooze that for an hour"...
+    if (await handleBriefingCommand(userId, transcript)) return;
+    
+    // "Go on" after stopping an answer — replay what was left unsaid
+    if (classifyBargeIn(transcript) === 'continue' && answers.hasRemainder(userId)) {
+      await continueAnswer(userId);
+      return;
+    }
+    
+    // Alert history ("what alerts did I get this morning?") — answered locally
+    const alertRange = detectAlertHistoryQuery(transcript);
+    if (alertRange) {
+      await answerAlertHistory(userId, alertRange);
+      markBotResponse(userId);
+      return;
+    }
+    
+    // Channel movement / focus / "where am I" — answered locally, no gateway round-trip
+    if (await handleChannelCommand(userId, transcript)) {
+      markBotResponse(userId);
       return;
     }
     
     // ── Background brain call (async — non-blocking) ──
     
-    if (!conversations.has(userId)) conversations.set(userId, { history: [], lastActive: Date.now() });
-    const conv = conversations.get(userId);
-    conv.lastActive = Date.now();
+    const conv = getConversation(userId);
+    
+    // Classify before the brain call so the budget rides along with the request
+    // (audioBuffer is 16kHz 16-bit mono after downsampling)
+    const isFollowUp = isInConversationWindow(userId);
+    if (!isFollowUp) conv.depth = 0;
+    const budget = classifyIntent({
+      transcript,
+      speechDurationMs: audioBuffer ? (audioBuffer.length / (16000 * 2)) * 1000 : 0,
+      conversationDepth: conv.depth,
+      isFollowUp,
+      previousResponseType: conv.lastResponseType,
+      speechRatio: speech?.speechRatio ?? null,
+    });
+    conv.depth++;
+    console.log(`🎯 Intent: ${budget.type}, Budget: ${budget.maxSentences} sentences / ${budget.maxSpokenSeconds}s, Style: ${budget.responseStyle}`);
     
     // Add user message to history immediately
     conv.history.push({ role: 'user', content: transcript });
     while (conv.history.length > 40) conv.history.shift();
     
-    // Dispatch background task
-    const taskId = ++taskIdCounter;
-    const controller = new AbortController();
-    activeTasks.set(taskId, { controller, transcript, startTime, userId });
-    
-    console.log(`🚀 Task #${taskId} dispatched: "${transcript.substring(0, 60)}..." (${activeTasks.size} active)`);
+    // Heavy tool work goes to a background agent instead of the blocking brain call
+    if (DELEGATION_ENABLED && shouldDelegate(transcript, budget.type, { force: budget.meta?.forceDelegation })) {
+      const taskId = ++taskIdCounter;
+      runDelegatedTask(taskId, userId, transcript, [...conv.history], budget)
+        .catch(err => console.error(`Delegated task #${taskId} error:`, err.message));
+      return;
+    }
     
-    // Acknowledge with a brief confirmation so user knows we heard them
-    if (activeTasks.size > 1) {
-      const ackAudio = await synthesizeSpeech('On it.');
-      if (ackAudio) { audioQueue.add(ackAudio); }
+    // One-at-a-time floor — wait until everyone else's answer has finished
+    const history = [...conv.history];
+    if (floor.policy === 'single' && floor.isBusyFor(userId)) {
+      console.log(`✋ Floor busy — holding request from ${userId}`);
+      heldRequests.push({
+        userId,
+        run: () => dispatchBrainTask(userId, transcript, history, budget, Date.now())
+          .catch(err => console.error('Held request error:', err.message)),
+      });
+      if (prefersEarcons(userId) && queueEarcon('thinking')) return;
+      const name = getUserProfile(userId)?.name;
+      const holdAudio = await synthesizeSpeech(name ? `One moment, ${name}.` : PHRASES.oneMoment, speechOptions(userId));
+      if (holdAudio) audioQueue.add(holdAudio);
+      return;
     }
     
-    // Fire and forget — brain call runs in background
-    processBrainTask(taskId, userId, transcript, [...conv.history], controller.signal)
-      .catch(err => console.error(`Task #${taskId} error:`, err.message));
+    await dispatchBrainTask(userId, transcript, history, budget, startTime);
     
   } catch (err) {
     console.error('❌ Speech dispatch error:', err);
+  }
+}
+
+/**
+ * Start a background brain task as a new turn on the floor
+ */
+async function dispatchBrainTask(userId, transcript, history, budget, startTime) {
+  const taskId = ++taskIdCounter;
+  const controller = new AbortController();
+  activeTasks.set(taskId, { controller, transcript, startTime, userId });
+  floor.openTurn(taskId, userId);
+  
+  console.log(`🚀 Task #${taskId} dispatched: "${transcript.substring(0, 60)}..." (${activeTasks.size} active)`);
+  
+  // Acknowledge with a brief confirmation so user knows we heard them
+  if (activeTasks.size > 1 && !(prefersEarcons(userId) && queueEarcon('thinking'))) {
+    const addressee = getAddressee(userId);
+    const ackAudio = await synthesizeSpeech(addressee ? `${addressee}, on it.` : PHRASES.onIt, speechOptions(userId));
+    if (ackAudio) { audioQueue.add(ackAudio); }
+  }
+  
+  // Fire and forget — brain call runs in background
+  processBrainTask(taskId, userId, transcript, history, controller.signal, budget)
+    .catch(err => console.error(`Task #${taskId} error:`, err.message));
+}
+
+// ── Channel Commands ─────────────────────────────────────────────────
+
+/**
+ * Handle "go to the lab channel", "focus on security", "where am I" and
+ * "list channels" locally. Move/focus targets that aren't in the registry
+ * fall through to the brain ("switch to opus" is a model switch, not a channel).
+ * @returns {Promise<boolean>} True if the transcript was a channel command
+ */
+async function handleChannelCommand(userId, transcript) {
+  const command = detectChannelCommand(transcript);
+  if (!command.action) return false;
+  
+  const registry = getChannelRegistry();
+  let reply;
+  
+  if (command.action === 'query') {
+    if (/\b(list|available|show)\b/i.test(transcript)) {
+      const { contexts, voiceChannels } = listChannels(registry);
+      if (contexts.length === 0 && voiceChannels.length === 0) {
+        reply = 'No channels are registered.';
+      } else {
+        reply = '';
+        if (voiceChannels.length > 0) reply += `Voice channels: ${voiceChannels.join(', ')}. `;
+        if (contexts.length > 0) reply += `Contexts: ${contexts.join(', ')}.`;
+      }
+    } else {
+      const voiceName = client.channels.cache.get(currentVoiceChannelId)?.name || 'an unnamed voice channel';
+      reply = `You're in ${voiceName}. ` + (activeContext ? `Focused on ${activeContext.channelName}.` : 'No focus set.');
+    }
+    console.log(`🗺️  Channel query: "${reply}"`);
+  } else {
+    const target = resolveChannel(command.target, registry);
+    if (!target) return false;
+    
+    if (command.action === 'move') {
+      if (!target.voiceChannelId) {
+        reply = `${target.channelName} has no voice channel.`;
+      } else if (target.voiceChannelId === currentVoiceChannelId) {
+        reply = `Already in ${target.channelName}.`;
+      } else {
+        const previousChannelId = currentVoiceChannelId;
+        try {
+          console.log(`🚚 Moving to ${target.channelName} (${target.voiceChannelId})`);
+          await joinChannel(target.voiceChannelId);
+          reply = `Moved to ${target.channelName}.`;
+        } catch (err) {
+          console.error(`❌ Move to ${target.channelName} failed:`, err.message);
+          await joinChannel(previousChannelId).catch(e => console.error('❌ Rejoin failed:', e.message));
+          reply = `Couldn't move to ${target.channelName}.`;
+        }
+      }
+    }
+    
+    // Focus explicitly, or pick up a voice channel's default context on move
+    if (target.directivePath && (command.action === 'focus' || reply?.startsWith('Moved'))) {
+      const directive = loadDirective(target.directivePath);
+      if (directive) {
+        activeContext = { channelId: target.channelId, channelName: target.channelName, directive };
+        console.log(`🎯 Focus set: ${target.channelName} (${directive.length} chars)`);
+        if (command.action === 'focus') reply = `Focused on ${target.channelName}.`;
+      } else if (command.action === 'focus') {
+        reply = `Couldn't load the ${target.channelName} directive.`;
+      }
+    } else if (command.action === 'focus') {
+      reply = `${target.channelName} has no directive.`;
+    }
+  }
+  
+  const audio = await synthesizeSpeech(reply, speechOptions(userId));
+  if (audio) audioQueue.add(audio);
+  return true;
+}
+
+/**
+ * Synthesize a turn's sentences a few ahead; they reach the queue in spoken
+ * order, tagged with their index so playback can report how far it got
+ */
+function createTurnSynthesizer(turn, signal) {
+  const synthesizer = new SentenceSynthesizer({
+    synthesize: async (text, markup) => {
+      const audio = await synthesizeSpeech(text, { ...speechOptions(turn.userId), markup });
+      if (!audio) return null;
+      const pcm = await decodeToPcm(audio).catch((err) => {
+        console.warn(`⚠️  PCM decode failed, playing as a separate clip: ${err.message}`);
+        return null;
+      });
+      return pcm ? { audio: pcm, raw: true } : { audio, raw: false };
+    },
+    onClip: ({ audio, raw }, { index, text }) => audioQueue.add(audio, { ...turn, text, sentence: index }, { raw }),
+  });
+  signal.addEventListener('abort', () => synthesizer.cancel(), { once: true });
+  return synthesizer;
+}
+
+/**
+ * Replay the part of a stopped answer that wasn't heard, as a new turn
+ */
+async function continueAnswer(userId) {
+  const sentences = answers.takeRemainder(userId);
+  if (!sentences) return;
+  const taskId = ++taskIdCounter;
+  const controller = new AbortController();
+  activeTasks.set(taskId, { controller, transcript: 'continue', startTime: Date.now(), userId });
+  floor.openTurn(taskId, userId);
+  answers.start(taskId, userId);
+  console.log(`⏩ Task #${taskId} continuing ${sentences.length} unsaid sentences for ${userId}`);
+  
+  const synthesizer = createTurnSynthesizer({ taskId, userId }, controller.signal);
+  for (const sentence of sentences) {
+    answers.addSentence(userId, sentence);
+    synthesizer.push(sentence);
+  }
+  try {
+    await synthesizer.drain();
+    markBotResponse(userId);
   } finally {
-    // Clean up WAV file if it wasn't already deleted
-    if (wavPath) { try { unlinkSync(wavPath); } catch {} }
+    activeTasks.delete(taskId);
+    floor.closeTurn(taskId);
+    audioQueue.endTurn(taskId);
+    audioQueue.kick();
   }
 }
 
 /**
- * Background brain task — runs concurrently, queues result for TTS
+ * Background brain task — runs concurrently, queues result for TTS.
+ * Sentences past the intent budget are not spoken; with spillover
+ * enabled they are posted to the text channel once the stream ends.
  */
-async function processBrainTask(taskId, userId, transcript, history, signal) {
+async function processBrainTask(taskId, userId, transcript, history, signal, budget) {
   const startTime = Date.now();
   let firstAudioLogged = false;
   let fullResponse = '';
+  const tracker = createBudgetTracker(budget);
+  const turn = { taskId, userId }; // Tags this task's clips for the floor
+  let addressee = getAddressee(userId); // Cleared once the first sentence carries it
+  
+  const synthesizer = createTurnSynthesizer(turn, signal);
+  answers.start(taskId, userId);
+  const stopThinking = startThinkingLoop(taskId);
   
   try {
     console.log(`🧠 Task #${taskId} thinking...`);
     
     // Stream response — TTS each sentence as it arrives
     const result = await generateResponseStreaming(transcript, history, signal, async (sentence) => {
+      // Markup reads the list/emphasis structure before it's stripped
+      let markup = toSpeechMarkup(sentence, { clean: trimForVoice });
       // Final safety strip — catch any tags that survived the stream buffer
       sentence = trimForVoice(sentence);
       if (!sentence || sentence.length < 2) return;
@@ -586,21 +1486,19 @@ async function processBrainTask(taskId, userId, transcript, history, signal) {
         console.log(`⏱️  Task #${taskId} first sentence: ${Date.now() - startTime}ms`);
       }
       
-      // TTS and queue immediately — don't wait
-      if (userDisconnected) {
+      if (getUserState(userId).disconnected) {
         await postToTextChannel(`🎙️ ${sentence}`);
         return;
       }
       
-      try {
-        const audio = await synthesizeSpeech(sentence);
-        if (audio) {
-          audioQueue.add(audio);
-        }
-      } catch (err) {
-        console.error(`TTS failed for sentence:`, err.message);
-      }
-    });
+      if (!tracker.admit(sentence)) return;
+      
+      const spoken = addressee ? `${addressee}, ${sentence}` : sentence;
+      if (addressee) markup = prependText(markup, `${addressee}, `);
+      addressee = null;
+      answers.addSentence(userId, spoken);
+      synthesizer.push(spoken, markup);
+    }, { budget, context: activeContext, sessionUser: getUserProfile(userId)?.sessionUser });
     
     // Task was cancelled
     if (result.aborted) {
@@ -608,21 +1506,34 @@ async function processBrainTask(taskId, userId, transcript, history, signal) {
       return;
     }
     
+    await synthesizer.drain(); // Everything spoken is queued before the turn's closing notes
     console.log(`💬 Task #${taskId} done (${Date.now() - startTime}ms): "${(fullResponse || '').substring(0, 80)}..."`);
     
+    if (tracker.exceeded) {
+      console.log(`✂️  Task #${taskId} over budget (${budget.type}: ${tracker.sentences} sentences / ~${Math.round(tracker.spokenSeconds)}s spoken)`);
+      if (tracker.spilled.length > 0 && !getUserState(userId).disconnected) {
+        const posted = await postToTextChannel(`🎙️ ${tracker.spilled.join(' ')}`);
+        if (posted) {
+          const note = await synthesizeSpeech(PHRASES.spillover, speechOptions(userId));
+          if (note) audioQueue.add(note, turn);
+        }
+      }
+    }
+    
     // Update conversation history with full response
     const conv = conversations.get(userId);
     if (conv) {
       conv.history.push({ role: 'assistant', content: result.text || fullResponse || '' });
       while (conv.history.length > 40) conv.history.shift();
+      conv.lastResponseType = budget.type;
     }
     
     markBotResponse(userId);
     
     // Brief pending alerts on natural pause
-    if (pendingAlertBriefingForUser && hasPendingAlerts() && activeTasks.size === 0) {
-      const uid = pendingAlertBriefingForUser;
-      pendingAlertBriefingForUser = null;
+    if (pendingAlertBriefings.size > 0 && hasPendingAlerts() && activeTasks.size === 0) {
+      const [uid] = pendingAlertBriefings;
+      pendingAlertBriefings.delete(uid);
       setImmediate(() => briefPendingAlerts(uid));
     }
     
@@ -630,154 +1541,313 @@ async function processBrainTask(taskId, userId, transcript, history, signal) {
     if (err.name !== 'AbortError') {
       console.error(`❌ Task #${taskId} failed:`, err.message);
       try {
-        const audio = await synthesizeSpeech("I had trouble with that one. Try again?");
-        if (audio) audioQueue.add(audio);
+        if (prefersEarcons(userId) && queueEarcon('error', turn)) return;
+        const audio = await synthesizeSpeech(PHRASES.trouble, speechOptions(userId));
+        if (audio) audioQueue.add(audio, turn);
       } catch {}
     }
   } finally {
     // Guarantee task cleanup regardless of success/failure/abort
+    stopThinking();
     activeTasks.delete(taskId);
+    floor.closeTurn(taskId);
+    audioQueue.endTurn(taskId);
+    audioQueue.kick();
+  }
+}
+
+/**
+ * Delegated task — spawns a background agent, acks immediately, then polls
+ * the agent session and speaks its TL;DR when done. If the user has left
+ * voice by then, the TL;DR is queued as an alert instead. Falls back to
+ * the streaming brain if the agent can't be spawned.
+ */
+async function runDelegatedTask(taskId, userId, transcript, history, budget) {
+  const startTime = Date.now();
+  const controller = new AbortController();
+  const task = { controller, transcript, startTime, userId, sessionKey: null };
+  delegatedTasks.set(taskId, task);
+  
+  console.log(`🤝 Task #${taskId} delegating: "${transcript.substring(0, 60)}..." (${delegatedTasks.size} delegated)`);
+  
+  if (!(prefersEarcons(userId) && queueEarcon('thinking'))) {
+    const ackAudio = await synthesizeSpeech(PHRASES.delegating, speechOptions(userId));
+    if (ackAudio) audioQueue.add(ackAudio);
+  }
+  
+  let outcome;
+  try {
+    outcome = await delegateTask(transcript, {
+      activeContext,
+      outputChannel: activeContext?.channelId || TEXT_CHANNEL_ID,
+      signal: controller.signal,
+      timeoutMs: DELEGATION_POLL_TIMEOUT_MS,
+      onSpawned: (sessionKey) => { task.sessionKey = sessionKey; },
+    });
+  } finally {
+    delegatedTasks.delete(taskId);
+  }
+  
+  if (outcome.status === 'aborted') return;
+  
+  if (outcome.status === 'spawn_failed') {
+    console.warn(`⚠️  Task #${taskId} spawn failed — falling back to brain`);
+    activeTasks.set(taskId, { controller, transcript, startTime, userId });
+    floor.openTurn(taskId, userId);
+    await processBrainTask(taskId, userId, transcript, history, controller.signal, budget);
+    return;
+  }
+  
+  if (outcome.status === 'timeout') {
+    console.log(`⏱️  Task #${taskId} agent still running after ${Math.round(DELEGATION_POLL_TIMEOUT_MS / 1000)}s — results will land in text only`);
+    return;
+  }
+  
+  const { tldr, response } = outcome;
+  console.log(`✅ Task #${taskId} agent done (${Date.now() - startTime}ms): "${tldr}"`);
+  
+  const conv = conversations.get(userId);
+  if (conv) {
+    conv.history.push({ role: 'assistant', content: response || tldr });
+    while (conv.history.length > 40) conv.history.shift();
+    conv.lastResponseType = budget.type;
   }
+  
+  if (getUserState(userId).disconnected) {
+    queueAlert({
+      message: `Task complete: ${tldr}`,
+      priority: 'normal',
+      fullDetails: response,
+      source: 'background-agent',
+      userId, // Only the user who asked gets this one
+    });
+    return;
+  }
+  
+  const audio = await synthesizeSpeech(`Agent finished. ${tldr}`, speechOptions(userId));
+  queueEarcon('done'); // Heads-up before the spoken summary
+  if (audio) audioQueue.add(audio);
+  markBotResponse(userId);
 }
 
 /**
- * Cancel all active background tasks
+ * A user is talking over the bot — pause until we know what they said.
+ * Only their own answer (or an unaddressed interjection) can be talked over.
+ */
+function bargeIn(userId) {
+  const owner = audioQueue.current?.userId;
+  if (owner && owner !== userId) {
+    console.log(`🗣️  ${userId} spoke over ${owner}'s answer — not a barge-in`);
+    return;
+  }
+  if (bargeInPause && playback.isPaused) return; // Already waiting on a verdict
+  if (!playback.pause()) {
+    stopForBargeIn(userId);
+    return;
+  }
+  console.log(`⏸️  Barge-in by ${userId} — paused, listening`);
+  clearTimeout(bargeInPause?.timer);
+  bargeInPause = { userId, timer: null };
+  armBargeInPause();
+}
+
+/**
+ * Don't stay paused forever — resume once they've gone quiet without a verdict
+ */
+function armBargeInPause() {
+  const pause = bargeInPause;
+  pause.timer = setTimeout(() => {
+    if (bargeInPause !== pause) return;
+    if (userSpeaking.has(pause.userId) || transcriptionChains.has(pause.userId)) return armBargeInPause();
+    resumeAfterBargeIn(pause.userId, 'no verdict');
+  }, BARGE_IN_MAX_PAUSE_MS);
+}
+
+/**
+ * Pick the paused answer back up (backchannel, noise, "go on"...)
+ */
+function resumeAfterBargeIn(userId, reason) {
+  if (bargeInPause?.userId !== userId) return;
+  clearTimeout(bargeInPause.timer);
+  bargeInPause = null;
+  if (playback.resume()) console.log(`▶️  Resuming after ${reason} from ${userId}`);
+}
+
+/**
+ * Stop the user's answer for good, keeping what it hadn't said yet
+ */
+function stopForBargeIn(userId) {
+  if (bargeInPause) {
+    clearTimeout(bargeInPause.timer);
+    bargeInPause = null;
+  }
+  const owner = audioQueue.current?.userId;
+  const kept = answers.saveRemainder(userId);
+  console.log(`⚡ Barge-in by ${userId} — stopping their playback${kept ? ` (${kept} sentences kept for "go on")` : ''}`);
+  cancelUserTasks(userId);
+  audioQueue.clearUser(userId);
+  if (!owner) playback.stop();
+  isSpeaking = playback.isActive;
+}
+
+/**
+ * "Stop" — end this user's answers, tasks, held requests and agents.
+ * Other users' answers carry on; an unowned clip playing now (an alert,
+ * an ack) is stopped too.
+ */
+function stopUser(userId) {
+  if (bargeInPause?.userId === userId) {
+    clearTimeout(bargeInPause.timer);
+    bargeInPause = null;
+  }
+  const owner = audioQueue.current?.userId;
+  cancelUserTasks(userId, { all: true });
+  audioQueue.clearUser(userId);
+  if (!owner) playback.stop();
+  isSpeaking = playback.isActive;
+}
+
+/**
+ * Cancel all active background tasks and delegated agent sessions (shutdown)
  */
 function cancelAllTasks() {
-  const count = activeTasks.size;
+  const count = activeTasks.size + delegatedTasks.size;
   for (const [taskId, task] of activeTasks) {
     task.controller.abort();
+    floor.dropTurn(taskId);
     console.log(`🛑 Cancelled task #${taskId}`);
   }
   activeTasks.clear();
+  heldRequests.length = 0;
+  for (const [taskId, task] of delegatedTasks) {
+    task.controller.abort();
+    if (task.sessionKey) cancelBackgroundAgent(task.sessionKey).catch(() => {});
+    console.log(`🛑 Cancelled delegated task #${taskId}`);
+  }
+  delegatedTasks.clear();
+  if (bargeInPause) {
+    clearTimeout(bargeInPause.timer);
+    bargeInPause = null;
+  }
   audioQueue.clear();
   isSpeaking = false;
   console.log(`🛑 Cancelled ${count} active tasks, cleared all queues`);
 }
 
+/**
+ * Cancel one user's brain tasks (barge-in) — everyone else's keep going
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {boolean} [options.all] - Also their held requests and delegated agents ("stop")
+ */
+function cancelUserTasks(userId, { all = false } = {}) {
+  const reason = all ? 'stop' : 'barge-in';
+  for (const [taskId, task] of activeTasks) {
+    if (task.userId !== userId) continue;
+    task.controller.abort();
+    activeTasks.delete(taskId);
+    floor.dropTurn(taskId);
+    console.log(`🛑 Cancelled task #${taskId} (${reason})`);
+  }
+  if (!all) return;
+  for (let i = heldRequests.length - 1; i >= 0; i--) {
+    if (heldRequests[i].userId === userId) heldRequests.splice(i, 1);
+  }
+  for (const [taskId, task] of delegatedTasks) {
+    if (task.userId !== userId) continue;
+    task.controller.abort();
+    if (task.sessionKey) cancelBackgroundAgent(task.sessionKey).catch(() => {});
+    delegatedTasks.delete(taskId);
+    console.log(`🛑 Cancelled delegated task #${taskId} (${reason})`);
+  }
+}
+
 // ── Audio Playback ───────────────────────────────────────────────────
 
-async function playAudio(audioPath) {
-  isSpeaking = true;
-  const playStart = Date.now();
-  
-  const { createReadStream: crs, statSync: fstatSync } = await import('fs');
-  // Use statSync for file size instead of reading entire file into memory
-  const fileStat = fstatSync(audioPath);
-  const estimatedDurationMs = Math.max(2000, (fileStat.size / 1024 / 5) * 1000);
-  
-  const resource = createAudioResource(crs(audioPath), { inlineVolume: true });
-  resource.volume.setVolume(1.0);
-  player.play(resource);
-  
-  return new Promise((resolve) => {
-    let resolved = false;
-    let onIdle, onError, timeoutId, checkInterval;
-    
-    const finish = (reason) => {
-      if (resolved) return;
-      resolved = true;
-      // Remove ALL listeners we attached — prevents accumulation
-      player.removeListener(AudioPlayerStatus.Idle, onIdle);
-      player.removeListener('error', onError);
-      if (timeoutId) clearTimeout(timeoutId);
-      if (checkInterval) clearInterval(checkInterval);
-      isSpeaking = false;
-      resolve();
-    };
-    
-    onIdle = () => {
-      const elapsed = Date.now() - playStart;
-      const minExpected = Math.min(estimatedDurationMs * 0.5, 3000);
-      if (elapsed < minExpected) {
-        if (bargeInEvents.size > 0) {
-          bargeInEvents.clear();
-        } else {
-          player.once(AudioPlayerStatus.Idle, onIdle);
-          return;
-        }
-      } else {
-        bargeInEvents.clear();
-      }
-      finish('idle');
-    };
-    
-    player.once(AudioPlayerStatus.Idle, onIdle);
-    onError = () => finish('error');
-    player.once('error', onError);
-    
-    // Cap timeout at 60s instead of 600s to prevent long-lived intervals
-    timeoutId = setTimeout(() => finish('timeout'), Math.min(estimatedDurationMs * 2, 60000));
-    checkInterval = setInterval(() => {
-      if (Date.now() - playStart >= estimatedDurationMs && player.state.status === AudioPlayerStatus.Idle) {
-        finish('idle-polled');
-      }
-    }, 500);
-  });
+/**
+ * Synthesize and play immediately, streaming audio as it's generated
+ * (whole-clip synthesis if the stream can't start)
+ */
+async function speakNow(text, options = {}) {
+  const audio = await synthesizeSpeechStream(text, options).catch(() => synthesizeSpeech(text, options));
+  if (audio) await playAudio(audio);
 }
 
-// ── WAV Helper ───────────────────────────────────────────────────────
+// ── Earcons ──────────────────────────────────────────────────────────
 
 /**
- * Compute RMS energy of 16-bit PCM audio
+ * Does this user get earcons instead of spoken acks?
  */
-function computeRMS(pcmBuffer) {
-  const samples = pcmBuffer.length / 2;
-  if (samples === 0) return 0;
-  let sum = 0;
-  for (let i = 0; i < pcmBuffer.length; i += 2) {
-    const sample = pcmBuffer.readInt16LE(i);
-    sum += sample * sample;
-  }
-  return Math.sqrt(sum / samples);
+function prefersEarcons(userId) {
+  return getUserProfile(userId)?.earcons ?? EARCONS_PREFERRED;
 }
 
 /**
- * Downsample 48kHz 16-bit mono PCM to 16kHz by averaging every 3 samples
+ * Play an event's earcon now, over whatever is playing. Not counted as
+ * speaking — talking over a beep isn't a barge-in.
+ * @returns {Promise<boolean>} false if that earcon is off
  */
-function downsample48to16(pcmBuffer) {
-  const ratio = 3;
-  const inputSamples = pcmBuffer.length / 2;
-  const outputSamples = Math.floor(inputSamples / ratio);
-  const output = Buffer.alloc(outputSamples * 2);
-  for (let i = 0; i < outputSamples; i++) {
-    let sum = 0;
-    for (let j = 0; j < ratio; j++) {
-      sum += pcmBuffer.readInt16LE((i * ratio + j) * 2);
-    }
-    output.writeInt16LE(Math.round(sum / ratio), i * 2);
-  }
-  return output;
+async function playEarcon(event) {
+  const earcon = getEarcon(event);
+  if (!earcon) return false;
+  await playback.play(earcon.audio, { earcon: event }, { raw: earcon.raw });
+  return true;
 }
 
-function savePcmAsWav(pcmBuffer, outputPath) {
-  return new Promise((resolve, reject) => {
-    const sampleRate = 16000, numChannels = 1, bitsPerSample = 16;
-    const byteRate = sampleRate * numChannels * (bitsPerSample / 8);
-    const blockAlign = numChannels * (bitsPerSample / 8);
-    const dataSize = pcmBuffer.length;
-    
-    const header = Buffer.alloc(44);
-    header.write('RIFF', 0);
-    header.writeUInt32LE(dataSize + 36, 4);
-    header.write('WAVE', 8);
-    header.write('fmt ', 12);
-    header.writeUInt32LE(16, 16);
-    header.writeUInt16LE(1, 20);
-    header.writeUInt16LE(numChannels, 22);
-    header.writeUInt32LE(sampleRate, 24);
-    header.writeUInt32LE(byteRate, 28);
-    header.writeUInt16LE(blockAlign, 32);
-    header.writeUInt16LE(bitsPerSample, 34);
-    header.write('data', 36);
-    header.writeUInt32LE(dataSize, 40);
-    
-    const ws = createWriteStream(outputPath);
-    ws.write(header);
-    ws.end(pcmBuffer);
-    ws.on('finish', resolve);
-    ws.on('error', reject);
-  });
+/**
+ * Queue an event's earcon behind whatever is queued
+ * @param {Object} [metadata] - Turn tags ({ taskId, userId }) if it belongs to a turn
+ * @returns {boolean} false if that earcon is off
+ */
+function queueEarcon(event, metadata = {}) {
+  const earcon = getEarcon(event);
+  if (!earcon) return false;
+  audioQueue.add(earcon.audio, { ...metadata, earcon: event }, { raw: earcon.raw });
+  return true;
+}
+
+/**
+ * Short acknowledgement: the event's earcon if the user prefers them, else the phrase
+ */
+async function acknowledge(userId, event, phrase) {
+  if (prefersEarcons(userId) && await playEarcon(event)) return;
+  await speakNow(phrase, speechOptions(userId));
+}
+
+/**
+ * Loop the thinking earcon if the task has nothing to say after
+ * EARCON_THINKING_AFTER_MS and the speaker is free. Its first sentence
+ * replaces the loop on the player.
+ * @returns {() => void} Stop — call when the task ends
+ */
+function startThinkingLoop(taskId) {
+  let loop = null;
+  const timer = setTimeout(() => {
+    if (!activeTasks.has(taskId) || audioQueue.playing || playback.isActive) return;
+    loop = createThinkingLoop();
+    if (!loop) return;
+    console.log(`🤔 Task #${taskId} still thinking — looping earcon`);
+    playback.play(loop, { earcon: 'thinking', taskId }, { raw: true })
+      .finally(() => loop.destroy());
+  }, EARCON_THINKING_AFTER_MS);
+  return () => {
+    clearTimeout(timer);
+    const current = playback.metadata;
+    if (current?.earcon === 'thinking' && current.taskId === taskId) playback.stop();
+  };
+}
+
+/**
+ * Play one clip and resolve when the player leaves it (finished, stopped or replaced)
+ * @param {Buffer|Readable|string} audioSource - MP3 bytes, an audio stream, or a file path (earcons)
+ * @param {Object} [metadata] - { taskId, userId, text } — reported on playback events
+ * @param {Object} [options] - { raw } for a gapless PCM stream
+ */
+async function playAudio(audioSource, metadata = {}, options = {}) {
+  isSpeaking = true;
+  const result = await playback.play(audioSource, metadata, options);
+  isSpeaking = playback.isActive; // A replacement clip may already be playing
+  return result;
 }
 
 // ── Graceful Shutdown ────────────────────────────────────────────────
@@ -36,6 +36,7 @@
  * @param {number} signals.conversationDepth - Number of turns in current conversation
  * @param {boolean} signals.isFollowUp - Whether inside conversation window
  * @param {string|null} signals.previousResponseType - What kind of response we gave last
+ * @param {number|null} [signals.speechRatio] - VAD voiced fraction of the utterance (0-1)
  * 
  * @returns {Object} Classification result with budget instructions
  */
@@ -46,6 +47,7 @@ export function classifyIntent(signals) {
     conversationDepth = 0,
     isFollowUp = false,
     previousResponseType = null,
+    speechRatio = null,
   } = signals;
   
   const lower = transcript.toLowerCase();
@@ -394,8 +396,11 @@ export function classifyIntent(signals) {
   }
   
   // ── 16. Duration-Based Fallback ─────────────────────────────────────
+  // Judge by time actually spent talking — long hesitant pauses
+  // shouldn't make a quick question look like a thorough one
+  const voicedMs = speechRatio !== null ? speechDurationMs * speechRatio : speechDurationMs;
   
-  if (speechDurationMs < 3000) {
+  if (voicedMs < 3000) {
     return buildBudget('QUERY', {
       maxSentences: 3,
       maxSpokenSeconds: 8,
@@ -405,7 +410,7 @@ export function classifyIntent(signals) {
     });
   }
   
-  if (speechDurationMs > 15000) {
+  if (voicedMs > 15000) {
     return buildBudget('QUERY', {
       maxSentences: 6,
       maxSpokenSeconds: 20,
@@ -448,3 +453,58 @@ function buildBudget(type, options) {
   
   return result;
 }
+
+// Average conversational TTS pace, used to estimate spoken length from text
+const WORDS_PER_SECOND = 2.5;
+
+/**
+ * Estimate how long a piece of text takes to speak
+ * @param {string} text
+ * @returns {number} Seconds
+ */
+export function estimateSpokenSeconds(text) {
+  if (!text) return 0;
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return words / WORDS_PER_SECOND;
+}
+
+/**
+ * Track spoken output against a classifier budget.
+ *
+ * The brain is asked to respect the budget, but can't be trusted to —
+ * this is the client-side enforcement. The first sentence is always
+ * admitted so the user never gets silence; after that, once either
+ * maxSentences or maxSpokenSeconds would be exceeded, every remaining
+ * sentence is rejected (and collected for spillover if enabled).
+ *
+ * @param {Object} budget - classifyIntent() result
+ * @returns {{ admit: (sentence: string) => boolean, spilled: string[], sentences: number, spokenSeconds: number, exceeded: boolean }}
+ */
+export function createBudgetTracker(budget) {
+  const tracker = {
+    sentences: 0,
+    spokenSeconds: 0,
+    exceeded: false,
+    spilled: [],
+    
+    admit(sentence) {
+      if (!tracker.exceeded) {
+        const seconds = estimateSpokenSeconds(sentence);
+        const overSentences = tracker.sentences + 1 > budget.maxSentences;
+        const overSeconds = tracker.spokenSeconds + seconds > budget.maxSpokenSeconds;
+        
+        if (tracker.sentences === 0 || (!overSentences && !overSeconds)) {
+          tracker.sentences++;
+          tracker.spokenSeconds += seconds;
+          return true;
+        }
+        tracker.exceeded = true;
+      }
+      
+      if (budget.spillover) tracker.spilled.push(sentence);
+      return false;
+    },
+  };
+  
+  return tracker;
+}
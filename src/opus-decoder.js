@@ -3,31 +3,145 @@
  *
  * Decodes Discord's Opus audio frames to raw PCM (48kHz, 16-bit, mono)
  * Uses opusscript (pure JS) to avoid native module segfaults
+ *
+ * Discord sends stereo Opus, so packets are decoded as stereo and downmixed
+ * (L+R)/2 — mono packets come out of the decoder duplicated and survive the
+ * downmix unchanged. With tapRtpHeaders() installed on the receiver, RTP
+ * sequence numbers reveal dropped packets; each missing frame is filled with
+ * Opus packet-loss concealment so STT hears a continuous signal instead of
+ * words glued together. Frames that fail to decode are concealed the same way.
+ * (opusscript doesn't expose decode_fec, so in-band FEC data can't be used —
+ * PLC covers every loss.)
  */
 
 import { Transform } from 'stream';
 import OpusScript from 'opusscript';
 
 const SAMPLE_RATE = 48000;
-const CHANNELS = 1;
+const DECODE_CHANNELS = 2;
 const FRAME_SIZE = 960;
+const MAX_PLC_FRAMES = 5;  // Conceal up to 100ms; longer gaps become silence
+const MAX_GAP_FRAMES = 50; // Fill at most 1s for one gap — beyond that, it's an outage
+
+// Opus packet → { sequence, timestamp } (filled in by tapRtpHeaders)
+const rtpHeaders = new WeakMap();
+const tappedReceivers = new WeakSet();
+
+/**
+ * Record each packet's RTP sequence number as the receiver parses it.
+ * @discordjs/voice strips the RTP header before pushing packets, so we
+ * wrap parsePacket() (which still sees the raw UDP message).
+ * @param {import('@discordjs/voice').VoiceReceiver} receiver
+ */
+export function tapRtpHeaders(receiver) {
+  if (tappedReceivers.has(receiver) || typeof receiver.parsePacket !== 'function') return;
+  tappedReceivers.add(receiver);
+  const parsePacket = receiver.parsePacket.bind(receiver);
+  receiver.parsePacket = (buffer, ...args) => {
+    const packet = parsePacket(buffer, ...args);
+    if (packet && buffer.length >= 12) {
+      rtpHeaders.set(packet, { sequence: buffer.readUInt16BE(2), timestamp: buffer.readUInt32BE(4) });
+    }
+    return packet;
+  };
+}
+
+/**
+ * Average interleaved stereo into mono
+ * @param {Buffer} stereo - 16-bit interleaved L/R
+ * @returns {Buffer}
+ */
+export function downmixStereo(stereo) {
+  const frames = Math.floor(stereo.length / 4);
+  const mono = Buffer.alloc(frames * 2);
+  for (let i = 0; i < frames; i++) {
+    mono.writeInt16LE((stereo.readInt16LE(i * 4) + stereo.readInt16LE(i * 4 + 2)) >> 1, i * 2);
+  }
+  return mono;
+}
 
 export class OpusDecoder extends Transform {
   constructor() {
     super();
-    this.opus = new OpusScript(SAMPLE_RATE, CHANNELS, OpusScript.Application.AUDIO);
+    this.opus = new OpusScript(SAMPLE_RATE, DECODE_CHANNELS, OpusScript.Application.AUDIO);
+    this.lastSequence = null;
+    this.frameSize = FRAME_SIZE; // Samples per channel in the last good frame
+    this.stats = {
+      packets: 0,      // Decoded successfully
+      lost: 0,         // Missing from the RTP sequence
+      concealed: 0,    // Frames filled by PLC
+      silenced: 0,     // Frames filled with silence (gap too long for PLC)
+      decodeErrors: 0, // Arrived but wouldn't decode (concealed)
+      late: 0,         // Duplicate or out-of-order (dropped — already concealed)
+      stereoPackets: 0,
+    };
+  }
+
+  /**
+   * Loss statistics for this stream
+   * @returns {{ packets: number, lost: number, concealed: number, silenced: number, decodeErrors: number, late: number, stereoPackets: number, lossRate: number }}
+   */
+  getStats() {
+    const expected = this.stats.packets + this.stats.decodeErrors + this.stats.lost;
+    return { ...this.stats, lossRate: expected > 0 ? (this.stats.lost + this.stats.decodeErrors) / expected : 0 };
   }
 
   _transform(chunk, encoding, callback) {
+    const header = rtpHeaders.get(chunk);
+    if (header) {
+      if (this.lastSequence !== null) {
+        const delta = (header.sequence - this.lastSequence) & 0xffff;
+        if (delta === 0 || delta > 0x8000) {
+          this.stats.late++;
+          return callback();
+        }
+        if (delta > 1) {
+          this.stats.lost += delta - 1;
+          this.fillGap(delta - 1);
+        }
+      }
+      this.lastSequence = header.sequence;
+    }
+
     try {
       const decoded = this.opus.decode(chunk);
-      this.push(Buffer.from(decoded.buffer, decoded.byteOffset, decoded.byteLength));
+      this.frameSize = decoded.length / (2 * DECODE_CHANNELS);
+      if (chunk.length > 0 && chunk[0] & 0x04) this.stats.stereoPackets++; // TOC stereo flag
+      this.stats.packets++;
+      this.push(downmixStereo(decoded));
     } catch {
-      // Swallow decode errors (corrupted frames happen)
+      // Corrupted frame — conceal it rather than leave a hole
+      this.stats.decodeErrors++;
+      this.fillGap(1);
     }
     callback();
   }
 
+  /**
+   * Fill missing frames: PLC for short gaps, silence past MAX_PLC_FRAMES
+   */
+  fillGap(frames) {
+    const total = Math.min(frames, MAX_GAP_FRAMES);
+    const plcFrames = Math.min(total, MAX_PLC_FRAMES);
+    const plcBytes = plcFrames * this.frameSize * 2; // mono bytes wanted
+    let concealed = Buffer.alloc(0);
+    try {
+      // opusscript conceals up to 60ms per call — ask until we have enough
+      while (concealed.length < plcBytes) {
+        concealed = Buffer.concat([concealed, downmixStereo(this.opus.decode(Buffer.alloc(0)))]);
+      }
+      this.stats.concealed += plcFrames;
+      this.push(concealed.subarray(0, plcBytes));
+    } catch {
+      this.stats.silenced += plcFrames;
+      this.push(Buffer.alloc(plcBytes));
+    }
+    if (total > plcFrames) {
+      this.stats.silenced += total - plcFrames;
+      this.push(Buffer.alloc((total - plcFrames) * this.frameSize * 2));
+    }
+  }
+
   _flush(callback) {
     callback();
   }
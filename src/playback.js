@@ -0,0 +1,288 @@
+/**
+ * Playback Controller - Event-driven wrapper around the Discord AudioPlayer
+ *
+ * One clip at a time. Each play() resolves when the player actually leaves
+ * that clip — it finished, was stopped, was replaced, or errored — rather
+ * than after a duration guessed from the file size. Durations are exact for
+ * in-memory MP3 (counted from frame headers) and WAV (from its header);
+ * streams report how much was played once they end. A gapless turn stream (speech-pipeline.js) is one
+ * clip carrying several sentences; its boundaries are reported as they pass.
+ *
+ * Events (payload: { metadata, durationMs, playedMs }):
+ *   'started'      the player began emitting this clip
+ *   'sentence'     a sentence finished (a clip carrying metadata.text, or a
+ *                  boundary inside a gapless stream) — metadata is that sentence's
+ *   'finished'     played to the end
+ *   'interrupted'  stopped or replaced before the end
+ *   'paused' / 'resumed'
+ *   'failed'       the player failed on this clip (payload also has .error)
+ */
+
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+import { readFileSync } from 'fs';
+import { createAudioResource, AudioPlayerStatus, StreamType } from '@discordjs/voice';
+
+const WATCHDOG_SLACK_MS = 5000;          // Known duration + this, then assume the player is stuck
+const STREAM_WATCHDOG_MS = 5 * 60 * 1000; // Streams have no duration up front
+
+// ── MP3 duration ─────────────────────────────────────────────────────
+
+const BITRATES = { // kbps by [MPEG1 | MPEG2/2.5] for Layer III
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+/**
+ * Parse the MPEG audio frame header at offset
+ * @returns {{ rate: number, perFrame: number, length: number }|null} null if no Layer III header starts here
+ */
+function readFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length || buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) return null;
+  const version = (buffer[offset + 1] >> 3) & 0x03; // 3 = MPEG1, 2 = MPEG2, 0 = MPEG2.5
+  const layer = (buffer[offset + 1] >> 1) & 0x03;   // 1 = Layer III
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  const padding = (buffer[offset + 2] >> 1) & 0x01;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const rate = SAMPLE_RATES[version][rateIndex];
+  const bitrate = BITRATES[version === 3 ? 1 : 2][bitrateIndex] * 1000;
+  const perFrame = version === 3 ? 1152 : 576;
+  return { rate, perFrame, length: Math.floor((perFrame / 8) * bitrate / rate) + padding };
+}
+
+/**
+ * Exact duration of an MP3 (Layer III) by walking its frame headers.
+ * The Xing/Info header frame carries no audio and isn't counted.
+ * Only buffers that open with an ID3 tag or a frame header count as MP3 —
+ * WAV, Ogg and friends contain sync-like bytes too, and a length made up
+ * from those would cut the clip off early.
+ * @param {Buffer} buffer
+ * @returns {number|null} ms, or null if this isn't MP3
+ */
+export function getMp3DurationMs(buffer) {
+  let offset = 0;
+  // Skip an ID3v2 tag
+  if (buffer.length > 10 && buffer.toString('latin1', 0, 3) === 'ID3') {
+    const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+    offset = 10 + size;
+  }
+  if (!readFrameHeader(buffer, offset)) return null;
+
+  let samples = 0;
+  let sampleRate = 0;
+  let frames = 0;
+  while (offset + 4 <= buffer.length) {
+    const frame = readFrameHeader(buffer, offset);
+    if (!frame) { offset++; continue; } // Resync past junk between frames
+
+    const frameText = buffer.toString('latin1', offset + 4, Math.min(buffer.length, offset + 40));
+    if (frames > 0 || !/Xing|Info/.test(frameText)) samples += frame.perFrame;
+    sampleRate = frame.rate;
+    frames++;
+    offset += frame.length;
+  }
+  return sampleRate ? Math.round((samples / sampleRate) * 1000) : null;
+}
+
+/**
+ * Duration of a PCM WAV from its header (fmt byte rate, data size).
+ * A streamed WAV (data size 0xffffffff, e.g. Piper through the cache)
+ * runs to the end of the buffer.
+ * @param {Buffer} buffer
+ * @returns {number|null} ms, or null if this isn't WAV
+ */
+export function getWavDurationMs(buffer) {
+  if (buffer.length < 12 || buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'WAVE') return null;
+  let byteRate = 0;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= buffer.length) byteRate = buffer.readUInt32LE(offset + 16);
+    if (id === 'data') {
+      if (!byteRate) return null;
+      const bytes = Math.min(size, buffer.length - offset - 8);
+      return Math.round((bytes / byteRate) * 1000);
+    }
+    offset += 8 + size + (size & 1);
+  }
+  return null;
+}
+
+/**
+ * Duration of in-memory audio: MP3 or WAV, null for anything else
+ * (played with the long stream watchdog instead)
+ * @param {Buffer} buffer
+ * @returns {number|null} ms
+ */
+export function getAudioDurationMs(buffer) {
+  return getWavDurationMs(buffer) ?? getMp3DurationMs(buffer);
+}
+
+// ── Controller ───────────────────────────────────────────────────────
+
+export class PlaybackController extends EventEmitter {
+  /**
+   * @param {import('@discordjs/voice').AudioPlayer} player
+   */
+  constructor(player) {
+    super();
+    this.player = player;
+    this.current = null; // { resource, metadata, durationMs, resolve, started, stopping, paused, watchdog }
+    player.on('stateChange', (oldState, newState) => this.onStateChange(oldState, newState));
+    player.on('error', (err) => {
+      if (this.current && err.resource === this.current.resource) this.settle('error', err);
+    });
+  }
+
+  /** Whether a clip is loaded (playing, buffering or paused) */
+  get isActive() {
+    return this.current !== null;
+  }
+
+  get isPaused() {
+    return !!this.current?.paused;
+  }
+
+  /** Metadata of the clip loaded now */
+  get metadata() {
+    return this.current?.metadata ?? null;
+  }
+
+  /** ms of the current clip played so far */
+  get position() {
+    return this.current?.resource.playbackDuration ?? 0;
+  }
+
+  /**
+   * Play a clip, replacing anything playing now
+   * @param {Buffer|Readable|string} source - MP3 bytes (or PCM with options.raw), an audio stream, or a file path
+   * @param {Object} [metadata] - Passed back on every event ({ taskId, userId, text }...)
+   * @param {Object} [options]
+   * @param {boolean} [options.raw] - Source is 48kHz stereo s16le PCM (no ffmpeg needed)
+   * @returns {Promise<{ status: 'finished'|'interrupted'|'error', metadata: Object, durationMs: number|null, playedMs: number }>}
+   */
+  play(source, metadata = {}, options = {}) {
+    if (this.current) this.settle('interrupted');
+
+    let input = source;
+    let durationMs = null;
+    if (typeof source === 'string') {
+      const bytes = readFileSync(source);
+      durationMs = getAudioDurationMs(bytes);
+      input = Readable.from([bytes]);
+    } else if (Buffer.isBuffer(source)) {
+      durationMs = options.raw ? Math.round(source.length / 192) : getAudioDurationMs(source); // Raw: 48kHz stereo 16-bit
+      input = Readable.from([source]);
+    }
+
+    const resource = createAudioResource(input, {
+      inlineVolume: true,
+      metadata,
+      ...(options.raw && { inputType: StreamType.Raw }),
+    });
+    resource.volume.setVolume(1.0);
+    return new Promise((resolve) => {
+      const current = { resource, metadata, durationMs, resolve, started: false, stopping: false, paused: false, watchdog: null };
+      this.current = current;
+      // Gapless stream moved on to its next sentence — the previous one is done
+      input.on?.('segment', ({ metadata: next, previous }) => {
+        if (this.current !== current) return;
+        this.emit('sentence', { metadata: previous, durationMs: null, playedMs: resource.playbackDuration });
+        current.metadata = next;
+      });
+      this.armWatchdog();
+      this.player.play(resource);
+    });
+  }
+
+  /**
+   * Stop the current clip (it resolves as 'interrupted')
+   * @returns {boolean} Whether anything was playing
+   */
+  stop() {
+    if (!this.current) return false;
+    this.current.stopping = true;
+    this.player.stop(true);
+    // A clip that never got going may not produce a transition — settle it ourselves
+    if (this.current && this.player.state.status === AudioPlayerStatus.Idle) this.settle('interrupted');
+    return true;
+  }
+
+  /**
+   * Pause mid-clip (e.g. someone started talking over it)
+   * @returns {boolean}
+   */
+  pause() {
+    if (!this.current || this.current.paused) return false;
+    if (!this.player.pause(true)) return false;
+    this.current.paused = true;
+    clearTimeout(this.current.watchdog);
+    this.emit('paused', this.payload(this.current));
+    return true;
+  }
+
+  /**
+   * Continue a paused clip from where it stopped
+   * @returns {boolean}
+   */
+  resume() {
+    if (!this.current?.paused) return false;
+    if (!this.player.unpause()) return false;
+    this.current.paused = false;
+    this.armWatchdog();
+    this.emit('resumed', this.payload(this.current));
+    return true;
+  }
+
+  onStateChange(oldState, newState) {
+    const current = this.current;
+    if (!current) return;
+
+    if (newState.status === AudioPlayerStatus.Playing && newState.resource === current.resource && !current.started) {
+      current.started = true;
+      this.emit('started', this.payload(current));
+    } else if (newState.status === AudioPlayerStatus.Idle && oldState.resource === current.resource) {
+      this.settle(current.stopping ? 'interrupted' : 'finished');
+    } else if (newState.resource && newState.resource !== current.resource && newState.status !== AudioPlayerStatus.Idle) {
+      this.settle('interrupted'); // Someone played over us directly
+    }
+  }
+
+  armWatchdog() {
+    const current = this.current;
+    clearTimeout(current.watchdog);
+    const remaining = current.durationMs !== null
+      ? current.durationMs - current.resource.playbackDuration + WATCHDOG_SLACK_MS
+      : STREAM_WATCHDOG_MS;
+    current.watchdog = setTimeout(() => {
+      if (this.current !== current) return;
+      console.warn(`⚠️  Playback stuck (${this.player.state.status}) — stopping clip`);
+      this.stop();
+      if (this.current === current) this.settle('error', new Error('Playback watchdog'));
+    }, remaining);
+  }
+
+  payload(current) {
+    return { metadata: current.metadata, durationMs: current.durationMs, playedMs: current.resource.playbackDuration };
+  }
+
+  settle(status, error = null) {
+    const current = this.current;
+    if (!current) return;
+    this.current = null;
+    clearTimeout(current.watchdog);
+
+    const result = { status, ...this.payload(current) };
+    if (status === 'error') {
+      this.emit('failed', { ...result, error });
+    } else {
+      this.emit(status, result);
+      if (status === 'finished' && current.metadata.text) this.emit('sentence', result);
+    }
+    current.resolve(result);
+  }
+}
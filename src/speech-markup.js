@@ -0,0 +1,262 @@
+/**
+ * Speech Markup - How a sentence should be spoken, independent of engine
+ *
+ * toSpeechMarkup() reads brain text (markdown and all) into:
+ *
+ *   { parts: [...], prosody: { rate, pitch } }
+ *
+ *   { text }                          plain words
+ *   { break: ms }                     pause (between list items, paragraphs)
+ *   { emphasis: text }                **bold** / *italic* in the brain text
+ *   { sayAs: kind, text, format? }    date, time, telephone, ip, characters
+ *
+ * rate is a multiplier (1 = normal), pitch a percentage (0 = normal).
+ * Sentences dense with digits are slowed down a little.
+ *
+ * Text and emphasis come out normalized for speech (speech-normalize.js:
+ * lexicon, URLs, versions, currency, units, numbers in words); say-as parts
+ * keep their written form for SSML engines.
+ *
+ * renderSSML() is for engines that take SSML (Azure); renderPlainText()
+ * degrades everything to words and punctuation for the rest — dates spelled
+ * out, phone numbers digit by digit, pauses as commas and full stops.
+ */
+
+import 'dotenv/config';
+import {
+  TTS_LOCALE,
+  applyLexicon,
+  normalizeForSpeech,
+  findSpeechToken,
+  speakSpeechToken,
+  speakDate,
+  speakTime,
+  speakTelephone,
+  speakIp,
+} from './speech-normalize.js';
+
+const BASE_RATE = parseFloat(process.env.TTS_RATE || '1.0');
+const BASE_PITCH = parseFloat(process.env.TTS_PITCH || '0');
+const LIST_PAUSE_MS = 350;
+const PARAGRAPH_PAUSE_MS = 600;
+const DIGIT_HEAVY_RATE = 0.9;
+
+// Acronyms engines should say as words, not spell
+const WORD_ACRONYMS = new Set(['NASA', 'NATO', 'SCUBA', 'LASER', 'RADAR', 'GIF', 'JPEG', 'PIN', 'RAM', 'ROM', 'SIM', 'WAN', 'LAN', 'FAQ', 'ASAP', 'OK', 'AM', 'PM']);
+// Capitals with a vowel are usually emphasis ("I DO NOT agree") — only these are spelled
+const SPELLED_INITIALISMS = new Set(['AI', 'API', 'AWS', 'CEO', 'CFO', 'CTO', 'CPU', 'GPU', 'EOF', 'ETA', 'EU', 'IAM', 'IBM', 'IDE', 'IO', 'IOT', 'IP', 'IRC', 'ISP', 'OCR', 'OS', 'OTP', 'QA', 'RSA', 'UI', 'UK', 'URI', 'URL', 'USA', 'USB', 'UTC', 'UX']);
+
+// Order matters: earlier kinds win where patterns overlap
+const SAY_AS_PATTERNS = [
+  ['ip', /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/],
+  ['date', /\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}\/\d{1,2}\/\d{4}\b/],
+  ['time', /\b\d{1,2}(?::\d{2}(?::\d{2})?(?:\s?[ap]\.?m\.?)?|\s?[ap]\.?m\.?)(?![\w:])/i],
+  ['telephone', /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)\s?|\b\d{3}[\s.-])\d{3}[\s.-]\d{4}\b/],
+  ['characters', /\b[A-Z]{2,5}s?\b/],
+];
+
+/**
+ * Build markup for one sentence of brain text
+ * @param {string} text - May contain markdown (bullets, **bold**, blank lines)
+ * @param {Object} [options]
+ * @param {{ rate?: number, pitch?: number }} [options.prosody] - Caller's adjustment (e.g. urgent alerts)
+ * @param {(text: string) => string} [options.clean] - Applied to each text run (e.g. trimForVoice)
+ * @param {string} [options.locale=TTS_LOCALE] - For normalization and spoken forms
+ * @returns {{ parts: Object[], prosody: { rate: number, pitch: number }, locale: string }}
+ */
+export function toSpeechMarkup(text, { prosody = {}, clean = (t) => t, locale = TTS_LOCALE } = {}) {
+  const context = { clean, locale };
+  const parts = [];
+  const paragraphs = String(text || '').split(/\n\s*\n/);
+  paragraphs.forEach((paragraph, p) => {
+    if (p > 0) parts.push({ break: PARAGRAPH_PAUSE_MS });
+    const lines = paragraph.split('\n').filter(line => line.trim());
+    lines.forEach((line, l) => {
+      const isItem = /^\s*(?:[-*+]|\d+[.)])\s+/.test(line);
+      if (l > 0 && (isItem || /^\s*(?:[-*+]|\d+[.)])\s+/.test(lines[l - 1]))) parts.push({ break: LIST_PAUSE_MS });
+      else if (l > 0) parts.push({ text: ' ' });
+      parseInline(applyLexicon(line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')), parts, context);
+    });
+  });
+
+  // Phone numbers, addresses, figures — dates and times read fine at speed.
+  // Counted on the written text: normalized parts are already words
+  const written = SAY_AS_PATTERNS
+    .filter(([kind]) => kind === 'date' || kind === 'time')
+    .reduce((rest, [, pattern]) => rest.replace(new RegExp(pattern.source, 'gi'), ''), String(text || ''));
+  const digits = (written.match(/\d/g) || []).length;
+  const rate = (prosody.rate ?? 1) * BASE_RATE * (digits >= 7 ? DIGIT_HEAVY_RATE : 1);
+  return { parts: mergeText(parts), prosody: { rate: round(rate), pitch: round((prosody.pitch ?? 0) + BASE_PITCH) }, locale };
+}
+
+/**
+ * Put words in front (e.g. the addressee's name)
+ * @returns {Object} New markup
+ */
+export function prependText(markup, prefix) {
+  return { ...markup, parts: mergeText([{ text: prefix }, ...markup.parts]) };
+}
+
+function parseInline(line, parts, context) {
+  const emphasis = /\*\*([^*]+)\*\*|\*([^*\s][^*]*)\*|\b_([^_]+)_\b/g;
+  let last = 0;
+  for (const match of line.matchAll(emphasis)) {
+    pushText(line.slice(last, match.index), parts, context);
+    const words = normalizeForSpeech(context.clean(match[1] || match[2] || match[3]), { locale: context.locale, lexicon: false }).trim();
+    if (words) parts.push({ emphasis: words });
+    last = match.index + match[0].length;
+  }
+  pushText(line.slice(last), parts, context);
+}
+
+/**
+ * First all-caps run that is an initialism to spell out: no vowels
+ * ("DNS", "HTTP") or a known one ("API") — not an acronym said as a word
+ */
+function findInitialism(text, pattern) {
+  for (const match of text.matchAll(new RegExp(pattern.source, 'g'))) {
+    const letters = match[0].length > 2 ? match[0].replace(/s$/, '') : match[0];
+    if (WORD_ACRONYMS.has(letters)) continue;
+    if (!/[AEIOUY]/.test(letters) || SPELLED_INITIALISMS.has(letters)) return match;
+  }
+  return null;
+}
+
+function pushText(raw, parts, { clean, locale }) {
+  const normalize = (run) => normalizeForSpeech(run, { locale, sayAs: false, lexicon: false });
+  let text = clean(raw);
+  // clean() trims — keep the spaces around emphasis
+  if (text && /^\s/.test(raw)) text = ` ${text}`;
+  if (text && /\s$/.test(raw)) text = `${text} `;
+  while (text) {
+    let first = null;
+    for (const [kind, pattern] of SAY_AS_PATTERNS) {
+      const match = kind === 'characters' ? findInitialism(text, pattern) : pattern.exec(text);
+      if (!match) continue;
+      if (!first || match.index < first.index) first = { kind, index: match.index, text: match[0] };
+    }
+    // URLs, versions, IDs, amounts... are spoken whole — "CVE-2024-3094" isn't an acronym and a number
+    const token = findSpeechToken(text);
+    if (token && (!first || token.index < first.index || (token.index === first.index && token.text.length > first.text.length))) {
+      first = { ...token, spoken: true };
+    }
+    if (!first) {
+      parts.push({ text: normalize(text) });
+      return;
+    }
+    if (first.index > 0) parts.push({ text: normalize(text.slice(0, first.index)) });
+    if (first.spoken) parts.push({ text: speakSpeechToken(first, locale) });
+    else parts.push({ sayAs: first.kind, text: first.text, ...(first.kind === 'date' && { format: dateFormat(first.text, locale) }) });
+    text = text.slice(first.index + first.text.length);
+  }
+}
+
+// ISO dates are year first; slash dates month first only in en-US, unless that can't be right
+function dateFormat(text, locale) {
+  if (text.includes('-')) return 'ymd';
+  const [a, b] = text.split('/').map(Number);
+  const monthFirst = /^en-US\b/i.test(locale) ? a <= 12 : b > 12;
+  return monthFirst ? 'mdy' : 'dmy';
+}
+
+function mergeText(parts) {
+  const merged = [];
+  for (const part of parts) {
+    const previous = merged[merged.length - 1];
+    if (part.text !== undefined && !part.sayAs && previous?.text !== undefined && !previous.sayAs) {
+      previous.text += part.text;
+    } else {
+      merged.push({ ...part });
+    }
+  }
+  return merged.filter(part => part.break || (part.text ?? part.emphasis ?? '').length > 0);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// ── Say-as → words ───────────────────────────────────────────────────
+
+/**
+ * How a say-as part reads as plain words
+ * @param {{ sayAs: string, text: string, format?: string }} part
+ * @param {string} [locale=TTS_LOCALE]
+ * @returns {string}
+ */
+export function spokenForm(part, locale = TTS_LOCALE) {
+  switch (part.sayAs) {
+    case 'date': return speakDate(part.text, part.format, locale);
+    case 'time': return speakTime(part.text, locale);
+    case 'telephone': return speakTelephone(part.text);
+    case 'ip': return speakIp(part.text, locale);
+    default: return part.text;
+  }
+}
+
+// ── Renderers ────────────────────────────────────────────────────────
+
+/**
+ * Degrade markup to text any engine reads well
+ * @param {Object} markup
+ * @param {Object} [options]
+ * @param {boolean} [options.breakTags] - Keep pauses as <break time="..."/> (ElevenLabs)
+ * @returns {string}
+ */
+export function renderPlainText(markup, { breakTags = false } = {}) {
+  let out = '';
+  for (const part of markup.parts) {
+    if (part.break) {
+      if (breakTags) {
+        out = `${out.trimEnd()} <break time="${(part.break / 1000).toFixed(1)}s" /> `;
+      } else {
+        // Punctuation is the only pause every engine honours
+        const stop = part.break >= LIST_PAUSE_MS ? '.' : ',';
+        out = /[.,!?;:]\s*$/.test(out) ? `${out.trimEnd()} ` : `${out.trimEnd()}${out.trim() ? stop : ''} `;
+      }
+    } else if (part.sayAs) {
+      out += spokenForm(part, markup.locale);
+    } else {
+      out += part.text ?? part.emphasis;
+    }
+  }
+  return out.replace(/\s{2,}/g, ' ').trim();
+}
+
+function escapeXml(text) {
+  return text.replace(/[<>&'"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+/**
+ * SSML rate/pitch attributes ("+10%", "-5%")
+ */
+export function formatProsody({ rate = 1, pitch = 0 } = {}) {
+  const signed = (n) => `${n >= 0 ? '+' : ''}${Math.round(n)}%`;
+  return { rate: signed((rate - 1) * 100), pitch: signed(pitch) };
+}
+
+/**
+ * Full SSML document
+ * @param {Object} markup
+ * @param {Object} [options]
+ * @param {string} [options.voice] - Voice name (adds a <voice> element)
+ * @param {string} [options.lang] - xml:lang (default from the voice name, else the markup's locale)
+ * @returns {string}
+ */
+export function renderSSML(markup, { voice, lang } = {}) {
+  const body = markup.parts.map(part => {
+    if (part.break) return `<break time="${part.break}ms"/>`;
+    if (part.emphasis) return `<emphasis level="moderate">${escapeXml(part.emphasis)}</emphasis>`;
+    if (part.sayAs === 'ip') return escapeXml(spokenForm(part, markup.locale)); // No standard say-as for addresses
+    if (part.sayAs === 'date') return `<say-as interpret-as="date" format="${part.format}">${escapeXml(part.text)}</say-as>`;
+    if (part.sayAs === 'time') return `<say-as interpret-as="time" format="${/[ap]\.?m/i.test(part.text) ? 'hms12' : 'hms24'}">${escapeXml(part.text)}</say-as>`;
+    if (part.sayAs) return `<say-as interpret-as="${part.sayAs}">${escapeXml(part.text)}</say-as>`;
+    return escapeXml(part.text);
+  }).join('');
+
+  const { rate, pitch } = formatProsody(markup.prosody);
+  const spoken = rate === '+0%' && pitch === '+0%' ? body : `<prosody rate="${rate}" pitch="${pitch}">${body}</prosody>`;
+  const language = lang || (voice ? voice.split('-').slice(0, 2).join('-') : markup.locale || TTS_LOCALE);
+  const inner = voice ? `<voice name="${escapeXml(voice)}">${spoken}</voice>` : spoken;
+  return `<speak version="1.0" xmlns="http://www.w3.org/2001/10/synthesis" xml:lang="${language}">${inner}</speak>`;
+}
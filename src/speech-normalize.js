@@ -0,0 +1,514 @@
+/**
+ * Speech Normalizer - Turn written text into words a TTS engine reads well
+ *
+ * Engines read "CVE-2024-3094", "$1.2M", "v2.4.1", "/etc/nginx/nginx.conf"
+ * and URLs letter by letter or not at all, and say emoji names out loud.
+ * normalizeForSpeech() expands them (English locales; TTS_LOCALE picks date
+ * order and British/American number reading):
+ *
+ *   CVE-2024-3094           → C V E twenty twenty-four thirty ninety-four
+ *   $1.2M                   → one point two million dollars
+ *   512MB, 200ms, 45%       → five hundred twelve megabytes, ...
+ *   5B users, 10k rows      → five billion users, ten thousand rows
+ *   v2.4.1                  → version two point four point one
+ *   https://github.com/x/y  → github dot com slash x slash y
+ *   /etc/nginx/nginx.conf   → slash etc slash nginx slash nginx dot conf
+ *   2026-10-19, 3:45pm      → October nineteenth, twenty twenty-six / three forty-five PM
+ *   10.0.0.1                → ten dot zero dot zero dot one
+ *
+ * Names engines get wrong go in the pronunciation lexicon (lexicon.json,
+ * { "Radare2": "radar two" }), applied before anything else and reloaded
+ * when the file changes. Non-English locales only get the lexicon and
+ * emoji stripping — the rest is English words.
+ */
+
+import 'dotenv/config';
+import { readFileSync, existsSync, watchFile } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const TTS_LOCALE = process.env.TTS_LOCALE || 'en-US';
+const LEXICON_PATH = process.env.TTS_LEXICON_PATH || join(__dirname, '..', 'lexicon.json');
+
+// Words engines reliably get wrong; lexicon.json entries override these
+const BUILTIN_LEXICON = {
+  nginx: 'engine x',
+  kubectl: 'kube control',
+  sudo: 'soo doo',
+  GUI: 'gooey',
+  SQL: 'sequel',
+  YAML: 'yammel',
+  JSON: 'jason',
+};
+
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']];
+const ORDINAL_WORDS = { one: 'first', two: 'second', three: 'third', five: 'fifth', eight: 'eighth', nine: 'ninth', twelve: 'twelfth' };
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+// A bare 1100–2099 is only read as a year after one of these ("since 1998",
+// "October 19, 2026") — otherwise "1234 open tickets" is a count
+const YEAR_CONTEXT = /\b(?:in|since|by|from|until|till|before|after|during|circa|year|(?:jan|feb|mar|apr|may|jun|jul|aug|sept?|oct|nov|dec)[a-z]*\.?(?:\s+\d{1,2}(?:st|nd|rd|th)?)?,?)\s+$/i;
+
+const CURRENCIES = {
+  '$': ['dollar', 'dollars', 'cent', 'cents'],
+  '€': ['euro', 'euros', 'cent', 'cents'],
+  '£': ['pound', 'pounds', 'penny', 'pence'],
+  '¥': ['yen', 'yen'],
+  USD: ['US dollar', 'US dollars', 'cent', 'cents'],
+  EUR: ['euro', 'euros', 'cent', 'cents'],
+  GBP: ['pound', 'pounds', 'penny', 'pence'],
+};
+const AMOUNT_SCALES = { k: 'thousand', m: 'million', b: 'billion', bn: 'billion', t: 'trillion', thousand: 'thousand', million: 'million', billion: 'billion', trillion: 'trillion' };
+
+const UNITS = {
+  ns: ['nanosecond', 'nanoseconds'], µs: ['microsecond', 'microseconds'], ms: ['millisecond', 'milliseconds'],
+  sec: ['second', 'seconds'], secs: ['second', 'seconds'], min: ['minute', 'minutes'], mins: ['minute', 'minutes'],
+  h: ['hour', 'hours'], hr: ['hour', 'hours'], hrs: ['hour', 'hours'],
+  KB: ['kilobyte', 'kilobytes'], MB: ['megabyte', 'megabytes'], GB: ['gigabyte', 'gigabytes'],
+  TB: ['terabyte', 'terabytes'], PB: ['petabyte', 'petabytes'], KiB: ['kibibyte', 'kibibytes'], MiB: ['mebibyte', 'mebibytes'],
+  GiB: ['gibibyte', 'gibibytes'], TiB: ['tebibyte', 'tebibytes'],
+  kbps: ['kilobit per second', 'kilobits per second'], Kbps: ['kilobit per second', 'kilobits per second'],
+  Mbps: ['megabit per second', 'megabits per second'], Gbps: ['gigabit per second', 'gigabits per second'],
+  Hz: ['hertz', 'hertz'], kHz: ['kilohertz', 'kilohertz'], MHz: ['megahertz', 'megahertz'], GHz: ['gigahertz', 'gigahertz'],
+  km: ['kilometre', 'kilometres'], cm: ['centimetre', 'centimetres'], mm: ['millimetre', 'millimetres'],
+  kg: ['kilogram', 'kilograms'], mg: ['milligram', 'milligrams'],
+  '°C': ['degree Celsius', 'degrees Celsius'], '°F': ['degree Fahrenheit', 'degrees Fahrenheit'],
+  '%': ['percent', 'percent'], x: ['times', 'times'],
+};
+const UNIT_NAMES = Object.keys(UNITS).sort((a, b) => b.length - a.length).map(u => u.replace(/[%°µ]/g, (c) => `\\${c}`)).join('|');
+
+// Tokens normalized whole — speech-markup.js lets these win over its say-as
+// patterns when they start at the same place (so "CVE" isn't spelled alone)
+const TOKEN_RULES = [
+  ['url', /\b(?:https?:\/\/|www\.)[^\s<>"')\]]+[^\s<>"')\].,;:!?]/i],
+  ['email', /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/],
+  ['hostport', /\b(?:(?:\d{1,3}\.){3}\d{1,3}|localhost):\d{1,5}\b/],
+  ['cve', /\bCVE-\d{4}-\d{4,}\b/i],
+  ['id', /\b[A-Z]{2,10}-\d+\b/],
+  ['path', /(?:~|\.{1,2})?(?:\/[\w.@-]+){2,}\/?|\b[A-Z]:\\[\w\\. -]+\b/],
+  ['version', /\bv\d+(?:\.\d+){1,3}(?:-[\w.]+)?\b|\b\d+\.\d+\.\d+(?:-[\w.]+)?\b(?!\.\d)/],
+  ['currency', new RegExp(`(?:[$€£¥]\\s?\\d[\\d,]*(?:\\.\\d+)?(?:\\s?(?:bn|thousand|million|billion|trillion|[kKmMbBtT])\\b)?|\\b\\d[\\d,]*(?:\\.\\d+)?\\s?(?:USD|EUR|GBP)\\b)`)],
+  ['unit', new RegExp(`(?<![\\w.])-?\\d[\\d,]*(?:\\.\\d+)?\\s?(?:${UNIT_NAMES})(?![\\w%])`)],
+  // "5B users", "10k requests" — counts, scaled like currency amounts ("B" is billion, not bytes)
+  ['count', /(?<![\w.])\d[\d,]*(?:\.\d+)?(?:\s?bn|[kKMBT])(?!\w)/],
+  ['file', /\b[\w-]+\.(?:js|mjs|ts|tsx|jsx|json|ya?ml|toml|conf|cfg|ini|md|txt|log|py|sh|go|rs|rb|java|c|h|cpp|html|css|sql|csv|env|pdf|zip|tar|gz)\b/],
+];
+
+// Say-as-style tokens — spoken here only when the text isn't marked up
+const PLAIN_RULES = [
+  ['ip', /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/],
+  ['date', /\b\d{4}-\d{2}-\d{2}\b|\b\d{1,2}\/\d{1,2}\/\d{4}\b/],
+  ['time', /\b\d{1,2}(?::\d{2}(?::\d{2})?\s?(?:[ap]\.?m\.?)?|\s?[ap]\.?m\.?)(?![\w:])/i],
+];
+
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}️‍⃣]/gu;
+
+let fileEntries = {};    // lexicon.json
+let runtimeEntries = {}; // addPronunciations()
+let lexicon = compileLexicon(BUILTIN_LEXICON);
+
+const isEnglish = (locale) => /^en\b/i.test(locale);
+const isBritish = (locale) => /^en-(GB|AU|NZ|IE|IN|ZA)\b/i.test(locale);
+
+// ── Numbers ──────────────────────────────────────────────────────────
+
+function under1000(n, locale) {
+  const words = [];
+  if (n >= 100) {
+    words.push(`${ONES[Math.floor(n / 100)]} hundred`);
+    n %= 100;
+    if (n > 0 && isBritish(locale)) words.push('and');
+  }
+  if (n >= 20) words.push(TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : ''));
+  else if (n > 0 || words.length === 0) words.push(ONES[n]);
+  return words.join(' ');
+}
+
+/**
+ * Number → words ("1,234.5" → "one thousand two hundred thirty-four point five")
+ * @param {number|string} value
+ * @param {string} [locale=TTS_LOCALE] - en-GB etc. say "hundred and"
+ * @returns {string}
+ */
+export function numberToWords(value, locale = TTS_LOCALE) {
+  const text = String(value).replace(/,/g, '');
+  if (!/^-?\d+(?:\.\d+)?$/.test(text)) return String(value);
+  const [whole, fraction] = text.replace(/^-/, '').split('.');
+  let n = Number(whole);
+  if (!Number.isSafeInteger(n) || n >= 1e15) return digitsToWords(text);
+
+  const words = [];
+  for (const [size, name] of SCALES) {
+    if (n >= size) {
+      words.push(`${under1000(Math.floor(n / size), locale)} ${name}`);
+      n %= size;
+    }
+  }
+  if (n > 0 || words.length === 0) {
+    if (words.length > 0 && n < 100 && isBritish(locale)) words.push('and');
+    words.push(under1000(n, locale));
+  }
+  let spoken = words.join(' ');
+  if (text.startsWith('-')) spoken = `minus ${spoken}`;
+  if (fraction) spoken += ` point ${digitsToWords(fraction)}`;
+  return spoken;
+}
+
+/**
+ * Digit by digit ("3094" → "three zero nine four")
+ * @param {string} digits
+ * @returns {string}
+ */
+export function digitsToWords(digits) {
+  return String(digits).split('').map(d => ONES[d] ?? (d === '.' ? 'point' : d === '-' ? 'minus' : d)).join(' ');
+}
+
+/**
+ * "19" → "nineteenth"
+ * @param {number} n
+ * @returns {string}
+ */
+export function ordinalWords(n, locale = TTS_LOCALE) {
+  const words = numberToWords(n, locale);
+  return words.replace(/(\w+)$/, (last) => {
+    if (ORDINAL_WORDS[last]) return ORDINAL_WORDS[last];
+    if (last.endsWith('y')) return `${last.slice(0, -1)}ieth`;
+    return `${last}th`;
+  });
+}
+
+/**
+ * Years and four-digit serials the way people say them ("twenty twenty-four",
+ * "nineteen oh five", "two thousand")
+ * @param {number|string} value
+ * @returns {string}
+ */
+export function yearToWords(value, locale = TTS_LOCALE) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1000 || n > 9999) return numberToWords(value, locale);
+  const high = Math.floor(n / 100);
+  const low = n % 100;
+  if (low === 0) return n % 1000 === 0 ? numberToWords(n, locale) : `${numberToWords(high, locale)} hundred`;
+  if (high % 10 === 0 && low < 10) return numberToWords(n, locale); // 2005 → two thousand (and) five
+  return `${numberToWords(high, locale)} ${low < 10 ? `oh ${ONES[low]}` : numberToWords(low, locale)}`;
+}
+
+// ── Say-as forms ─────────────────────────────────────────────────────
+
+/**
+ * "2026-10-19" / "10/19/2026" → "October nineteenth, twenty twenty-six"
+ * (en-GB: "the nineteenth of October, ..."; slash dates are day-first outside en-US)
+ * @param {string} text
+ * @param {string} [format] - 'ymd' | 'mdy' | 'dmy' (default: from the text and locale)
+ * @returns {string}
+ */
+export function speakDate(text, format, locale = TTS_LOCALE) {
+  let year, month, day;
+  if (text.includes('-')) {
+    [year, month, day] = text.split('-').map(Number);
+  } else {
+    const [a, b, y] = text.split('/').map(Number);
+    const dayFirst = format ? format === 'dmy' : !/^en-US\b/i.test(locale);
+    [day, month, year] = dayFirst ? [a, b, y] : [b, a, y];
+    if (month > 12 && day <= 12) [month, day] = [day, month]; // Only one reading makes sense
+  }
+  if (!MONTHS[month - 1] || day < 1 || day > 31) return text;
+  if (!isEnglish(locale)) return text;
+  return isBritish(locale)
+    ? `the ${ordinalWords(day, locale)} of ${MONTHS[month - 1]}, ${yearToWords(year, locale)}`
+    : `${MONTHS[month - 1]} ${ordinalWords(day, locale)}, ${yearToWords(year, locale)}`;
+}
+
+/**
+ * "3:45pm" → "three forty-five PM", "14:05" → "fourteen oh five", "3pm" → "three PM"
+ * @param {string} text
+ * @returns {string}
+ */
+export function speakTime(text, locale = TTS_LOCALE) {
+  const match = /^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s?(?:([ap])\.?m\.?)?$/i.exec(text.trim());
+  if (!match || !isEnglish(locale)) return text;
+  const [, hours, minutes, meridiem] = match;
+  const m = Number(minutes || 0);
+  const minuteWords = m === 0 ? (meridiem ? '' : ' hundred') : m < 10 ? ` oh ${ONES[m]}` : ` ${numberToWords(m, locale)}`;
+  const hourWords = numberToWords(Number(hours), locale);
+  if (meridiem) return `${hourWords}${minuteWords} ${meridiem.toUpperCase()}M`;
+  return m === 0 && Number(hours) <= 12 ? `${hourWords} o'clock` : `${hourWords}${minuteWords}`;
+}
+
+/**
+ * "555-123-4567" → "five five five, one two three, four five six seven"
+ * @param {string} text
+ * @returns {string}
+ */
+export function speakTelephone(text) {
+  const plus = text.trim().startsWith('+') ? 'plus ' : '';
+  return plus + text.split(/[^\d]+/).filter(Boolean).map(digitsToWords).join(', ');
+}
+
+/**
+ * "10.0.0.1" → "ten dot zero dot zero dot one"
+ * @param {string} text
+ * @returns {string}
+ */
+export function speakIp(text, locale = TTS_LOCALE) {
+  return text.split('.').map(octet => numberToWords(octet, locale)).join(' dot ');
+}
+
+// ── Tokens ───────────────────────────────────────────────────────────
+
+function speakHost(host) {
+  return host.replace(/^www\./i, '').split('.').join(' dot ');
+}
+
+function speakPathSegment(segment, locale) {
+  return segment.split('.').filter(Boolean).map(part => speakWord(part, locale)).join(' dot ');
+}
+
+function speakWord(word, locale) {
+  return applyLexicon(word).replace(/\d+/g, (digits) => ` ${numberToWords(digits, locale)} `).replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+function speakUrl(url, locale) {
+  const bare = url.replace(/^https?:\/\//i, '');
+  const [hostPort, ...path] = bare.split(/[/?#]/);
+  const [host] = hostPort.split(':');
+  const hostWords = /^[\d.]+$/.test(host) ? speakIp(host, locale) : speakHost(host);
+  const segments = path.filter(Boolean);
+  // Short paths are worth saying; long ones (ids, query strings) aren't
+  if (segments.length === 0 || segments.length > 3 || segments.join('/').length > 40 || /[?#=&]/.test(bare)) {
+    return segments.length ? `a link on ${hostWords}` : hostWords;
+  }
+  return [hostWords, ...segments.map(s => speakPathSegment(s, locale))].join(' slash ');
+}
+
+function speakPath(path, locale) {
+  if (/^[A-Z]:\\/.test(path)) {
+    const [drive, ...rest] = path.split('\\').filter(Boolean);
+    return [`${drive[0]} drive`, ...rest.map(s => speakPathSegment(s, locale))].join(' backslash ');
+  }
+  const segments = path.split('/').filter(Boolean);
+  const prefix = path.startsWith('~') ? 'home slash ' : path.startsWith('..') ? 'up slash ' : path.startsWith('/') ? 'slash ' : '';
+  const spoken = (segments[0] === '~' || segments[0] === '.' || segments[0] === '..') ? segments.slice(1) : segments;
+  if (spoken.length > 4) return `a path ending in ${spoken.slice(-2).map(s => speakPathSegment(s, locale)).join(' slash ')}`;
+  return prefix + spoken.map(s => speakPathSegment(s, locale)).join(' slash ');
+}
+
+function speakCurrency(text, locale) {
+  const match = /^([$€£¥])?\s?(\d[\d,]*(?:\.\d+)?)(?:\s?(bn|thousand|million|billion|trillion|[kKmMbBtT]))?(?:\s?(USD|EUR|GBP))?$/.exec(text.trim());
+  if (!match) return text;
+  const [, symbol, amount, scaleKey, code] = match;
+  const [one, many, subOne, subMany] = CURRENCIES[symbol || code];
+  const scale = scaleKey && AMOUNT_SCALES[scaleKey.toLowerCase()];
+  if (scale) return `${numberToWords(amount, locale)} ${scale} ${many}`;
+  const [whole, cents] = amount.replace(/,/g, '').split('.');
+  const wholeWords = `${numberToWords(whole, locale)} ${Number(whole) === 1 ? one : many}`;
+  if (!cents || !subMany || Number(cents) === 0) return wholeWords;
+  const minor = Number(cents.padEnd(2, '0').slice(0, 2));
+  return `${wholeWords} and ${numberToWords(minor, locale)} ${minor === 1 ? subOne : subMany}`;
+}
+
+function speakUnit(text, locale) {
+  const match = new RegExp(`^(-?\\d[\\d,]*(?:\\.\\d+)?)\\s?(${UNIT_NAMES})$`).exec(text.trim());
+  if (!match) return text;
+  const [, amount, unit] = match;
+  const [one, many] = UNITS[unit];
+  return `${numberToWords(amount, locale)} ${Number(amount.replace(/,/g, '')) === 1 ? one : many}`;
+}
+
+function speakCount(text, locale) {
+  const [, amount, scaleKey] = /^(\d[\d,]*(?:\.\d+)?)\s?(\w+)$/.exec(text.trim());
+  return `${numberToWords(amount, locale)} ${AMOUNT_SCALES[scaleKey.toLowerCase()]}`;
+}
+
+function speakVersion(text, locale) {
+  const [core, suffix] = text.replace(/^v/, '').split(/-(.*)/);
+  const words = core.split('.').map(part => numberToWords(part, locale)).join(' point ');
+  return `${text.startsWith('v') ? 'version ' : ''}${words}${suffix ? ` ${speakWord(suffix.replace(/\./g, ' '), locale)}` : ''}`;
+}
+
+function speakToken(kind, text, locale) {
+  switch (kind) {
+    case 'url': return speakUrl(text, locale);
+    case 'email': {
+      const [user, domain] = text.split('@');
+      return `${speakWord(user.replace(/\./g, ' dot '), locale)} at ${speakHost(domain)}`;
+    }
+    case 'hostport': {
+      const [host, port] = text.split(':');
+      return `${host === 'localhost' ? host : speakIp(host, locale)} port ${yearToWords(port, locale)}`; // 8080 → eighty eighty
+    }
+    case 'cve': {
+      const [, year, id] = text.split('-');
+      const idWords = id.length === 4 ? yearToWords(id, locale) : digitsToWords(id);
+      return `C V E ${yearToWords(year, locale)} ${idWords}`;
+    }
+    case 'id': {
+      const [prefix, number] = text.split('-');
+      return `${prefix} ${numberToWords(number, locale)}`;
+    }
+    case 'path': return speakPath(text, locale);
+    case 'version': return speakVersion(text, locale);
+    case 'currency': return speakCurrency(text, locale);
+    case 'unit': return speakUnit(text, locale);
+    case 'count': return speakCount(text, locale);
+    case 'file': return speakPathSegment(text, locale);
+    case 'ip': return speakIp(text, locale);
+    case 'date': return speakDate(text, undefined, locale);
+    case 'time': return speakTime(text, locale);
+    default: return text;
+  }
+}
+
+/**
+ * Earliest normalizer-owned token in `text` (longest wins on a tie)
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {boolean} [options.sayAs=false] - Include dates, times and IPs
+ * @returns {{ kind: string, index: number, text: string }|null}
+ */
+export function findSpeechToken(text, { sayAs = false } = {}) {
+  let best = null;
+  for (const [kind, pattern] of sayAs ? [...PLAIN_RULES, ...TOKEN_RULES] : TOKEN_RULES) {
+    const match = pattern.exec(text);
+    if (!match) continue;
+    if (!best || match.index < best.index || (match.index === best.index && match[0].length > best.text.length)) {
+      best = { kind, index: match.index, text: match[0] };
+    }
+  }
+  return best;
+}
+
+/**
+ * Speak one token found by findSpeechToken()
+ * @returns {string}
+ */
+export function speakSpeechToken(token, locale = TTS_LOCALE) {
+  return isEnglish(locale) ? speakToken(token.kind, token.text, locale) : token.text;
+}
+
+// ── Lexicon ──────────────────────────────────────────────────────────
+
+function rebuildLexicon() {
+  lexicon = compileLexicon({ ...BUILTIN_LEXICON, ...fileEntries, ...runtimeEntries });
+}
+
+function compileLexicon(entries) {
+  return Object.entries(entries)
+    .filter(([word, spoken]) => word && typeof spoken === 'string')
+    .sort(([a], [b]) => b.length - a.length) // "Radare2" before "Radare"
+    .map(([word, spoken]) => {
+      const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      // All-caps entries (acronyms) match case-sensitively — "GUI" yes, "gui" in a word no
+      const flags = word === word.toUpperCase() && /[A-Z]/.test(word) ? 'g' : 'gi';
+      // Not inside paths, hostnames or file names ("nginx.conf") — those are spoken piece by piece
+      return [new RegExp(`(?<![\\w/.-])${escaped}(?![\\w-]|[./]\\w)`, flags), spoken];
+    });
+}
+
+/**
+ * Load the pronunciation lexicon (JSON object, written → spoken) on top of
+ * the built-in entries. Keeps the previous lexicon if the file is invalid.
+ * @param {string} [lexiconPath] - Defaults to TTS_LEXICON_PATH or ./lexicon.json
+ * @returns {number} Entries loaded from the file
+ */
+export function loadLexicon(lexiconPath = LEXICON_PATH) {
+  if (!existsSync(lexiconPath)) {
+    fileEntries = {};
+    rebuildLexicon();
+    return 0;
+  }
+  try {
+    const parsed = JSON.parse(readFileSync(lexiconPath, 'utf8'));
+    fileEntries = parsed.words || parsed;
+    rebuildLexicon();
+    const count = Object.keys(fileEntries).length;
+    console.log(`📖 Pronunciation lexicon loaded: ${count} entries from ${lexiconPath}`);
+    return count;
+  } catch (err) {
+    console.error(`❌ Failed to load lexicon ${lexiconPath}:`, err.message);
+    return 0;
+  }
+}
+
+/**
+ * Reload the lexicon whenever the file changes on disk
+ * @param {string} [lexiconPath] - Defaults to TTS_LEXICON_PATH or ./lexicon.json
+ */
+export function watchLexicon(lexiconPath = LEXICON_PATH) {
+  watchFile(lexiconPath, { interval: 2000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    console.log('🔄 Lexicon changed, reloading...');
+    loadLexicon(lexiconPath);
+  });
+}
+
+/**
+ * Add or replace pronunciations at runtime (not saved)
+ * @param {Object<string, string>} entries - Written → spoken
+ */
+export function addPronunciations(entries) {
+  runtimeEntries = { ...runtimeEntries, ...entries };
+  rebuildLexicon();
+}
+
+/**
+ * Replace lexicon words with how they're said
+ * @param {string} text
+ * @returns {string}
+ */
+export function applyLexicon(text) {
+  let out = text;
+  for (const [pattern, spoken] of lexicon) out = out.replace(pattern, spoken);
+  return out;
+}
+
+// ── Whole text ───────────────────────────────────────────────────────
+
+/**
+ * Words, symbols and bare numbers left over once tokens are spoken
+ */
+function speakRemainder(text, locale) {
+  if (!isEnglish(locale)) return text;
+  return text
+    .replace(/(^|\s)&(?=\s)/g, '$1and')
+    .replace(/\s*(?:->|→)\s*/g, ' to ')
+    .replace(/\bw\/(?=\s)/gi, 'with')
+    .replace(/~(?=\d)/g, 'about ')
+    .replace(/#(\d+)\b/g, (_, n) => `number ${numberToWords(n, locale)}`)
+    .replace(/(?<![\w.,])(1[1-9]\d\d|20\d\d)s\b/g, (_, y) => yearToWords(y, locale).replace(/y$/, 'ie') + 's') // the 1990s
+    .replace(/(?<![\w.,])(1[1-9]\d\d|20\d\d)(?![\d,.]\d|\w)/g, (y, _, at, whole) =>
+      YEAR_CONTEXT.test(whole.slice(Math.max(0, at - 30), at)) ? yearToWords(y, locale) : y)
+    .replace(/(?<![\w.])(\d{1,2})(st|nd|rd|th)\b/gi, (_, n) => ordinalWords(Number(n), locale))
+    .replace(/(?<![\w.])-?\d{1,3}(?:,\d{3})+(?:\.\d+)?(?![\d\w])|(?<![\w.])-?\d+(?:\.\d+)?(?![\d\w])/g, (n) => numberToWords(n, locale));
+}
+
+/**
+ * Normalize text for speech: lexicon, emoji, URLs, paths, versions, IDs,
+ * currency, units, dates, times, IPs and numbers
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.locale=TTS_LOCALE]
+ * @param {boolean} [options.sayAs=true] - Also speak dates, times and IPs
+ *   (speech-markup.js keeps those as say-as parts and passes false)
+ * @param {boolean} [options.lexicon=true] - Apply the pronunciation lexicon
+ * @returns {string}
+ */
+export function normalizeForSpeech(text, { locale = TTS_LOCALE, sayAs = true, lexicon: useLexicon = true } = {}) {
+  let rest = String(text || '').replace(EMOJI, '');
+  if (useLexicon) rest = applyLexicon(rest);
+  let out = '';
+  while (rest) {
+    const token = isEnglish(locale) ? findSpeechToken(rest, { sayAs }) : null;
+    if (!token) {
+      out += speakRemainder(rest, locale);
+      break;
+    }
+    out += speakRemainder(rest.slice(0, token.index), locale) + speakSpeechToken(token, locale);
+    rest = rest.slice(token.index + token.text.length);
+  }
+  return out.replace(/[ \t]{2,}/g, ' ');
+}
@@ -0,0 +1,238 @@
+/**
+ * Speech Pipeline - Ordered, look-ahead synthesis and gapless turn playback
+ *
+ * SentenceSynthesizer: sentences from the brain stream are synthesized up to
+ * TTS_SYNTH_AHEAD at a time, but always delivered in the order they were
+ * spoken — a short sentence whose TTS returns first waits for the one
+ * before it.
+ *
+ * GaplessStream: one raw PCM stream (48kHz stereo s16le, what the Discord
+ * player encodes to Opus) that a turn's sentences are appended to back to
+ * back, so there is no player restart — and no gap — between them. If the
+ * next sentence is late it bridges with silence for up to GAPLESS_BRIDGE_MS,
+ * then ends so other clips can use the speaker.
+ */
+
+import 'dotenv/config';
+import { Readable } from 'stream';
+import { spawn } from 'child_process';
+
+export const SYNTH_AHEAD = parseInt(process.env.TTS_SYNTH_AHEAD || '3');
+const BRIDGE_MS = parseInt(process.env.GAPLESS_BRIDGE_MS || '1500');
+const FFMPEG_BIN = process.env.FFMPEG_PATH || 'ffmpeg';
+
+const PCM_RATE = 48000;
+const PCM_CHANNELS = 2;
+const PCM_BYTES_PER_MS = (PCM_RATE * PCM_CHANNELS * 2) / 1000; // 192
+const FRAME_MS = 20;
+const SILENCE_FRAME = Buffer.alloc(FRAME_MS * PCM_BYTES_PER_MS);
+
+/**
+ * Decode compressed audio (MP3) to 48kHz stereo s16le PCM with ffmpeg
+ * @param {Buffer} audio
+ * @returns {Promise<Buffer>}
+ */
+export function decodeToPcm(audio) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(FFMPEG_BIN, [
+      '-loglevel', 'error',
+      '-i', 'pipe:0',
+      '-f', 's16le', '-ar', String(PCM_RATE), '-ac', String(PCM_CHANNELS),
+      'pipe:1',
+    ]);
+    const chunks = [];
+    const timeoutId = setTimeout(() => proc.kill('SIGKILL'), 10000);
+    proc.stdout.on('data', (chunk) => chunks.push(chunk));
+    proc.stderr.on('data', () => {}); // Drain
+    proc.on('error', (err) => { clearTimeout(timeoutId); reject(new Error(`ffmpeg failed: ${err.message}`)); });
+    proc.on('close', (code) => {
+      clearTimeout(timeoutId);
+      if (code === 0) resolve(Buffer.concat(chunks));
+      else reject(new Error(`ffmpeg exited with code ${code}`));
+    });
+    proc.stdin.on('error', () => {}); // ffmpeg may close stdin early on bad input
+    proc.stdin.end(audio);
+  });
+}
+
+/**
+ * Duration of a PCM buffer from decodeToPcm()
+ * @param {Buffer} pcm
+ * @returns {number} ms
+ */
+export function pcmDurationMs(pcm) {
+  return pcm.length / PCM_BYTES_PER_MS;
+}
+
+/**
+ * Synthesize a turn's sentences ahead of playback, delivering them in order
+ */
+export class SentenceSynthesizer {
+  /**
+   * @param {Object} options
+   * @param {(text: string, data: *) => Promise<*>} options.synthesize - Returns the clip (or null to skip)
+   * @param {(clip: *, sentence: { index: number, text: string }) => void} options.onClip - Called in sentence order
+   * @param {number} [options.maxAhead=SYNTH_AHEAD] - Syntheses in flight at once
+   */
+  constructor({ synthesize, onClip, maxAhead = SYNTH_AHEAD }) {
+    this.synthesize = synthesize;
+    this.onClip = onClip;
+    this.maxAhead = Math.max(1, maxAhead);
+    this.pending = [];       // Sentences waiting for a synthesis slot
+    this.results = new Map(); // index -> clip (finished, not yet delivered)
+    this.nextIndex = 0;      // Next index to assign
+    this.nextDelivery = 0;   // Next index to deliver
+    this.inFlight = 0;
+    this.cancelled = false;
+    this.idleWaiters = [];
+  }
+
+  /**
+   * Queue a sentence
+   * @param {string} text
+   * @param {*} [data] - Passed through to synthesize() (e.g. speech markup)
+   */
+  push(text, data) {
+    if (this.cancelled) return;
+    this.pending.push({ index: this.nextIndex++, text, data });
+    this.pump();
+  }
+
+  /**
+   * Resolves once every pushed sentence has been delivered (or skipped)
+   * @returns {Promise<void>}
+   */
+  drain() {
+    if (this.nextDelivery === this.nextIndex) return Promise.resolve();
+    return new Promise((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Drop everything not yet delivered
+   */
+  cancel() {
+    this.cancelled = true;
+    this.pending = [];
+    this.results.clear();
+    for (const resolve of this.idleWaiters.splice(0)) resolve();
+  }
+
+  pump() {
+    while (!this.cancelled && this.inFlight < this.maxAhead && this.pending.length > 0) {
+      const sentence = this.pending.shift();
+      this.inFlight++;
+      Promise.resolve()
+        .then(() => this.synthesize(sentence.text, sentence.data))
+        .catch((err) => {
+          console.error(`TTS failed for sentence ${sentence.index}:`, err.message);
+          return null;
+        })
+        .then((clip) => {
+          this.inFlight--;
+          if (this.cancelled) return;
+          this.results.set(sentence.index, { clip, text: sentence.text });
+          this.deliver();
+          this.pump();
+        });
+    }
+  }
+
+  deliver() {
+    while (this.results.has(this.nextDelivery)) {
+      const { clip, text } = this.results.get(this.nextDelivery);
+      this.results.delete(this.nextDelivery);
+      const index = this.nextDelivery++;
+      if (clip) this.onClip(clip, { index, text });
+    }
+    if (this.nextDelivery === this.nextIndex) {
+      for (const resolve of this.idleWaiters.splice(0)) resolve();
+    }
+  }
+}
+
+/**
+ * Raw PCM stream that plays appended sentences back to back.
+ *
+ * Emits 'segment' ({ metadata, previous }) when it moves on to the next
+ * sentence — a sentence boundary (a few frames ahead of the speaker).
+ */
+export class GaplessStream extends Readable {
+  constructor() {
+    super({ highWaterMark: SILENCE_FRAME.length * 5 });
+    this.segments = []; // { pcm, metadata }
+    this.finished = false;
+    this.bridgedMs = 0;
+    this.bridgeTimer = null;
+    this.metadata = null; // Sentence being sent now
+    this.durationMs = 0; // Audio appended so far (excluding bridging silence)
+  }
+
+  /**
+   * Append a sentence (48kHz stereo s16le PCM)
+   * @returns {boolean} false if the stream already ended (start a new one)
+   */
+  append(pcm, metadata = {}) {
+    if (this.finished || this.destroyed || this.readableEnded) return false;
+    this.segments.push({ pcm, metadata });
+    this.durationMs += pcmDurationMs(pcm);
+    if (this.bridgeTimer) {
+      clearTimeout(this.bridgeTimer);
+      this.bridgeTimer = null;
+      this._read();
+    }
+    return true;
+  }
+
+  /**
+   * No more sentences — end once the queued audio has been read
+   */
+  finish() {
+    if (this.finished) return;
+    this.finished = true;
+    if (this.bridgeTimer) {
+      clearTimeout(this.bridgeTimer);
+      this.bridgeTimer = null;
+      this._read();
+    }
+  }
+
+  /** Whether it can still take sentences */
+  get open() {
+    return !this.finished && !this.destroyed && !this.readableEnded;
+  }
+
+  _read() {
+    if (this.bridgeTimer) return;
+    const segment = this.segments.shift();
+    if (segment) {
+      this.bridgedMs = 0;
+      const previous = this.metadata;
+      this.metadata = segment.metadata;
+      if (previous) this.emit('segment', { metadata: segment.metadata, previous });
+      this.push(segment.pcm);
+      return;
+    }
+    if (this.finished) {
+      this.push(null);
+      return;
+    }
+    // Next sentence is late — keep the player fed with silence, then give up
+    if (this.bridgedMs >= BRIDGE_MS) {
+      this.finished = true;
+      this.push(null);
+      return;
+    }
+    this.bridgeTimer = setTimeout(() => {
+      this.bridgeTimer = null;
+      if (this.segments.length > 0 || this.finished) return this._read();
+      this.bridgedMs += FRAME_MS;
+      this.push(SILENCE_FRAME);
+    }, FRAME_MS);
+  }
+
+  _destroy(err, callback) {
+    clearTimeout(this.bridgeTimer);
+    this.finished = true;
+    callback(err);
+  }
+}
@@ -3,15 +3,32 @@
  *
  * Primary: Local Lightning Whisper MLX server (~200ms on Apple Silicon)
  * Fallback: Deepgram API, then OpenAI Whisper API
+ *
+ * Streaming (STT_STREAMING_PROVIDER): PCM is sent while the user is still
+ * talking and interim transcripts arrive as 'partial' events, so wake words
+ * and "stop" are caught before the utterance ends. If the stream fails,
+ * callers fall back to transcribeAudio() on the buffered audio.
  */
 
-import OpenAI from 'openai';
-import { createClient } from '@deepgram/sdk';
-import { createReadStream, readFileSync } from 'fs';
+import OpenAI, { toFile } from 'openai';
+import { createClient, LiveTranscriptionEvents } from '@deepgram/sdk';
+import { readFileSync } from 'fs';
+import { EventEmitter } from 'events';
+import WebSocket from 'ws';
 import 'dotenv/config';
+import { WAKE_WORD_PHRASES } from './wakeword.js';
 
 const STT_PROVIDER = process.env.STT_PROVIDER || 'mlx'; // 'mlx', 'deepgram', or 'whisper'
 const MLX_WHISPER_URL = process.env.MLX_WHISPER_URL || 'http://127.0.0.1:8787';
+const STT_STREAMING_PROVIDER = process.env.STT_STREAMING_PROVIDER || ''; // 'deepgram', 'local', or '' (off)
+const STT_STREAM_URL = process.env.STT_STREAM_URL || ''; // Your own server — mlx-whisper-server.py doesn't stream
+const STREAM_FINISH_TIMEOUT_MS = 3000; // Max wait for final results after the user stops
+
+if (STT_STREAMING_PROVIDER === 'local' && !STT_STREAM_URL) {
+  console.warn('⚠️  STT_STREAMING_PROVIDER=local needs STT_STREAM_URL — streaming STT disabled');
+}
+
+export const STREAMING_STT_ENABLED = STT_STREAMING_PROVIDER === 'deepgram' || (STT_STREAMING_PROVIDER === 'local' && !!STT_STREAM_URL);
 
 let openai;
 function getOpenAI() {
@@ -56,12 +73,13 @@ function postProcessTranscript(text) {
 }
 
 /**
- * Transcribe audio file using configured provider with automatic fallback
- * @param {string} wavPath - Path to WAV file
+ * Transcribe audio using configured provider with automatic fallback
+ * @param {Buffer|string} audio - WAV bytes (or a path to a WAV file)
  * @returns {Promise<string>} Transcript text
  */
-export async function transcribeAudio(wavPath) {
+export async function transcribeAudio(audio) {
   let transcript;
+  const wavBuffer = typeof audio === 'string' ? readFileSync(audio) : audio;
 
   // Try primary provider, then cascade through fallbacks
   const providers = STT_PROVIDER === 'mlx'
@@ -72,7 +90,7 @@ export async function transcribeAudio(wavPath) {
 
   for (const provider of providers) {
     try {
-      transcript = await provider(wavPath);
+      transcript = await provider(wavBuffer);
       break; // Success
     } catch (err) {
       console.warn(`⚠️  ${provider.name} failed: ${err.message}`);
@@ -86,9 +104,7 @@ export async function transcribeAudio(wavPath) {
 /**
  * Transcribe with local Lightning Whisper MLX server (~200ms)
  */
-async function transcribeWithMLX(wavPath) {
-  const audioBuffer = readFileSync(wavPath);
-
+async function transcribeWithMLX(audioBuffer) {
   const res = await fetch(`${MLX_WHISPER_URL}/transcribe`, {
     method: 'POST',
     headers: { 'Content-Type': 'audio/wav' },
@@ -107,10 +123,9 @@ async function transcribeWithMLX(wavPath) {
 /**
  * Transcribe with Deepgram API
  */
-async function transcribeWithDeepgram(wavPath) {
+async function transcribeWithDeepgram(audioBuffer) {
   if (!deepgram) throw new Error('Deepgram not configured');
 
-  const audioBuffer = readFileSync(wavPath);
   const { result, error } = await deepgram.listen.prerecorded.transcribeFile(
     audioBuffer,
     {
@@ -133,9 +148,9 @@ async function transcribeWithDeepgram(wavPath) {
 /**
  * Transcribe with OpenAI Whisper API
  */
-async function transcribeWithWhisper(wavPath) {
+async function transcribeWithWhisper(audioBuffer) {
   const response = await getOpenAI().audio.transcriptions.create({
-    file: createReadStream(wavPath),
+    file: await toFile(audioBuffer, 'speech.wav', { type: 'audio/wav' }),
     model: 'whisper-1',
     language: 'en',
     response_format: 'text',
@@ -144,3 +159,209 @@ async function transcribeWithWhisper(wavPath) {
 
   return response.trim();
 }
+
+// ── Streaming ─────────────────────────────────────────────────────────
+
+/**
+ * One live transcription session (one utterance)
+ *
+ * Events:
+ *   'partial' (text) — everything heard so far, interim words included
+ *   'final'   (text) — a segment the provider won't revise
+ *   'error'   (err)  — the stream died; finish() will reject
+ */
+class StreamingTranscriber extends EventEmitter {
+  constructor(openProvider, sampleRate, keywords) {
+    super();
+    this.finals = [];
+    this.interim = '';
+    this.failed = null;
+    this.done = false;
+    this.finishing = false;
+    this.waiters = [];
+    try {
+      this.provider = openProvider(this, sampleRate, keywords);
+    } catch (err) {
+      this.fail(err);
+    }
+  }
+
+  /**
+   * Feed 16-bit mono PCM at the session's sample rate
+   * @param {Buffer} pcm
+   */
+  write(pcm) {
+    if (!this.done && !this.failed) this.provider.send(pcm);
+  }
+
+  /**
+   * No more audio — resolve with the final transcript once the provider flushes
+   * @returns {Promise<string>}
+   */
+  finish() {
+    if (this.failed) return Promise.reject(this.failed);
+    if (this.done) return Promise.resolve(this.text());
+    this.finishing = true;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => this.fail(new Error('Streaming STT timed out')), STREAM_FINISH_TIMEOUT_MS);
+      this.waiters.push({ resolve, reject, timer });
+      this.provider.end();
+    });
+  }
+
+  /**
+   * Drop the session (utterance rejected or user left)
+   */
+  abort() {
+    this.done = true;
+    try { this.provider?.close(); } catch {}
+  }
+
+  text() {
+    return postProcessTranscript([...this.finals, this.interim].join(' ').replace(/\s+/g, ' ').trim());
+  }
+
+  // ── Called by provider adapters ──
+
+  result(text, isFinal) {
+    if (this.done || this.failed) return;
+    if (isFinal) {
+      if (text) this.finals.push(text);
+      this.interim = '';
+      if (text) this.emit('final', postProcessTranscript(text));
+    } else {
+      this.interim = text;
+    }
+    const partial = this.text();
+    if (partial) this.emit('partial', partial);
+  }
+
+  closed() {
+    if (this.done || this.failed) return;
+    // Closed while the user was still talking — what we have is truncated
+    if (!this.finishing) return this.fail(new Error('Streaming STT closed before the utterance ended'));
+    this.done = true;
+    this.settle();
+  }
+
+  fail(err) {
+    if (this.done || this.failed) return;
+    this.failed = err;
+    try { this.provider?.close(); } catch {}
+    if (this.listenerCount('error') > 0) this.emit('error', err);
+    this.settle();
+  }
+
+  settle() {
+    for (const { resolve, reject, timer } of this.waiters.splice(0)) {
+      clearTimeout(timer);
+      if (this.failed) reject(this.failed);
+      else resolve(this.text());
+    }
+  }
+}
+
+/**
+ * Deepgram live websocket
+ */
+function openDeepgramStream(session, sampleRate, keywords) {
+  if (!deepgram) throw new Error('Deepgram not configured');
+
+  const live = deepgram.listen.live({
+    model: 'nova-2',
+    language: 'en',
+    smart_format: true,
+    punctuate: true,
+    interim_results: true,
+    keywords,
+    encoding: 'linear16',
+    sample_rate: sampleRate,
+    channels: 1,
+  });
+
+  // Audio can arrive before the socket opens — hold it until then
+  let open = false;
+  let ending = false;
+  const pending = [];
+  live.on(LiveTranscriptionEvents.Open, () => {
+    open = true;
+    for (const chunk of pending.splice(0)) live.send(chunk);
+    if (ending) live.requestClose();
+  });
+  live.on(LiveTranscriptionEvents.Transcript, (data) => {
+    session.result((data.channel?.alternatives?.[0]?.transcript || '').trim(), !!data.is_final);
+  });
+  live.on(LiveTranscriptionEvents.Error, (err) => session.fail(err instanceof Error ? err : new Error(String(err?.message || err))));
+  live.on(LiveTranscriptionEvents.Close, () => session.closed());
+
+  return {
+    send(chunk) { open ? live.send(chunk) : pending.push(chunk); },
+    end() { ending = true; if (open) live.requestClose(); },
+    close() { live.requestClose(); },
+  };
+}
+
+/**
+ * Local streaming server (e.g. a whisper server's /stream endpoint)
+ *
+ * Protocol: binary PCM frames in; JSON { type: 'partial'|'final', text } out.
+ * The client sends { type: 'finish' } when the user stops, and the server
+ * closes the socket after its last 'final'.
+ */
+function openLocalStream(session, sampleRate) {
+  const ws = new WebSocket(`${STT_STREAM_URL}?sample_rate=${sampleRate}`);
+  let ending = false;
+  const pending = [];
+
+  ws.on('open', () => {
+    for (const chunk of pending.splice(0)) ws.send(chunk);
+    if (ending) ws.send(JSON.stringify({ type: 'finish' }));
+  });
+  ws.on('message', (data, isBinary) => {
+    if (isBinary) return;
+    try {
+      const msg = JSON.parse(data.toString());
+      if (msg.type === 'partial' || msg.type === 'final') {
+        session.result((msg.text || '').trim(), msg.type === 'final');
+      }
+    } catch {}
+  });
+  ws.on('error', (err) => session.fail(err));
+  ws.on('close', () => session.closed());
+
+  return {
+    send(chunk) { ws.readyState === WebSocket.OPEN ? ws.send(chunk) : pending.push(chunk); },
+    end() {
+      ending = true;
+      if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type: 'finish' }));
+    },
+    close() { ws.terminate(); },
+  };
+}
+
+/**
+ * Names to boost in live recognition: the last word of each wake phrase
+ * ("hey jarvis" → "Jarvis"), capitalized the way it should be transcribed
+ * @param {string[]} phrases - Wake phrases
+ * @returns {string[]}
+ */
+export function wakeWordKeywords(phrases) {
+  const names = phrases
+    .map(phrase => phrase.trim().split(/\s+/).pop())
+    .filter(Boolean)
+    .map(name => name.charAt(0).toUpperCase() + name.slice(1).toLowerCase());
+  return [...new Set(names)];
+}
+
+/**
+ * Start a streaming transcription session for one utterance
+ * @param {Object} [options]
+ * @param {number} [options.sampleRate=48000] - Rate of the PCM passed to write()
+ * @param {string[]} [options.wakeWords] - The speaker's wake phrases (boosted along with WAKE_WORD_PHRASES)
+ * @returns {StreamingTranscriber|null} null when streaming is off
+ */
+export function createStreamingTranscriber({ sampleRate = 48000, wakeWords = [] } = {}) {
+  if (!STREAMING_STT_ENABLED) return null;
+  const open = STT_STREAMING_PROVIDER === 'deepgram' ? openDeepgramStream : openLocalStream;
+  return new StreamingTranscriber(open, sampleRate, wakeWordKeywords([...WAKE_WORD_PHRASES, ...wakeWords]));
+}
@@ -0,0 +1,43 @@
+/**
+ * Temp Sweep - Remove audio files left in tmp/ by older versions or crashes
+ *
+ * Utterances and TTS clips stay in memory now, so nothing of ours writes
+ * tmp/ any more. Older versions wrote speech_*.wav and tts_*.mp3 there and
+ * deleted them after use — a crash or a kill left them behind. Files newer
+ * than minAgeMs are kept: an older instance still running may be using them.
+ */
+
+import { readdirSync, statSync, unlinkSync } from 'fs';
+import { join } from 'path';
+
+const ORPHAN_PATTERN = /^(tts|speech)_.*\.(mp3|wav)$/;
+const DEFAULT_MIN_AGE_MS = 10 * 60 * 1000;
+
+/**
+ * Delete orphaned audio files from a temp directory
+ * @param {string} dir
+ * @param {Object} [options]
+ * @param {number} [options.minAgeMs=600000] - Leave files modified more recently than this
+ * @returns {number} Files removed (0 if the directory doesn't exist)
+ */
+export function sweepTmpDir(dir, { minAgeMs = DEFAULT_MIN_AGE_MS } = {}) {
+  let names;
+  try {
+    names = readdirSync(dir);
+  } catch {
+    return 0;
+  }
+  const cutoff = Date.now() - minAgeMs;
+  let removed = 0;
+  for (const name of names) {
+    if (!ORPHAN_PATTERN.test(name)) continue;
+    try {
+      const path = join(dir, name);
+      if (statSync(path).mtimeMs > cutoff) continue;
+      unlinkSync(path);
+      removed++;
+    } catch {}
+  }
+  if (removed > 0) console.log(`🧹 Removed ${removed} orphaned audio files from ${dir}`);
+  return removed;
+}
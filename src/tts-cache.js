@@ -0,0 +1,177 @@
+/**
+ * TTS Cache - Synthesized audio on disk, keyed by what it says and who says it
+ *
+ * Fixed phrases ("Stopped.", "On it.", "Yes?") were re-synthesized on every
+ * use — an edge-tts spawn and a network round trip for audio we already had.
+ * Entries are content-addressed: sha256 of provider, voice id (voice + model)
+ * and the speech markup (normalized text, pauses, say-as, prosody), so any
+ * change to what would be sent to the engine is a different entry.
+ *
+ * Files are evicted least-recently-used once the directory passes
+ * TTS_CACHE_MAX_MB. A hit touches the file's mtime, so the LRU order
+ * survives restarts.
+ */
+
+import 'dotenv/config';
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, renameSync, unlinkSync, readdirSync, statSync, utimesSync, mkdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+
+export const TTS_CACHE_ENABLED = process.env.TTS_CACHE_ENABLED !== 'false';
+const CACHE_DIR = process.env.TTS_CACHE_DIR || join(__dirname, '..', 'data', 'tts-cache');
+const MAX_BYTES = parseFloat(process.env.TTS_CACHE_MAX_MB || '50') * 1024 * 1024;
+const KEY_VERSION = 1; // Bump when the key recipe changes
+
+/**
+ * Cache key for one synthesis
+ * @param {Object} request
+ * @param {string} request.provider - Provider name
+ * @param {string} [request.voice] - Voice id as the provider resolves it
+ * @param {Object} request.markup - Speech markup (speech-markup.js)
+ * @returns {string} Hex sha256
+ */
+export function ttsCacheKey({ provider, voice = '', markup }) {
+  return createHash('sha256')
+    .update(JSON.stringify([KEY_VERSION, provider, voice, markup.locale, markup.prosody, markup.parts]))
+    .digest('hex');
+}
+
+/**
+ * LRU audio cache in a directory (one file per entry)
+ */
+export class TTSCache {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir=TTS_CACHE_DIR]
+   * @param {number} [options.maxBytes] - Evict least recently used past this (default TTS_CACHE_MAX_MB)
+   */
+  constructor({ dir = CACHE_DIR, maxBytes = MAX_BYTES } = {}) {
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.entries = new Map(); // key -> size, least recently used first
+    this.bytes = 0;
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+    this.load();
+  }
+
+  load() {
+    try {
+      mkdirSync(this.dir, { recursive: true });
+      const files = readdirSync(this.dir)
+        .filter(name => /^[0-9a-f]{64}\.audio$/.test(name))
+        .map(name => {
+          const { size, mtimeMs } = statSync(join(this.dir, name));
+          return { key: name.slice(0, 64), size, mtimeMs };
+        })
+        .sort((a, b) => a.mtimeMs - b.mtimeMs);
+      for (const { key, size } of files) this.track(key, size);
+      this.evict();
+    } catch (err) {
+      this.stats.errors++;
+      console.error(`❌ TTS cache unavailable at ${this.dir}:`, err.message);
+    }
+  }
+
+  path(key) {
+    return join(this.dir, `${key}.audio`);
+  }
+
+  track(key, size) {
+    if (this.entries.has(key)) this.bytes -= this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, size);
+    this.bytes += size;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Buffer|null} Cached audio (counts a hit or a miss)
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      this.stats.misses++;
+      return null;
+    }
+    try {
+      const audio = readFileSync(this.path(key));
+      const now = new Date();
+      utimesSync(this.path(key), now, now);
+      this.track(key, audio.length);
+      this.stats.hits++;
+      return audio;
+    } catch {
+      // Deleted behind our back — forget it
+      this.bytes -= this.entries.get(key);
+      this.entries.delete(key);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store audio (atomically — a crash never leaves half a file under the key)
+   * @param {string} key
+   * @param {Buffer} audio
+   */
+  set(key, audio) {
+    if (!audio?.length || audio.length > this.maxBytes) return;
+    try {
+      const tmp = `${this.path(key)}.${process.pid}.tmp`;
+      writeFileSync(tmp, audio);
+      renameSync(tmp, this.path(key));
+      this.track(key, audio.length);
+      this.stats.writes++;
+      this.evict();
+    } catch (err) {
+      this.stats.errors++;
+      console.error('❌ TTS cache write failed:', err.message);
+    }
+  }
+
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  evict() {
+    for (const [key, size] of this.entries) {
+      if (this.bytes <= this.maxBytes) break;
+      this.entries.delete(key);
+      this.bytes -= size;
+      this.stats.evictions++;
+      try { unlinkSync(this.path(key)); } catch {}
+    }
+  }
+
+  /**
+   * Hit/miss counters and size
+   * @returns {{ hits: number, misses: number, hitRate: number, writes: number, evictions: number, errors: number, entries: number, bytes: number }}
+   */
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return { ...this.stats, hitRate: lookups > 0 ? this.stats.hits / lookups : 0, entries: this.entries.size, bytes: this.bytes };
+  }
+}
+
+let sharedCache;
+
+/**
+ * The process-wide cache (null when disabled)
+ * @returns {TTSCache|null}
+ */
+export function getTTSCache() {
+  if (sharedCache === undefined) sharedCache = TTS_CACHE_ENABLED ? new TTSCache() : null;
+  return sharedCache;
+}
+
+/**
+ * One-line summary for logs
+ * @param {ReturnType<TTSCache['getStats']>} stats
+ * @returns {string}
+ */
+export function formatCacheStats(stats) {
+  return `${stats.hits} hits / ${stats.misses} misses (${Math.round(stats.hitRate * 100)}%), ` +
+    `${stats.entries} entries, ${(stats.bytes / 1024 / 1024).toFixed(1)}MB, ${stats.evictions} evicted`;
+}
@@ -0,0 +1,512 @@
+/**
+ * TTS Providers - Registry of speech engines behind one interface
+ *
+ * A provider is a plain object:
+ *
+ *   name                         key used by TTS_PROVIDER / TTS_FALLBACK and
+ *                                in per-user voice overrides ({ edge: "..." })
+ *   synthesize(text, { voice, markup })  → Promise<Buffer> (MP3, or WAV for piper)
+ *   synthesizeStream(text, { voice, markup })   optional → Promise<Readable>
+ *   listVoices()                 → Promise<Array<{ id, name, locale?, gender? }>>
+ *   healthCheck()                → Promise<{ ok: boolean, detail: string }>
+ *   voiceId(voice)               optional → string: the voice (and model) that
+ *                                would actually speak — part of the TTS cache key
+ *
+ * `text` is plain words (speech markup already degraded); `markup` is the
+ * speech markup itself (speech-markup.js) for engines that can do better —
+ * SSML, pause tags, rate and pitch.
+ *
+ * Built in: edge, openai, elevenlabs, azure, piper (local binary) and http
+ * (any server that takes { text, voice } and returns audio). Others can be
+ * added with registerTTSProvider().
+ */
+
+import 'dotenv/config';
+import OpenAI from 'openai';
+import { execFile, spawn } from 'child_process';
+import { promisify } from 'util';
+import { Readable } from 'stream';
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { dirname, join, basename } from 'path';
+import { renderSSML, renderPlainText, formatProsody } from './speech-markup.js';
+
+const execFileAsync = promisify(execFile);
+const MAX_AUDIO_BYTES = 20 * 1024 * 1024; // A very long answer is ~2MB of MP3
+const REQUEST_TIMEOUT_MS = parseInt(process.env.TTS_REQUEST_TIMEOUT_MS || '15000'); // Until response headers
+const STREAM_START_TIMEOUT_MS = 5000;
+
+const providers = new Map();
+
+/**
+ * Add (or replace) a provider
+ * @param {Object} provider - See the interface above
+ */
+export function registerTTSProvider(provider) {
+  for (const method of ['synthesize', 'listVoices', 'healthCheck']) {
+    if (typeof provider[method] !== 'function') throw new Error(`TTS provider ${provider.name} is missing ${method}()`);
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * @param {string} name
+ * @returns {Object|null}
+ */
+export function getTTSProvider(name) {
+  return providers.get(name) ?? null;
+}
+
+/**
+ * Names of all registered providers
+ * @returns {string[]}
+ */
+export function listTTSProviders() {
+  return [...providers.keys()];
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────
+
+/**
+ * POST for audio. The timeout covers the wait for response headers only —
+ * a streamed body can take as long as the clip does (pass init.signal to
+ * bound the whole download).
+ */
+async function fetchAudio(url, init, label) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`${label} timed out`)), REQUEST_TIMEOUT_MS);
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: init.signal ? AbortSignal.any([controller.signal, init.signal]) : controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!res.ok) throw new Error(`${label} ${res.status}: ${(await res.text()).substring(0, 200)}`);
+  return res;
+}
+
+async function fetchAudioBuffer(url, init, label) {
+  const res = await fetchAudio(url, { ...init, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }, label);
+  const audio = Buffer.from(await res.arrayBuffer());
+  if (audio.length === 0) throw new Error(`${label} returned no audio`);
+  return audio;
+}
+
+async function fetchJson(url, init, label) {
+  const res = await fetch(url, { ...init, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  if (!res.ok) throw new Error(`${label} ${res.status}`);
+  return res.json();
+}
+
+/**
+ * Resolve with a stream once the process writes its first audio bytes
+ * (so a broken binary fails over instead of playing silence). The stream
+ * only ends once the process exits cleanly — if it dies mid-clip the
+ * stream errors, so the cut-off audio is never cached as the whole clip.
+ */
+function spawnAudioStream(command, args, { input = null, label, header = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args);
+    proc.stderr.on('data', () => {}); // Progress noise
+    let started = false;
+    const stream = new Readable({ read() {} });
+
+    const timeoutId = setTimeout(() => {
+      if (!started) {
+        proc.kill('SIGKILL');
+        reject(new Error(`${label} stream timeout`));
+      }
+    }, STREAM_START_TIMEOUT_MS);
+
+    proc.stdout.on('data', (chunk) => {
+      if (!started) {
+        started = true;
+        clearTimeout(timeoutId);
+        if (header) stream.push(header);
+        resolve(stream);
+      }
+      stream.push(chunk);
+    });
+    proc.on('error', (err) => {
+      clearTimeout(timeoutId);
+      if (!started) reject(new Error(`${label} stream failed: ${err.message}`));
+      else stream.destroy(new Error(`${label} stream failed: ${err.message}`));
+    });
+    // 'close' comes after stdout has been drained, so every byte is pushed by now
+    proc.on('close', (code, signal) => {
+      clearTimeout(timeoutId);
+      if (!started) {
+        reject(new Error(code === 0 ? `${label} produced no audio` : `${label} exited with ${signal || `code ${code}`}`));
+      } else if (code === 0) {
+        stream.push(null);
+      } else {
+        stream.destroy(new Error(`${label} exited with ${signal || `code ${code}`} mid-stream`));
+      }
+    });
+    // Whoever is playing it sees the error too; this keeps a queued stream from crashing the process
+    stream.on('error', (err) => console.warn(`⚠️  ${err.message}`));
+    if (input !== null) {
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    }
+  });
+}
+
+/**
+ * WAV header for 16-bit mono PCM; dataSize 0xffffffff means "until the stream ends"
+ */
+function wavHeader(sampleRate, dataSize = 0xffffffff) {
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(dataSize === 0xffffffff ? dataSize : 36 + dataSize, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * 2, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(dataSize, 40);
+  return header;
+}
+
+// ── Edge TTS (free, edge-tts Python CLI) ─────────────────────────────
+
+const EDGE_TTS_BIN = process.env.EDGE_TTS_PATH || `${process.env.HOME}/.local/bin/edge-tts`;
+const edgeVoice = (voice) => voice || process.env.EDGE_TTS_VOICE || 'en-AU-WilliamNeural';
+
+// edge-tts takes no custom SSML — prosody goes in as flags (pitch in Hz, ~1.2Hz per % on a speaking voice)
+function edgeArgs(text, voice, markup) {
+  const args = ['--voice', edgeVoice(voice), '--text', text, '--write-media', '-']; // Write to stdout
+  const { rate = 1, pitch = 0 } = markup?.prosody || {};
+  if (rate !== 1) args.push(`--rate=${formatProsody({ rate }).rate}`); // "=" so "-10%" isn't read as a flag
+  if (pitch !== 0) args.push(`--pitch=${pitch > 0 ? '+' : ''}${Math.round(pitch * 1.2)}Hz`);
+  return args;
+}
+
+registerTTSProvider({
+  name: 'edge',
+
+  voiceId: (voice) => edgeVoice(voice),
+
+  async synthesize(text, { voice, markup } = {}) {
+    const { stdout } = await execFileAsync(EDGE_TTS_BIN, edgeArgs(text, voice, markup),
+      { timeout: REQUEST_TIMEOUT_MS, encoding: 'buffer', maxBuffer: MAX_AUDIO_BYTES });
+    if (stdout.length === 0) throw new Error('Edge TTS produced no audio');
+    return stdout;
+  },
+
+  synthesizeStream(text, { voice, markup } = {}) {
+    return spawnAudioStream(EDGE_TTS_BIN, edgeArgs(text, voice, markup), { label: 'Edge TTS' });
+  },
+
+  async listVoices() {
+    const { stdout } = await execFileAsync(EDGE_TTS_BIN, ['--list-voices'], { timeout: REQUEST_TIMEOUT_MS });
+    // Table rows: "en-GB-RyanNeural   Male   General   Friendly, Positive"
+    return stdout.split('\n')
+      .map(line => line.trim().split(/\s{2,}/))
+      .filter(([id]) => /^[a-z]{2,3}-[A-Za-z0-9]+-\w+Neural$/.test(id || ''))
+      .map(([id, gender]) => ({ id, name: id, locale: id.split('-').slice(0, 2).join('-'), gender }));
+  },
+
+  async healthCheck() {
+    if (!existsSync(EDGE_TTS_BIN)) return { ok: false, detail: `edge-tts not found at ${EDGE_TTS_BIN}` };
+    return { ok: true, detail: EDGE_TTS_BIN };
+  },
+});
+
+// ── OpenAI TTS ───────────────────────────────────────────────────────
+
+let openai;
+function getOpenAI() {
+  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  return openai;
+}
+
+const OPENAI_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'fable', 'nova', 'onyx', 'sage', 'shimmer'];
+
+function openAISpeech(text, voice, markup) {
+  return getOpenAI().audio.speech.create({
+    model: process.env.OPENAI_TTS_MODEL || 'tts-1',
+    voice: voice || process.env.OPENAI_TTS_VOICE || 'onyx',
+    input: text,
+    speed: Math.min(4, Math.max(0.25, markup?.prosody.rate ?? 1)), // No pitch control
+    response_format: 'mp3',
+  });
+}
+
+registerTTSProvider({
+  name: 'openai',
+
+  voiceId: (voice) => `${process.env.OPENAI_TTS_MODEL || 'tts-1'}/${voice || process.env.OPENAI_TTS_VOICE || 'onyx'}`,
+
+  async synthesize(text, { voice, markup } = {}) {
+    const response = await openAISpeech(text, voice, markup);
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  async synthesizeStream(text, { voice, markup } = {}) {
+    const response = await openAISpeech(text, voice, markup);
+    // The SDK's Node shim hands back a Node stream; native fetch a web one
+    return response.body instanceof Readable ? response.body : Readable.fromWeb(response.body);
+  },
+
+  async listVoices() {
+    return OPENAI_VOICES.map(id => ({ id, name: id }));
+  },
+
+  async healthCheck() {
+    return process.env.OPENAI_API_KEY
+      ? { ok: true, detail: process.env.OPENAI_TTS_MODEL || 'tts-1' }
+      : { ok: false, detail: 'OPENAI_API_KEY not set' };
+  },
+});
+
+// ── ElevenLabs ───────────────────────────────────────────────────────
+
+const ELEVENLABS_URL = 'https://api.elevenlabs.io/v1';
+
+// Pauses as <break/> tags (which ElevenLabs reads inline); rate as voice_settings.speed
+function elevenLabsRequest(text, voice, markup) {
+  const voiceId = voice || process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM';
+  const rate = markup?.prosody.rate ?? 1;
+  return [
+    `${voiceId}?output_format=mp3_44100_128`,
+    {
+      method: 'POST',
+      headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY, 'Content-Type': 'application/json', 'Accept': 'audio/mpeg' },
+      body: JSON.stringify({
+        text: markup ? renderPlainText(markup, { breakTags: true }) : text,
+        model_id: process.env.ELEVENLABS_MODEL || 'eleven_turbo_v2_5',
+        ...(rate !== 1 && { voice_settings: { speed: Math.min(1.2, Math.max(0.7, rate)) } }),
+      }),
+    },
+  ];
+}
+
+registerTTSProvider({
+  name: 'elevenlabs',
+
+  voiceId: (voice) => `${process.env.ELEVENLABS_MODEL || 'eleven_turbo_v2_5'}/${voice || process.env.ELEVENLABS_VOICE_ID || '21m00Tcm4TlvDq8ikWAM'}`,
+
+  synthesize(text, { voice, markup } = {}) {
+    const [path, init] = elevenLabsRequest(text, voice, markup);
+    return fetchAudioBuffer(`${ELEVENLABS_URL}/text-to-speech/${path}`, init, 'ElevenLabs');
+  },
+
+  async synthesizeStream(text, { voice, markup } = {}) {
+    const [path, init] = elevenLabsRequest(text, voice, markup);
+    const res = await fetchAudio(`${ELEVENLABS_URL}/text-to-speech/${path.replace('?', '/stream?')}`, init, 'ElevenLabs');
+    return Readable.fromWeb(res.body);
+  },
+
+  async listVoices() {
+    const { voices = [] } = await fetchJson(`${ELEVENLABS_URL}/voices`, { headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY } }, 'ElevenLabs');
+    return voices.map(v => ({ id: v.voice_id, name: v.name, locale: v.labels?.accent, gender: v.labels?.gender }));
+  },
+
+  async healthCheck() {
+    if (!process.env.ELEVENLABS_API_KEY) return { ok: false, detail: 'ELEVENLABS_API_KEY not set' };
+    try {
+      await fetchJson(`${ELEVENLABS_URL}/user`, { headers: { 'xi-api-key': process.env.ELEVENLABS_API_KEY } }, 'ElevenLabs');
+      return { ok: true, detail: 'API key accepted' };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  },
+});
+
+// ── Azure Speech ─────────────────────────────────────────────────────
+
+const azureBase = () => `https://${process.env.AZURE_SPEECH_REGION || 'eastus'}.tts.speech.microsoft.com/cognitiveservices`;
+
+function azureRequest(text, voice, markup) {
+  const name = voice || process.env.AZURE_TTS_VOICE || 'en-US-JennyNeural';
+  return {
+    method: 'POST',
+    headers: {
+      'Ocp-Apim-Subscription-Key': process.env.AZURE_SPEECH_KEY,
+      'Content-Type': 'application/ssml+xml',
+      'X-Microsoft-OutputFormat': 'audio-24khz-96kbitrate-mono-mp3',
+      'User-Agent': 'jarvis-voice',
+    },
+    body: renderSSML(markup || { parts: [{ text }], prosody: {} }, { voice: name }),
+  };
+}
+
+registerTTSProvider({
+  name: 'azure',
+
+  voiceId: (voice) => voice || process.env.AZURE_TTS_VOICE || 'en-US-JennyNeural',
+
+  synthesize(text, { voice, markup } = {}) {
+    return fetchAudioBuffer(`${azureBase()}/v1`, azureRequest(text, voice, markup), 'Azure Speech');
+  },
+
+  async synthesizeStream(text, { voice, markup } = {}) {
+    const res = await fetchAudio(`${azureBase()}/v1`, azureRequest(text, voice, markup), 'Azure Speech');
+    return Readable.fromWeb(res.body);
+  },
+
+  async listVoices() {
+    const voices = await fetchJson(`${azureBase()}/voices/list`, { headers: { 'Ocp-Apim-Subscription-Key': process.env.AZURE_SPEECH_KEY } }, 'Azure Speech');
+    return voices.map(v => ({ id: v.ShortName, name: v.DisplayName, locale: v.Locale, gender: v.Gender }));
+  },
+
+  async healthCheck() {
+    if (!process.env.AZURE_SPEECH_KEY) return { ok: false, detail: 'AZURE_SPEECH_KEY not set' };
+    try {
+      await this.listVoices();
+      return { ok: true, detail: `region ${process.env.AZURE_SPEECH_REGION || 'eastus'}` };
+    } catch (err) {
+      return { ok: false, detail: err.message };
+    }
+  },
+});
+
+// ── Piper (local binary) ─────────────────────────────────────────────
+// Voices are .onnx models; a voice override is a model path or a model
+// name in PIPER_VOICES_DIR. Raw PCM from --output_raw is wrapped as WAV.
+
+const PIPER_BIN = process.env.PIPER_PATH || 'piper';
+const piperVoicesDir = () => process.env.PIPER_VOICES_DIR || (process.env.PIPER_MODEL ? dirname(process.env.PIPER_MODEL) : '');
+
+function piperModel(voice) {
+  if (!voice) return process.env.PIPER_MODEL;
+  if (voice.endsWith('.onnx')) return voice;
+  return join(piperVoicesDir(), `${voice}.onnx`);
+}
+
+function piperArgs(voice, markup) {
+  const model = piperModel(voice);
+  if (!model) throw new Error('PIPER_MODEL not set');
+  let sampleRate = 22050;
+  try {
+    sampleRate = JSON.parse(readFileSync(`${model}.json`, 'utf8')).audio?.sample_rate || sampleRate;
+  } catch {} // No config next to the model — Piper's usual rate
+  const args = ['--model', model, '--output_raw'];
+  if (process.env.PIPER_SPEAKER) args.push('--speaker', process.env.PIPER_SPEAKER);
+  const rate = markup?.prosody.rate ?? 1;
+  if (rate !== 1) args.push('--length_scale', (1 / rate).toFixed(2)); // Longer phonemes = slower; no pitch control
+  return { args, sampleRate };
+}
+
+registerTTSProvider({
+  name: 'piper',
+
+  voiceId: (voice) => `${piperModel(voice)}#${process.env.PIPER_SPEAKER || ''}`,
+
+  synthesize(text, { voice, markup } = {}) {
+    const { args, sampleRate } = piperArgs(voice, markup);
+    return new Promise((resolve, reject) => {
+      const proc = spawn(PIPER_BIN, args);
+      const chunks = [];
+      let size = 0;
+      const timeoutId = setTimeout(() => proc.kill('SIGKILL'), REQUEST_TIMEOUT_MS);
+      proc.stdout.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_AUDIO_BYTES) proc.kill('SIGKILL');
+        else chunks.push(chunk);
+      });
+      proc.stderr.on('data', () => {});
+      proc.on('error', (err) => { clearTimeout(timeoutId); reject(new Error(`Piper failed: ${err.message}`)); });
+      proc.on('close', (code) => {
+        clearTimeout(timeoutId);
+        const pcm = Buffer.concat(chunks);
+        if (code !== 0) return reject(new Error(`Piper exited with code ${code}`));
+        if (pcm.length === 0) return reject(new Error('Piper produced no audio'));
+        resolve(Buffer.concat([wavHeader(sampleRate, pcm.length), pcm]));
+      });
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(text);
+    });
+  },
+
+  synthesizeStream(text, { voice, markup } = {}) {
+    const { args, sampleRate } = piperArgs(voice, markup);
+    return spawnAudioStream(PIPER_BIN, args, { input: text, label: 'Piper', header: wavHeader(sampleRate) });
+  },
+
+  async listVoices() {
+    const dir = piperVoicesDir();
+    if (!dir || !existsSync(dir)) return [];
+    return readdirSync(dir)
+      .filter(file => file.endsWith('.onnx'))
+      .map(file => {
+        const id = basename(file, '.onnx');
+        return { id, name: id, locale: id.split('-')[0].replace('_', '-') }; // en_US-lessac-medium
+      });
+  },
+
+  async healthCheck() {
+    const model = process.env.PIPER_MODEL;
+    if (!model || !existsSync(model)) return { ok: false, detail: `model not found: ${model || 'PIPER_MODEL not set'}` };
+    try {
+      await execFileAsync(PIPER_BIN, ['--help'], { timeout: 5000 });
+      return { ok: true, detail: basename(model) };
+    } catch (err) {
+      return { ok: false, detail: `${PIPER_BIN}: ${err.message}` };
+    }
+  },
+});
+
+// ── Generic HTTP server ──────────────────────────────────────────────
+// POST TTS_HTTP_URL with { text, voice, ssml, rate, pitch } → audio bytes (any
+// format ffmpeg reads). Servers that don't do SSML just read `text`.
+// Optional: TTS_HTTP_VOICES_URL (GET → [{ id, name }] or ["id"]),
+// TTS_HTTP_HEALTH_URL (GET → 2xx), TTS_HTTP_TOKEN (Bearer auth).
+
+function httpHeaders(extra = {}) {
+  return process.env.TTS_HTTP_TOKEN ? { ...extra, 'Authorization': `Bearer ${process.env.TTS_HTTP_TOKEN}` } : extra;
+}
+
+function httpRequest(text, voice, markup) {
+  return {
+    method: 'POST',
+    headers: httpHeaders({ 'Content-Type': 'application/json' }),
+    body: JSON.stringify({
+      text,
+      voice: voice || process.env.TTS_HTTP_VOICE || undefined,
+      ...(markup && { ssml: renderSSML(markup), rate: markup.prosody.rate, pitch: markup.prosody.pitch }),
+    }),
+  };
+}
+
+registerTTSProvider({
+  name: 'http',
+
+  voiceId: (voice) => `${process.env.TTS_HTTP_URL}#${voice || process.env.TTS_HTTP_VOICE || ''}`,
+
+  async synthesize(text, { voice, markup } = {}) {
+    if (!process.env.TTS_HTTP_URL) throw new Error('TTS_HTTP_URL not set');
+    return fetchAudioBuffer(process.env.TTS_HTTP_URL, httpRequest(text, voice, markup), 'HTTP TTS');
+  },
+
+  async synthesizeStream(text, { voice, markup } = {}) {
+    if (!process.env.TTS_HTTP_URL) throw new Error('TTS_HTTP_URL not set');
+    const res = await fetchAudio(process.env.TTS_HTTP_URL, httpRequest(text, voice, markup), 'HTTP TTS');
+    return Readable.fromWeb(res.body);
+  },
+
+  async listVoices() {
+    if (!process.env.TTS_HTTP_VOICES_URL) return [];
+    const voices = await fetchJson(process.env.TTS_HTTP_VOICES_URL, { headers: httpHeaders() }, 'HTTP TTS');
+    return (Array.isArray(voices) ? voices : voices.voices || [])
+      .map(v => (typeof v === 'string' ? { id: v, name: v } : { id: v.id, name: v.name || v.id, locale: v.locale, gender: v.gender }));
+  },
+
+  async healthCheck() {
+    const url = process.env.TTS_HTTP_HEALTH_URL || process.env.TTS_HTTP_URL;
+    if (!url) return { ok: false, detail: 'TTS_HTTP_URL not set' };
+    try {
+      const res = await fetch(url, { headers: httpHeaders(), signal: AbortSignal.timeout(5000) });
+      // Without a health URL, any answer (even 405 to a GET) means the server is up
+      const ok = process.env.TTS_HTTP_HEALTH_URL ? res.ok : res.status < 500;
+      return { ok, detail: `${url} → ${res.status}` };
+    } catch (err) {
+      return { ok: false, detail: `${url}: ${err.message}` };
+    }
+  },
+});
@@ -1,35 +1,48 @@
 /**
  * Text-to-Speech Module
  * 
- * Supports Edge TTS (free, Australian William voice) and OpenAI TTS
- * Returns path to generated audio file (MP3) or a Readable stream for streaming mode
+ * Speaks through the provider chain: TTS_PROVIDER first, then each of
+ * TTS_FALLBACK in turn until one produces audio (engines live in
+ * tts-providers.js). Returns audio in memory (Buffer) or a Readable stream
+ * for streaming mode — nothing is written to disk
+ *
+ * Every request carries speech markup (speech-markup.js): pauses, emphasis,
+ * say-as and prosody, with the text normalized for speech (numbers, units,
+ * URLs, lexicon words). Providers render it as SSML or degrade it to text.
+ *
+ * Audio is cached on disk per provider, voice and markup (tts-cache.js):
+ * a repeated phrase is read back instead of synthesized again.
  */
 
-import OpenAI from 'openai';
-import { join, dirname } from 'path';
-import { fileURLToPath } from 'url';
-import { writeFileSync, existsSync, mkdirSync } from 'fs';
-import { execFile, spawn } from 'child_process';
-import { promisify } from 'util';
-import { Readable } from 'stream';
+import 'dotenv/config';
+import { PassThrough } from 'stream';
+import { getTTSProvider, listTTSProviders } from './tts-providers.js';
+import { getTTSCache, ttsCacheKey } from './tts-cache.js';
+import { toSpeechMarkup, renderPlainText } from './speech-markup.js';
 
-const execFileAsync = promisify(execFile);
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const TMP_DIR = join(__dirname, '..', 'tmp');
-if (!existsSync(TMP_DIR)) mkdirSync(TMP_DIR, { recursive: true });
-
-const provider = process.env.TTS_PROVIDER || 'edge';
+const TTS_PROVIDER = process.env.TTS_PROVIDER || 'edge';
+// Edge has always fallen back to OpenAI — keep that unless told otherwise
+const TTS_FALLBACK = process.env.TTS_FALLBACK ?? (TTS_PROVIDER === 'edge' ? 'openai' : '');
 const STREAMING_TTS_ENABLED = process.env.STREAMING_TTS_ENABLED !== 'false'; // Default true
 
-// Find edge-tts binary
-const EDGE_TTS_BIN = process.env.EDGE_TTS_PATH || `${process.env.HOME}/.local/bin/edge-tts`;
-
-let openai;
-function getOpenAI() {
-  if (!openai) openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  return openai;
+/**
+ * Providers to try, in order (unknown names are skipped with a warning)
+ * @returns {Object[]}
+ */
+function getProviderChain() {
+  const names = [TTS_PROVIDER, ...TTS_FALLBACK.split(',').map(n => n.trim()).filter(Boolean)];
+  return [...new Set(names)]
+    .map(name => {
+      const provider = getTTSProvider(name);
+      if (!provider) console.warn(`⚠️  Unknown TTS provider "${name}" (have: ${listTTSProviders().join(', ')})`);
+      return provider;
+    })
+    .filter(Boolean);
 }
 
+const providerChain = getProviderChain();
+const cache = getTTSCache();
+
 /**
  * Sanitize text input for TTS to avoid crashes
  * @param {string} text - Raw text input
@@ -59,182 +72,164 @@ function sanitizeTextForTTS(text) {
 }
 
 /**
- * Synthesize text to speech and save to a file
- * @param {string} text - Text to speak
- * @returns {Promise<string>} Path to audio file
+ * Sanitize and mark up a request
+ * @returns {{ text: string, markup: Object }|null} text is the markup degraded to plain words
  */
-export async function synthesizeSpeech(text) {
-  // Sanitize input
-  const sanitized = sanitizeTextForTTS(text);
+function prepareRequest(text, options) {
+  const sanitized = sanitizeTextForTTS(options.markup ? renderPlainText(options.markup) : text);
   if (!sanitized) {
     console.log('⏭️  Empty/invalid text after sanitization, skipping synthesis');
     return null;
   }
-  switch (provider) {
-    case 'edge':
-      return synthesizeEdge(sanitized);
-    case 'openai':
-      return synthesizeOpenAI(sanitized);
-    default:
-      return synthesizeEdge(sanitized);
-  }
+  const markup = options.markup || toSpeechMarkup(sanitized, { prosody: options.prosody, locale: options.locale });
+  return { text: options.markup ? sanitized : renderPlainText(markup), markup };
 }
 
 /**
- * Synthesize text to speech as a streaming Readable
+ * Cache key for a request to one provider (null when caching is off)
+ */
+function cacheKey(provider, args) {
+  if (!cache) return null;
+  return ttsCacheKey({ provider: provider.name, voice: provider.voiceId?.(args.voice) ?? args.voice ?? '', markup: args.markup });
+}
+
+/**
+ * Hand back a stream that also fills the cache once the source ends cleanly.
+ * A source that errors (engine died mid-clip) or is stopped early is never
+ * cached. Stopping playback (destroying what we return) stops the source too.
+ */
+function cacheStream(source, key) {
+  const out = new PassThrough();
+  const chunks = [];
+  let failed = false;
+  source.on('data', (chunk) => chunks.push(chunk));
+  source.on('end', () => { if (!failed && !out.destroyed) cache.set(key, Buffer.concat(chunks)); });
+  source.on('error', (err) => { failed = true; out.destroy(err); });
+  out.on('close', () => { if (!source.readableEnded) { failed = true; source.destroy(); } });
+  out.on('error', () => {}); // The provider logs it; the player sees it on its own listener
+  return source.pipe(out);
+}
+
+/**
+ * Synthesize text to speech in memory
  * @param {string} text - Text to speak
- * @returns {Promise<Readable>} Readable stream of MP3 audio
+ * @param {Object} [options]
+ * @param {Object} [options.voice] - Per-provider voice override ({ edge, openai, elevenlabs, ... })
+ * @param {Object} [options.markup] - Speech markup for this text (built from the text if omitted)
+ * @param {Object} [options.prosody] - Rate/pitch adjustment when the markup is built here
+ * @param {string} [options.locale] - Normalization locale when the markup is built here (default TTS_LOCALE)
+ * @returns {Promise<Buffer|null>} Audio (MP3 from most providers), or null if every provider failed
  */
-export async function synthesizeSpeechStream(text) {
-  // Sanitize input
-  const sanitized = sanitizeTextForTTS(text);
-  if (!sanitized) {
-    console.log('⏭️  Empty/invalid text after sanitization, skipping synthesis');
-    return null;
-  }
-  switch (provider) {
-    case 'edge':
-      return synthesizeEdgeStream(sanitized);
-    case 'openai':
-      return synthesizeOpenAIStream(sanitized);
-    default:
-      return synthesizeEdgeStream(sanitized);
+export async function synthesizeSpeech(text, options = {}) {
+  const request = prepareRequest(text, options);
+  if (!request) return null;
+  for (const [i, provider] of providerChain.entries()) {
+    const args = { voice: options.voice?.[provider.name], markup: request.markup };
+    const key = cacheKey(provider, args);
+    const cached = key && cache.get(key);
+    if (cached) return cached;
+    try {
+      const audio = await provider.synthesize(request.text, args);
+      if (key) cache.set(key, audio);
+      return audio;
+    } catch (err) {
+      const next = providerChain[i + 1];
+      console.error(`${provider.name} TTS failed${next ? `, falling back to ${next.name}` : ''}:`, err.message);
+    }
   }
+  return null;
 }
 
-async function synthesizeEdge(text) {
-  const outputPath = join(TMP_DIR, `tts_${Date.now()}.mp3`);
-  const voice = process.env.EDGE_TTS_VOICE || 'en-AU-WilliamNeural';
-  
-  try {
-    await execFileAsync(EDGE_TTS_BIN, [
-      '--voice', voice,
-      '--text', text,
-      '--write-media', outputPath,
-    ], { timeout: 15000 });
-    
-    return outputPath;
-  } catch (err) {
-    console.error('Edge TTS failed, falling back to OpenAI:', err.message);
+/**
+ * Synthesize text to speech as a streaming Readable
+ * (a provider without streaming returns a whole Buffer instead)
+ * @param {string} text - Text to speak
+ * @param {Object} [options] - See synthesizeSpeech()
+ * @returns {Promise<Readable|Buffer|null>} Audio stream
+ */
+export async function synthesizeSpeechStream(text, options = {}) {
+  const request = prepareRequest(text, options);
+  if (!request) return null;
+  let lastError = null;
+  for (const [i, provider] of providerChain.entries()) {
+    const args = { voice: options.voice?.[provider.name], markup: request.markup };
+    const key = cacheKey(provider, args);
+    const cached = key && cache.get(key);
+    if (cached) return cached;
     try {
-      return await synthesizeOpenAI(text);
-    } catch (fallbackErr) {
-      console.error('OpenAI TTS fallback also failed:', fallbackErr.message);
-      return null;
+      if (provider.synthesizeStream) {
+        const stream = await provider.synthesizeStream(request.text, args);
+        return key ? cacheStream(stream, key) : stream;
+      }
+      const audio = await provider.synthesize(request.text, args);
+      if (key) cache.set(key, audio);
+      return audio;
+    } catch (err) {
+      lastError = err;
+      const next = providerChain[i + 1];
+      console.error(`${provider.name} TTS stream failed${next ? `, falling back to ${next.name}` : ''}:`, err.message);
     }
   }
+  throw lastError || new Error('No TTS provider configured');
 }
 
-function synthesizeEdgeStream(text) {
-  return new Promise((resolve, reject) => {
-    const voice = process.env.EDGE_TTS_VOICE || 'en-AU-WilliamNeural';
-    
-    // Spawn edge-tts with stdout output
-    const proc = spawn(EDGE_TTS_BIN, [
-      '--voice', voice,
-      '--text', text,
-      '--write-media', '-', // Write to stdout
-    ]);
-    
-    // Edge TTS may write some text to stderr before audio starts
-    proc.stderr.on('data', (chunk) => {
-      // Ignore stderr noise
-    });
-    
-    let started = false;
-    const stream = new Readable({
-      read() {}
-    });
-    
-    // Timeout fallback — stored so we can clear on success
-    const timeoutId = setTimeout(() => {
-      if (!started) {
-        proc.kill('SIGKILL');
-        reject(new Error('Edge TTS stream timeout'));
-      }
-    }, 5000);
-    
-    proc.stdout.on('data', (chunk) => {
-      if (!started) {
-        started = true;
-        clearTimeout(timeoutId);
-        resolve(stream);
-      }
-      stream.push(chunk);
-    });
-    
-    proc.stdout.on('end', () => {
-      stream.push(null);
-    });
-    
-    proc.on('error', (err) => {
-      clearTimeout(timeoutId);
-      if (!started) {
-        reject(new Error(`Edge TTS stream failed: ${err.message}`));
-      }
-    });
-    
-    proc.on('exit', (code) => {
-      clearTimeout(timeoutId);
-      if (!started && code !== 0) {
-        reject(new Error(`Edge TTS exited with code ${code}`));
+/**
+ * Synthesize phrases ahead of time so their first use is a cache hit
+ * (one at a time — this runs alongside everything else at startup)
+ * @param {string[]} phrases
+ * @param {Object[]} [optionSets] - synthesizeSpeech() options to warm each phrase for (e.g. per-user voices)
+ * @returns {Promise<{ warmed: number, cached: number, failed: number }>}
+ */
+export async function prewarmTTS(phrases, optionSets = [{}]) {
+  const result = { warmed: 0, cached: 0, failed: 0 };
+  if (!cache || providerChain.length === 0) return result;
+  const primary = providerChain[0];
+  for (const options of optionSets) {
+    for (const phrase of phrases) {
+      const request = prepareRequest(phrase, options);
+      if (!request) continue;
+      if (cache.has(cacheKey(primary, { voice: options.voice?.[primary.name], markup: request.markup }))) {
+        result.cached++;
+        continue;
       }
-    });
-  });
+      if (await synthesizeSpeech(phrase, options)) result.warmed++;
+      else result.failed++;
+    }
+  }
+  return result;
 }
 
-async function synthesizeOpenAI(text) {
-  const outputPath = join(TMP_DIR, `tts_${Date.now()}.mp3`);
-  
-  const model = process.env.OPENAI_TTS_MODEL || 'tts-1';
-  const voice = process.env.OPENAI_TTS_VOICE || 'onyx';
-  
-  const response = await getOpenAI().audio.speech.create({
-    model,
-    voice,
-    input: text,
-    speed: 1.0,
-    response_format: 'mp3',
-  });
-  
-  const buffer = Buffer.from(await response.arrayBuffer());
-  writeFileSync(outputPath, buffer);
-  
-  return outputPath;
+/**
+ * TTS cache hit/miss counters and size (null when caching is off)
+ * @returns {Object|null} See TTSCache.getStats()
+ */
+export function getTTSCacheStats() {
+  return cache ? cache.getStats() : null;
 }
 
-async function synthesizeOpenAIStream(text) {
-  const model = process.env.OPENAI_TTS_MODEL || 'tts-1';
-  const voice = process.env.OPENAI_TTS_VOICE || 'onyx';
-  
-  const response = await getOpenAI().audio.speech.create({
-    model,
-    voice,
-    input: text,
-    speed: 1.0,
-    response_format: 'mp3',
-  });
-  
-  // Convert web ReadableStream to Node Readable
-  const webStream = response.body;
-  const reader = webStream.getReader();
-  
-  const nodeStream = new Readable({
-    async read() {
-      try {
-        const { done, value } = await reader.read();
-        if (done) {
-          this.push(null);
-        } else {
-          this.push(Buffer.from(value));
-        }
-      } catch (err) {
-        this.destroy(err);
-      }
+/**
+ * Voices a provider offers
+ * @param {string} [name] - Provider (default TTS_PROVIDER)
+ * @returns {Promise<Array<{ id: string, name: string, locale?: string, gender?: string }>>}
+ */
+export async function listVoices(name = TTS_PROVIDER) {
+  const provider = getTTSProvider(name);
+  if (!provider) throw new Error(`Unknown TTS provider "${name}"`);
+  return provider.listVoices();
+}
+
+/**
+ * Health of every provider in the chain
+ * @returns {Promise<Array<{ name: string, ok: boolean, detail: string }>>}
+ */
+export async function checkTTSHealth() {
+  return Promise.all(providerChain.map(async (provider) => {
+    try {
+      return { name: provider.name, ...(await provider.healthCheck()) };
+    } catch (err) {
+      return { name: provider.name, ok: false, detail: err.message };
     }
-  });
-  
-  return nodeStream;
+  }));
 }
 
 /**
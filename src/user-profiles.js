@@ -0,0 +1,123 @@
+/**
+ * User Profiles - Per-user settings for everyone in ALLOWED_USERS
+ *
+ * Each allowed Discord user gets their own gateway session, TTS voice,
+ * wake words, DM target and alert routing. Profiles live in users.json
+ * (see users.example.json); users without an entry get the env defaults.
+ *
+ * ALLOWED_USERS stays the gate — a profile alone never lets someone talk
+ * to the bot.
+ */
+
+import 'dotenv/config';
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { PRIORITIES } from './alert-queue.js';
+import { WAKE_WORD_PHRASES } from './wakeword.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const PROFILES_PATH = process.env.USER_PROFILES_PATH || join(__dirname, '..', 'users.json');
+const ALLOWED_USERS = (process.env.ALLOWED_USERS || '').split(',').map(s => s.trim()).filter(Boolean);
+const SESSION_USER = process.env.SESSION_USER || 'mandy-voice-user';
+
+// userId -> profile
+let profiles = new Map();
+
+/**
+ * Fill in defaults for a profile entry
+ * @param {string} userId - Discord user ID
+ * @param {Object} entry - Raw users.json entry (may be empty)
+ * @param {boolean} isPrimary - First allowed user keeps the shared SESSION_USER
+ * @returns {Object}
+ */
+function buildProfile(userId, entry, isPrimary) {
+  const alerts = entry.alerts || {};
+  return {
+    id: userId,
+    name: entry.name || null,
+    // The primary user keeps the session shared with text chat; everyone else gets their own
+    sessionUser: entry.sessionUser || (isPrimary ? SESSION_USER : `${SESSION_USER}-${userId}`),
+    voice: entry.voice || {},
+    wakeWords: Array.isArray(entry.wakeWords) && entry.wakeWords.length > 0
+      ? entry.wakeWords.map(p => p.trim().toLowerCase())
+      : WAKE_WORD_PHRASES,
+    dmUserId: entry.dmUserId || userId,
+    earcons: typeof entry.earcons === 'boolean' ? entry.earcons : null, // null: EARCONS_PREFERRED
+    alerts: {
+      enabled: alerts.enabled !== false,
+      sources: Array.isArray(alerts.sources) && alerts.sources.length > 0 ? alerts.sources : ['*'],
+      minPriority: PRIORITIES.includes(alerts.minPriority) ? alerts.minPriority : 'normal',
+    },
+  };
+}
+
+/**
+ * Load user profiles (JSON) for every allowed user.
+ * Keeps the previous profiles if the file is invalid.
+ * @param {string} [profilesPath] - Defaults to USER_PROFILES_PATH or ./users.json
+ * @param {string[]} [allowedUsers] - Defaults to ALLOWED_USERS
+ * @returns {Map<string, Object>} userId -> profile
+ */
+export function loadUserProfiles(profilesPath = PROFILES_PATH, allowedUsers = ALLOWED_USERS) {
+  let entries = {};
+  if (existsSync(profilesPath)) {
+    try {
+      entries = JSON.parse(readFileSync(profilesPath, 'utf8')).users || {};
+    } catch (err) {
+      console.error(`❌ Failed to load user profiles ${profilesPath}:`, err.message);
+      return profiles;
+    }
+  }
+
+  for (const userId of Object.keys(entries)) {
+    if (!allowedUsers.includes(userId)) {
+      console.warn(`⚠️  Profile for ${userId} ignored — not in ALLOWED_USERS`);
+    }
+  }
+
+  profiles = new Map(allowedUsers.map((userId, i) => [userId, buildProfile(userId, entries[userId] || {}, i === 0)]));
+  console.log(`👥 User profiles loaded: ${[...profiles.values()].map(p => p.name || p.id).join(', ') || 'none'}`);
+  return profiles;
+}
+
+/**
+ * Get a user's profile
+ * @param {string} userId - Discord user ID
+ * @returns {Object|null} null if the user isn't allowed
+ */
+export function getUserProfile(userId) {
+  return profiles.get(userId) || null;
+}
+
+/**
+ * Get every allowed user's profile, in ALLOWED_USERS order
+ * @returns {Object[]}
+ */
+export function getUserProfiles() {
+  return [...profiles.values()];
+}
+
+/**
+ * Whether an alert should be delivered to this user.
+ * Alerts tagged with a userId (e.g. background agent results) only go to that user.
+ * @param {Object} profile - From getUserProfile()
+ * @param {Object} alert - Alert from the queue
+ * @returns {boolean}
+ */
+export function receivesAlert(profile, alert) {
+  if (!profile) return false;
+  if (alert.userId) return alert.userId === profile.id;
+  if (!profile.alerts.enabled) return false;
+  if (PRIORITIES.indexOf(alert.priority) < PRIORITIES.indexOf(profile.alerts.minPriority)) return false;
+  return profile.alerts.sources.includes('*') || profile.alerts.sources.includes(alert.source);
+}
+
+/**
+ * Profiles that should receive an alert
+ * @param {Object} alert
+ * @returns {Object[]}
+ */
+export function getAlertRecipients(alert) {
+  return getUserProfiles().filter(p => receivesAlert(p, alert));
+}
@@ -0,0 +1,215 @@
+/**
+ * Voice Activity Detection - Frame-level speech gate (pure JS)
+ *
+ * Runs on the 48kHz 16-bit mono PCM coming out of OpusDecoder, one 20ms
+ * frame at a time. Each frame is scored on:
+ *   - energy       RMS relative to an adaptive per-user noise floor
+ *   - zero-crossing rate  hiss and clicks cross zero far more than voice
+ *   - spectral flatness   voice is peaky (harmonics); fans and keyboard
+ *                         clicks are flat, noise-like spectra
+ *
+ * Onset and hangover smoothing turn frame decisions into speech regions,
+ * so a 20ms click never counts as speech and short pauses between words
+ * don't split an utterance. The noise floor keeps adapting on non-speech
+ * frames, so a fan that starts mid-session stops tripping the gate.
+ */
+
+import 'dotenv/config';
+import { fft } from './fft.js';
+
+const SAMPLE_RATE = 48000;
+const FRAME_MS = 20;
+const FRAME_SAMPLES = (SAMPLE_RATE / 1000) * FRAME_MS; // 960 — one Opus frame
+const FRAME_BYTES = FRAME_SAMPLES * 2;
+const FFT_SIZE = 1024;
+
+const ENERGY_RATIO = parseFloat(process.env.VAD_ENERGY_RATIO || '3'); // Speech must be this many times the noise floor
+const MIN_ENERGY = 80;          // Absolute RMS floor — digital silence never counts
+const MAX_ZCR = 0.35;           // Crossings per sample above this is hiss/clicks
+const MAX_FLATNESS = 0.45;      // Tonal enough to be voice
+const FRICATIVE_FLATNESS = 0.7; // "s"/"f" sounds are flatter — allowed mid-speech only
+const ONSET_FRAMES = 3;         // 60ms of speech-like frames to open a region
+const HANGOVER_FRAMES = 10;     // 200ms of grace before a region closes
+const INITIAL_NOISE_FLOOR = 100;
+const MIN_NOISE_FLOOR = 30;
+
+export const MIN_SPEECH_MS = parseInt(process.env.VAD_MIN_SPEECH_MS || '250');
+const PAD_BEFORE_MS = 100; // Keep a little lead-in so STT hears the first phoneme
+const PAD_AFTER_MS = 200;
+
+// Analysis window for the 20ms frame (zero-padded to FFT_SIZE)
+const hannWindow = new Float64Array(FRAME_SAMPLES);
+for (let i = 0; i < FRAME_SAMPLES; i++) {
+  hannWindow[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SAMPLES - 1)); // Hann
+}
+
+const fftRe = new Float64Array(FFT_SIZE);
+const fftIm = new Float64Array(FFT_SIZE);
+
+/**
+ * Score one frame
+ * @param {Int16Array} samples - FRAME_SAMPLES samples
+ * @returns {{ energy: number, zcr: number, flatness: number }}
+ */
+export function analyzeFrame(samples) {
+  let sum = 0;
+  let crossings = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+    if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+  }
+  const energy = Math.sqrt(sum / samples.length);
+  const zcr = crossings / samples.length;
+
+  fftRe.fill(0);
+  fftIm.fill(0);
+  for (let i = 0; i < samples.length; i++) fftRe[i] = samples[i] * hannWindow[i];
+  fft(fftRe, fftIm);
+
+  // Geometric / arithmetic mean of the power spectrum, 100Hz–6kHz
+  const lo = Math.ceil((100 * FFT_SIZE) / SAMPLE_RATE);
+  const hi = Math.floor((6000 * FFT_SIZE) / SAMPLE_RATE);
+  let logSum = 0;
+  let linSum = 0;
+  for (let k = lo; k <= hi; k++) {
+    const power = fftRe[k] * fftRe[k] + fftIm[k] * fftIm[k] + 1e-10;
+    logSum += Math.log(power);
+    linSum += power;
+  }
+  const bins = hi - lo + 1;
+  const flatness = Math.exp(logSum / bins) / (linSum / bins);
+
+  return { energy, zcr, flatness };
+}
+
+/**
+ * Per-user detector — keeps the noise floor between utterances
+ */
+export class VoiceActivityDetector {
+  constructor() {
+    this.noiseFloor = INITIAL_NOISE_FLOOR;
+    this.reset();
+  }
+
+  /**
+   * Start a new utterance (noise floor carries over)
+   */
+  reset() {
+    this.pending = Buffer.alloc(0);
+    this.frames = []; // Smoothed speech flag per frame
+    this.run = 0;      // Consecutive speech-like frames
+    this.hangover = 0;
+    this.inSpeech = false;
+  }
+
+  /**
+   * Raw (unsmoothed) decision for one frame; adapts the noise floor on non-speech.
+   * Fricatives look a lot like hiss, so they can only extend a region that
+   * voiced frames opened — never open one.
+   * @param {Int16Array} samples
+   * @returns {'voiced'|'fricative'|null}
+   */
+  classifyFrame(samples) {
+    const { energy, zcr, flatness } = analyzeFrame(samples);
+    const loudEnough = energy >= MIN_ENERGY && energy >= this.noiseFloor * ENERGY_RATIO;
+    let kind = null;
+    if (loudEnough && zcr <= MAX_ZCR && flatness <= MAX_FLATNESS) kind = 'voiced';
+    else if (loudEnough && this.inSpeech && flatness <= FRICATIVE_FLATNESS) kind = 'fricative';
+
+    if (!kind) {
+      // Fall quickly when the room gets quieter, rise slowly so speech tails don't inflate it
+      const rate = energy < this.noiseFloor ? 0.1 : 0.02;
+      this.noiseFloor = Math.max(MIN_NOISE_FLOOR, this.noiseFloor + (energy - this.noiseFloor) * rate);
+    }
+    return kind;
+  }
+
+  /**
+   * Feed decoded PCM (any chunk size) — processes whole 20ms frames
+   * @param {Buffer} chunk - 48kHz 16-bit mono PCM
+   */
+  push(chunk) {
+    let buf = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    let offset = 0;
+    for (; offset + FRAME_BYTES <= buf.length; offset += FRAME_BYTES) {
+      const samples = new Int16Array(FRAME_SAMPLES);
+      for (let i = 0; i < FRAME_SAMPLES; i++) samples[i] = buf.readInt16LE(offset + i * 2);
+      this.pushDecision(this.classifyFrame(samples));
+    }
+    this.pending = Buffer.from(buf.subarray(offset));
+  }
+
+  /**
+   * Smooth raw frame decisions into speech regions (onset + hangover)
+   */
+  pushDecision(kind) {
+    this.run = kind === 'voiced' ? this.run + 1 : 0;
+    if (this.inSpeech) {
+      if (kind) this.hangover = HANGOVER_FRAMES;
+      else if (--this.hangover <= 0) this.inSpeech = false;
+    } else if (this.run >= ONSET_FRAMES) {
+      // Back-fill the onset frames that opened this region
+      for (let i = Math.max(0, this.frames.length - (ONSET_FRAMES - 1)); i < this.frames.length; i++) {
+        this.frames[i] = true;
+      }
+      this.inSpeech = true;
+      this.hangover = HANGOVER_FRAMES;
+    }
+    this.frames.push(this.inSpeech);
+  }
+
+  /**
+   * Summarize the utterance fed since reset()
+   * @returns {{ totalMs: number, speechMs: number, speechRatio: number, startByte: number, endByte: number, noiseFloor: number }}
+   *   speechRatio is voiced time over the span from first to last speech frame
+   *   (pauses mid-utterance lower it; leading/trailing silence doesn't).
+   *   startByte/endByte bound the speech (with padding) in the pushed PCM; both 0 if no speech
+   */
+  summarize() {
+    const totalFrames = this.frames.length;
+    const speechFrames = this.frames.filter(Boolean).length;
+    const first = this.frames.indexOf(true);
+    const last = this.frames.lastIndexOf(true);
+
+    let startByte = 0;
+    let endByte = 0;
+    if (first !== -1) {
+      const startFrame = Math.max(0, first - Math.round(PAD_BEFORE_MS / FRAME_MS));
+      const endFrame = Math.min(totalFrames, last + 1 + Math.round(PAD_AFTER_MS / FRAME_MS));
+      startByte = startFrame * FRAME_BYTES;
+      endByte = endFrame * FRAME_BYTES;
+    }
+
+    return {
+      totalMs: totalFrames * FRAME_MS,
+      speechMs: speechFrames * FRAME_MS,
+      speechRatio: first !== -1 ? speechFrames / (last - first + 1) : 0,
+      startByte,
+      endByte,
+      noiseFloor: Math.round(this.noiseFloor),
+    };
+  }
+}
+
+const detectors = new Map(); // userId -> VoiceActivityDetector
+
+/**
+ * Get (or create) a user's detector — each mic has its own noise floor
+ * @param {string} userId
+ * @returns {VoiceActivityDetector}
+ */
+export function getDetector(userId) {
+  if (!detectors.has(userId)) detectors.set(userId, new VoiceActivityDetector());
+  return detectors.get(userId);
+}
+
+/**
+ * Cut leading/trailing silence using a summarize() result
+ * @param {Buffer} pcmBuffer - The PCM that was pushed
+ * @param {Object} summary - From VoiceActivityDetector.summarize()
+ * @returns {Buffer}
+ */
+export function trimSilence(pcmBuffer, summary) {
+  if (summary.endByte <= summary.startByte) return pcmBuffer.subarray(0, 0);
+  return pcmBuffer.subarray(summary.startByte, Math.min(summary.endByte, pcmBuffer.length));
+}
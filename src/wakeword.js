@@ -30,26 +30,25 @@ setInterval(() => {
  * Check if transcript contains a wake word
  * @param {string} transcript - The transcribed text
  * @param {string} userId - Discord user ID (for conversation window tracking)
+ * @param {string[]} [phrases] - Wake phrases for this user (defaults to WAKE_WORD_PHRASES)
  * @returns {{ detected: boolean, cleanedTranscript: string }}
  */
-export function checkWakeWord(transcript, userId = null) {
+export function checkWakeWord(transcript, userId = null, phrases = WAKE_WORD_PHRASES) {
   if (!WAKE_WORD_ENABLED) {
     return { detected: true, cleanedTranscript: transcript };
   }
   
   // Check if we're within the conversation window (bot spoke to this user recently)
-  if (userId && lastBotResponseTime.has(userId)) {
+  if (isInConversationWindow(userId)) {
     const timeSinceLastResponse = Date.now() - lastBotResponseTime.get(userId);
-    if (timeSinceLastResponse < CONVERSATION_WINDOW_MS) {
-      console.log(`💬 Within conversation window (${Math.round(timeSinceLastResponse / 1000)}s ago) — wake word not required`);
-      return { detected: true, cleanedTranscript: transcript };
-    }
+    console.log(`💬 Within conversation window (${Math.round(timeSinceLastResponse / 1000)}s ago) — wake word not required`);
+    return { detected: true, cleanedTranscript: transcript };
   }
   
   const lower = transcript.toLowerCase().trim();
   
   // Check if any wake phrase is at the start of the transcript
-  for (const phrase of WAKE_WORD_PHRASES) {
+  for (const phrase of phrases) {
     if (lower.startsWith(phrase)) {
       // Strip the wake word from the transcript
       const cleaned = transcript.substring(phrase.length).trim();
@@ -73,6 +72,29 @@ export function checkWakeWord(transcript, userId = null) {
   return { detected: false, cleanedTranscript: transcript };
 }
 
+/**
+ * Quiet check for a wake phrase in the first few words (no logging, no
+ * conversation window) — used on streaming partials
+ * @param {string} transcript - Partial or final transcript
+ * @param {string[]} [phrases] - Wake phrases for this user
+ * @returns {boolean}
+ */
+export function hasWakeWord(transcript, phrases = WAKE_WORD_PHRASES) {
+  const firstFiveWords = transcript.toLowerCase().replace(/[.,!?]/g, '').trim().split(/\s+/).slice(0, 5).join(' ');
+  return phrases.some(phrase => firstFiveWords.includes(phrase));
+}
+
+/**
+ * Whether the bot spoke to this user recently enough that their next
+ * utterance counts as a follow-up (independent of WAKE_WORD_ENABLED)
+ * @param {string} userId - Discord user ID
+ * @returns {boolean}
+ */
+export function isInConversationWindow(userId) {
+  if (!userId || !lastBotResponseTime.has(userId)) return false;
+  return Date.now() - lastBotResponseTime.get(userId) < CONVERSATION_WINDOW_MS;
+}
+
 /**
  * Mark that the bot just responded to a user (starts the conversation window)
  * @param {string} userId - Discord user ID
@@ -9,6 +9,39 @@
  */
 
 import { strict as assert } from 'assert';
+import { FloorControl } from '../src/floor-control.js';
+import { classifyIntent, createBudgetTracker, estimateSpokenSeconds } from '../src/intent-classifier.js';
+import { resample, decimateAverage, highPass, reduceNoise, normalizeLoudness, createPreprocessor, pcmToWav } from '../src/audio-preprocess.js';
+import { SentenceSynthesizer, GaplessStream } from '../src/speech-pipeline.js';
+import { classifyBargeIn, AnswerTracker } from '../src/barge-in.js';
+import { EnergyEnvelope, correlateEcho } from '../src/echo.js';
+import { toSpeechMarkup, renderPlainText, renderSSML } from '../src/speech-markup.js';
+import { normalizeForSpeech, addPronunciations } from '../src/speech-normalize.js';
+import { renderNotes, getEarcon, createThinkingLoop, EARCON_EVENTS } from '../src/earcons.js';
+import { VoiceActivityDetector, trimSilence } from '../src/vad.js';
+import { OpusDecoder, downmixStereo, tapRtpHeaders } from '../src/opus-decoder.js';
+import OpusScript from 'opusscript';
+import { PlaybackController, getMp3DurationMs, getWavDurationMs } from '../src/playback.js';
+import { AudioPlayerStatus } from '@discordjs/voice';
+import { EventEmitter } from 'events';
+import { PassThrough, Readable } from 'stream';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync, chmodSync, readFileSync, readdirSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createServer } from 'http';
+import { detectBriefingCommand, parseSnoozeDuration, describeDuration } from '../src/alert-briefing.js';
+import { loadChannelRegistry, resolveChannel, detectChannelCommand, listChannels } from '../src/channel-router.js';
+import { sweepTmpDir } from '../src/tmp-sweep.js';
+
+// Modules that keep files (alert log, TTS cache) or spawn engines read their
+// paths at import — point them at a scratch directory first, then import
+// them dynamically in their tests
+const scratchDir = mkdtempSync(join(tmpdir(), 'jarvis-test-'));
+process.env.ALERT_QUEUE_PATH = join(scratchDir, 'alerts.jsonl');
+process.env.TTS_CACHE_DIR = join(scratchDir, 'tts-cache');
+process.env.PIPER_PATH = join(scratchDir, 'fake-piper.sh');
+process.env.PIPER_MODEL = join(scratchDir, 'voice.onnx');
+process.env.TTS_REQUEST_TIMEOUT_MS = '150';
 
 // ── Mock Setup ───────────────────────────────────────────────────────
 
@@ -17,6 +50,8 @@ const FAST_RESPONSE = 50;
 const SLOW_RESPONSE = 500;
 const VERY_SLOW_RESPONSE = 2000;
 
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 // Track what happened
 const log = [];
 const ttsPlayed = [];
@@ -27,6 +62,8 @@ function resetState() {
   ttsPlayed.length = 0;
   textChannelPosts.length = 0;
   activeTasks.clear();
+  delegatedTasks.clear();
+  cancelledSessions.length = 0;
   responseQueue.length = 0;
   conversations.clear();
   isSpeakingResponse = false;
@@ -37,6 +74,8 @@ function resetState() {
 // ── Replicate core logic from index.js (testable version) ────────────
 
 const activeTasks = new Map();
+const delegatedTasks = new Map();
+const cancelledSessions = [];
 let taskIdCounter = 0;
 const responseQueue = [];
 let isSpeakingResponse = false;
@@ -90,17 +129,47 @@ async function mockPostToTextChannel(message) {
 // ── Core Functions (extracted from index.js for testing) ─────────────
 
 function cancelAllTasks() {
-  const count = activeTasks.size;
+  const count = activeTasks.size + delegatedTasks.size;
   for (const [taskId, task] of activeTasks) {
     task.controller.abort();
     log.push(`cancelled:${taskId}`);
   }
   activeTasks.clear();
+  for (const [taskId, task] of delegatedTasks) {
+    task.controller.abort();
+    if (task.sessionKey) cancelledSessions.push(task.sessionKey);
+    log.push(`cancelled:${taskId}`);
+  }
+  delegatedTasks.clear();
   responseQueue.length = 0;
   isSpeakingResponse = false;
   return count;
 }
 
+// "Stop" from one user — only their tasks, agents and queued responses
+function cancelUserTasks(userId) {
+  let count = 0;
+  for (const [taskId, task] of activeTasks) {
+    if (task.userId !== userId) continue;
+    task.controller.abort();
+    activeTasks.delete(taskId);
+    log.push(`cancelled:${taskId}`);
+    count++;
+  }
+  for (const [taskId, task] of delegatedTasks) {
+    if (task.userId !== userId) continue;
+    task.controller.abort();
+    if (task.sessionKey) cancelledSessions.push(task.sessionKey);
+    delegatedTasks.delete(taskId);
+    log.push(`cancelled:${taskId}`);
+    count++;
+  }
+  for (let i = responseQueue.length - 1; i >= 0; i--) {
+    if (responseQueue[i].userId === userId) responseQueue.splice(i, 1);
+  }
+  return count;
+}
+
 async function processBrainTask(taskId, userId, transcript, history, signal, delayMs) {
   try {
     log.push(`thinking:${taskId}`);
@@ -247,25 +316,27 @@ await test('Fast task response plays before slow task finishes', async () => {
   assert.equal(activeTasks.size, 0, 'All tasks done');
 });
 
-// ── 4. Cancel ALL tasks ──────────────────────────────────────────────
+// ── 4. Stop cancels the speaker's tasks ──────────────────────────────
 
-await test('Stop command cancels all active tasks', async () => {
+await test('Stop command cancels all active tasks of the speaker', async () => {
   const t1 = await dispatchTask('user1', 'Long task 1', VERY_SLOW_RESPONSE);
   const t2 = await dispatchTask('user1', 'Long task 2', VERY_SLOW_RESPONSE);
   const t3 = await dispatchTask('user1', 'Long task 3', VERY_SLOW_RESPONSE);
+  const other = await dispatchTask('user2', 'Quick question', SLOW_RESPONSE);
 
-  assert.equal(activeTasks.size, 3, '3 tasks active');
+  assert.equal(activeTasks.size, 4, '4 tasks active');
 
-  const cancelled = cancelAllTasks();
+  const cancelled = cancelUserTasks('user1');
   assert.equal(cancelled, 3, 'Cancelled 3 tasks');
-  assert.equal(activeTasks.size, 0, 'No active tasks');
-  assert.equal(responseQueue.length, 0, 'Response queue cleared');
+  assert.equal(activeTasks.size, 1, "Only the other user's task is left");
+  assert.equal([...activeTasks.values()][0].userId, 'user2');
 
   // Wait for abort handlers to fire
-  await Promise.all([t1.promise, t2.promise, t3.promise]);
+  await Promise.all([t1.promise, t2.promise, t3.promise, other.promise]);
   
-  assert.equal(ttsPlayed.length, 0, 'No TTS played after cancel');
-  assert.ok(log.some(l => l.startsWith('aborted:')), 'Tasks logged as aborted');
+  assert.deepEqual(ttsPlayed, ['Response to: Quick question'], "Only the other user's answer is spoken");
+  assert.ok(log.includes(`aborted:${t1.taskId}`), 'Tasks logged as aborted');
+  assert.ok(log.includes(`spoken:${other.taskId}`), "Other user's task survives");
 });
 
 // ── 5. Interrupt command detection ───────────────────────────────────
@@ -451,6 +522,1591 @@ await test('Pre-aborted signal returns immediately', async () => {
   assert.ok(result.aborted, 'Immediately returns aborted');
 });
 
+// ── 16. Delegated task reports the agent's TL;DR ────────────────────
+
+// Fake Clawdbot gateway for agent-delegate.js (its URL is read at import).
+// Spawned agents answer with fakeGateway.replies[task]; a task with no
+// reply keeps its session open, like an agent that's still working.
+const fakeGateway = { seen: [], spawned: [], replies: {}, failSpawn: false, spawnDelayMs: 0 };
+const gateway = createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    fakeGateway.seen.push(`${req.method} ${decodeURIComponent(req.url)}`);
+    const key = decodeURIComponent(req.url.split('/').pop());
+    if (req.method === 'POST' && req.url === '/hooks/agent') {
+      if (fakeGateway.failSpawn) return res.writeHead(500).end('gateway down');
+      const spawn = JSON.parse(body);
+      fakeGateway.spawned.push({ sessionKey: spawn.sessionKey, task: spawn.message.match(/User request: "(.*)"/)[1], message: spawn.message });
+      return setTimeout(() => res.writeHead(200, { 'content-type': 'application/json' }).end('{}'), fakeGateway.spawnDelayMs);
+    }
+    if (req.method === 'DELETE') return res.writeHead(key.includes('gone') ? 500 : 200).end('{}');
+    const spawned = fakeGateway.spawned.find(s => s.sessionKey === key);
+    const reply = key === 'hook:test:done' ? 'Archived 34 emails. Five need you.' : fakeGateway.replies[spawned?.task];
+    if (reply) {
+      return res.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify({
+        messages: [{ role: 'user', content: [] }, { role: 'assistant', content: reply.split('|').map(text => ({ type: 'text', text })) }],
+      }));
+    }
+    if (spawned || key === 'hook:test:slow') return; // Still working — only an abort ends the request
+    res.writeHead(404).end();
+  });
+});
+await new Promise(resolve => gateway.listen(0, '127.0.0.1', resolve));
+process.env.CLAWDBOT_GATEWAY_URL = `http://127.0.0.1:${gateway.address().port}`;
+process.env.CLAWDBOT_GATEWAY_TOKEN = 'test-gateway-token';
+const agents = await import('../src/agent-delegate.js');
+
+await test('Delegated task spawns an agent, polls it and returns the TL;DR', async () => {
+  fakeGateway.replies['Clean my inbox'] = 'Archived 34 newsletters. Five emails need a reply today. Three are from legal. The rest can wait.';
+  const spawnedKeys = [];
+  const outcome = await agents.delegateTask('Clean my inbox', {
+    activeContext: { channelName: 'ops', directive: 'Keep it brief.' },
+    outputChannel: 'chan-42',
+    timeoutMs: 5000,
+    onSpawned: key => spawnedKeys.push(key),
+  });
+
+  assert.equal(outcome.status, 'completed');
+  assert.match(outcome.sessionKey, /^hook:mandy-voice:task:\d+$/);
+  assert.deepEqual(spawnedKeys, [outcome.sessionKey], 'session key handed over before polling');
+  assert.equal(outcome.response, fakeGateway.replies['Clean my inbox']);
+  assert.equal(outcome.tldr, 'Archived 34 newsletters. Five emails need a reply today. Three are from legal.');
+  const spawn = fakeGateway.spawned.at(-1);
+  assert.ok(spawn.message.includes('channel chan-42') && spawn.message.includes('Active context: ops'), 'context and output channel passed on');
+
+  // Gateway refuses: the caller falls back to the brain
+  fakeGateway.failSpawn = true;
+  try {
+    const failed = await agents.delegateTask('Clean my inbox', { outputChannel: 'chan-42', onSpawned: key => spawnedKeys.push(key) });
+    assert.deepEqual(failed, { status: 'spawn_failed', sessionKey: null, response: null, tldr: null });
+    assert.equal(spawnedKeys.length, 1);
+  } finally {
+    fakeGateway.failSpawn = false;
+  }
+
+  // Still running at the deadline: results are left to the text channel
+  const timedOut = await agents.delegateTask('Reindex the archive', { outputChannel: 'chan-42', timeoutMs: 100 });
+  assert.deepEqual([timedOut.status, timedOut.tldr], ['timeout', null]);
+});
+
+// ── 17. Stop ends delegated tasks at any stage ───────────────────────
+
+await test('Stop ends a delegated task while spawning or polling, and only that one', async () => {
+  fakeGateway.replies['Summarize the release notes'] = 'Two features shipped. One fix.';
+
+  // Stop while the agent is still working; another user's agent is unaffected
+  const stop = new AbortController();
+  const polling = agents.delegateTask('Research the outage', { outputChannel: 'chan-42', signal: stop.signal, timeoutMs: 60000 });
+  await wait(5); // Session keys are per millisecond
+  const other = agents.delegateTask('Summarize the release notes', { outputChannel: 'chan-42', timeoutMs: 5000 });
+  await wait(50);
+  const started = Date.now();
+  stop.abort();
+  const stopped = await polling;
+  assert.equal(stopped.status, 'aborted');
+  assert.ok(Date.now() - started < 1000, 'stopped promptly');
+  assert.equal((await other).tldr, 'Two features shipped. One fix.', "other user's agent still reports back");
+
+  // Stop while the spawn request is in flight: the late session is cancelled
+  fakeGateway.spawnDelayMs = 100;
+  try {
+    const early = new AbortController();
+    setTimeout(() => early.abort(), 20);
+    const spawning = await agents.delegateTask('Audit the firewall rules', { outputChannel: 'chan-42', signal: early.signal });
+    assert.equal(spawning.status, 'aborted');
+    assert.ok(fakeGateway.seen.includes(`DELETE /api/sessions/${spawning.sessionKey}`), 'agent spawned after the stop is cancelled');
+  } finally {
+    fakeGateway.spawnDelayMs = 0;
+  }
+});
+
+// ── 18. Floor keeps one user's answer together ───────────────────────
+
+await test('Floor plays a turn back-to-back before the next user', async () => {
+  const floor = new FloorControl({ policy: 'fifo' });
+  const clip = (taskId, text) => ({ audioSource: text, metadata: { taskId } });
+  floor.openTurn(1, 'alex');
+  floor.openTurn(2, 'sam');
+
+  // Sam's answer is ready first, but Alex asked first
+  const queue = [clip(2, 'sam-1'), clip(1, 'alex-1'), clip(2, 'sam-2')];
+  const played = [];
+  const playNext = () => {
+    const i = floor.pickNext(queue);
+    if (i !== -1) played.push(queue.splice(i, 1)[0].audioSource);
+    return i;
+  };
+
+  playNext();
+  assert.deepEqual(played, ['alex-1']);
+  assert.equal(playNext(), -1, 'Waits for the rest of Alex\'s answer');
+
+  queue.push({ audioSource: 'ack', metadata: {} });
+  playNext();
+  assert.deepEqual(played, ['alex-1', 'ack'], 'Interjections fill the gap');
+
+  queue.push(clip(1, 'alex-2'));
+  floor.closeTurn(1);
+  while (playNext() !== -1);
+  assert.deepEqual(played, ['alex-1', 'ack', 'alex-2', 'sam-1', 'sam-2']);
+});
+
+// ── 19. Priority policy and one-at-a-time busy check ─────────────────
+
+await test('Priority floor favours the ranked user; busy check ignores own turns', async () => {
+  const rank = { alex: 0, sam: 1 };
+  const floor = new FloorControl({ policy: 'priority', rankOf: (userId) => rank[userId] });
+  floor.openTurn(1, 'sam');
+  floor.openTurn(2, 'alex');
+  const queue = [{ audioSource: 'sam-1', metadata: { taskId: 1 } }, { audioSource: 'alex-1', metadata: { taskId: 2 } }];
+
+  assert.equal(queue[floor.pickNext(queue)].audioSource, 'alex-1');
+  assert.equal(floor.holderUserId, 'alex');
+
+  const single = new FloorControl({ policy: 'single' });
+  single.openTurn(1, 'alex');
+  assert.ok(!single.isBusyFor('alex'), 'Own turn does not block');
+  assert.ok(single.isBusyFor('sam'), 'Someone else\'s turn blocks');
+  single.dropTurn(1);
+  assert.ok(!single.isBusy());
+});
+
+// ── 20–23. Audio preprocessing against reference signals ────────────
+
+const sine = (freq, rate, length, amplitude = 10000, offset = 0) =>
+  Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / rate) + offset);
+const rmsOf = (samples, start = 0, end = samples.length) => {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / (end - start));
+};
+
+await test('Sinc resampler matches a reference tone and rejects aliases', async () => {
+  const out = resample(sine(1000, 48000, 48000), 48000, 16000);
+  const reference = sine(1000, 16000, 16000);
+  assert.equal(out.length, 16000);
+  let maxError = 0;
+  for (let i = 200; i < 15800; i++) maxError = Math.max(maxError, Math.abs(out[i] - reference[i]));
+  assert.ok(maxError < 5, `1kHz tone preserved (max error ${maxError.toFixed(2)})`);
+
+  // 10kHz is above the 16kHz Nyquist — averaging folds it to 6kHz, the sinc filter removes it
+  const tone = sine(10000, 48000, 48000);
+  assert.ok(rmsOf(resample(tone, 48000, 16000), 200, 15800) < 7, 'Alias attenuated > 60dB');
+  assert.ok(rmsOf(decimateAverage(tone, 3), 200, 15800) > 1000, 'Averaging lets it through');
+});
+
+await test('High-pass removes DC offset and keeps speech-band level', async () => {
+  const out = highPass(sine(1000, 16000, 16000, 5000, 3000), 16000, 80);
+  let mean = 0;
+  for (let i = 8000; i < 16000; i++) mean += out[i] / 8000;
+  assert.ok(Math.abs(mean) < 1, `DC removed (mean ${mean.toFixed(3)})`);
+  assert.ok(Math.abs(rmsOf(out, 8000) - 5000 / Math.SQRT2) < 10, '1kHz level unchanged');
+});
+
+await test('AGC reaches target loudness without exceeding max gain or clipping', async () => {
+  const dbfs = (samples) => 20 * Math.log10(rmsOf(samples) / 32768);
+  assert.ok(Math.abs(dbfs(normalizeLoudness(sine(1000, 16000, 16000, 1500), { targetDbfs: -20 })) + 20) < 0.1, 'Quiet speech raised to -20dBFS');
+  assert.ok(Math.abs(dbfs(normalizeLoudness(sine(1000, 16000, 16000, 30000), { targetDbfs: -20 })) + 20) < 0.1, 'Loud speech lowered to -20dBFS');
+
+  const faint = sine(1000, 16000, 16000, 200);
+  const boosted = normalizeLoudness(faint, { targetDbfs: -20, maxGainDb: 20 });
+  assert.ok(Math.abs(rmsOf(boosted) / rmsOf(faint) - 10) < 0.01, 'Gain capped at +20dB');
+
+  const peaky = sine(1000, 16000, 16000, 1000);
+  peaky[100] = 30000;
+  const limited = normalizeLoudness(peaky, { targetDbfs: -3, maxGainDb: 40 });
+  assert.ok(Math.max(...limited.map(Math.abs)) <= 32767, 'Peaks never clip');
+});
+
+await test('Spectral subtraction improves SNR; chain outputs 16kHz PCM', async () => {
+  let seed = 1;
+  const noise = () => { seed = (seed * 1103515245 + 12345) % 2147483648; return seed / 2147483648 - 0.5; };
+  const clean = Float32Array.from({ length: 32000 }, (_, i) =>
+    (i > 8000 && i < 24000 ? 6000 * Math.sin((2 * Math.PI * 440 * i) / 16000) : 0));
+  const noisy = clean.map(v => v + 1500 * noise());
+  const snr = (samples) => {
+    let signal = 0, error = 0;
+    for (let i = 0; i < samples.length; i++) {
+      signal += clean[i] ** 2;
+      error += (samples[i] - clean[i]) ** 2;
+    }
+    return 10 * Math.log10(signal / error);
+  };
+  const denoised = reduceNoise(noisy);
+  assert.equal(denoised.length, noisy.length);
+  assert.ok(snr(denoised) > snr(noisy) + 6, `SNR ${snr(noisy).toFixed(1)}dB → ${snr(denoised).toFixed(1)}dB`);
+
+  const preprocess = createPreprocessor({
+    inputRate: 48000, outputRate: 16000, resampler: 'sinc',
+    highPass: true, highPassHz: 80, noiseReduction: true, agc: true, agcTargetDbfs: -20, agcMaxGainDb: 20,
+  });
+  const pcm = Buffer.alloc(48000 * 2);
+  sine(440, 48000, 48000, 3000).forEach((v, i) => pcm.writeInt16LE(Math.round(v), i * 2));
+  assert.equal(preprocess(pcm).length, 16000 * 2, '1s of 48kHz in → 1s of 16kHz out');
+});
+
+// ── 24. Look-ahead synthesis keeps sentence order ───────────────────
+
+await test('Sentences are delivered in order with bounded look-ahead', async () => {
+  const delays = { one: 120, two: 10, three: 60, four: 5 };
+  let inFlight = 0, maxInFlight = 0;
+  const delivered = [];
+  const synthesizer = new SentenceSynthesizer({
+    maxAhead: 2,
+    synthesize: async (text) => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await wait(delays[text]);
+      inFlight--;
+      return text === 'three' ? null : `audio:${text}`; // 'three' fails — skipped, not blocking
+    },
+    onClip: (clip, { index }) => delivered.push(`${index}:${clip}`),
+  });
+  for (const text of Object.keys(delays)) synthesizer.push(text);
+  await synthesizer.drain();
+  assert.deepEqual(delivered, ['0:audio:one', '1:audio:two', '3:audio:four']);
+  assert.equal(maxInFlight, 2);
+});
+
+// ── 25. Gapless stream joins sentences and bridges a late one ────────
+
+await test('Gapless stream concatenates sentences and bridges short gaps', async () => {
+  const stream = new GaplessStream();
+  const boundaries = [];
+  stream.on('segment', ({ previous }) => boundaries.push(previous.text));
+  const chunks = [];
+  stream.on('data', (chunk) => chunks.push(chunk));
+  const ended = new Promise((resolve) => stream.on('end', resolve));
+
+  stream.append(Buffer.alloc(1920, 1), { text: 'a' });
+  await wait(70); // Next sentence is late — silence keeps the stream alive
+  assert.ok(stream.append(Buffer.alloc(1920, 2), { text: 'b' }));
+  stream.finish();
+  await ended;
+
+  const out = Buffer.concat(chunks);
+  assert.equal(out[0], 1);
+  assert.equal(out[out.length - 1], 2);
+  assert.ok(out.length > 3840, 'silence bridged the gap');
+  assert.deepEqual(boundaries, ['a']);
+  assert.equal(stream.append(Buffer.alloc(10)), false, 'ended stream refuses more audio');
+});
+
+// ── 26. Barge-in verdicts and "go on" remainder ─────────────────────
+
+await test('Barge-in classifies talk-over and keeps the unsaid remainder', async () => {
+  for (const text of ['Mm-hm.', 'uh huh', 'Yeah, right.', 'okay', 'I see']) assert.equal(classifyBargeIn(text), 'backchannel', text);
+  for (const text of ['Go on.', 'keep going', 'Jarvis, continue', 'sorry, go on']) assert.equal(classifyBargeIn(text, ['jarvis']), 'continue', text);
+  for (const text of ['', '...', 'Thank you.', 'a']) assert.equal(classifyBargeIn(text), 'noise', JSON.stringify(text));
+  for (const text of ['What about tomorrow?', 'Yeah but is it raining?']) assert.equal(classifyBargeIn(text), 'question', text);
+
+  const answers = new AnswerTracker();
+  answers.start(7, 'alice');
+  ['One.', 'Two.', 'Three.'].forEach(text => answers.addSentence('alice', text));
+  answers.markPlayed('alice', 7, 0);
+  answers.markPlayed('alice', 6, 1); // Stale task — ignored
+  assert.equal(answers.saveRemainder('alice'), 2);
+  assert.ok(answers.hasRemainder('alice'));
+  assert.deepEqual(answers.takeRemainder('alice'), ['Two.', 'Three.']);
+  assert.equal(answers.takeRemainder('alice'), null, 'remainder is taken once');
+});
+
+// ── 27. Echo of our own audio is recognized, other speech isn't ─────
+
+await test('Echo correlation matches delayed playback, not other speech', async () => {
+  // 2s of syllable-like bursts: a 200Hz tone gated on and off
+  const speechLike = (seed, gain) => {
+    let state = seed;
+    const rand = () => { state = (state * 1103515245 + 12345) % 2147483648; return state / 2147483648; };
+    const pcm = Buffer.alloc(48000 * 2 * 2);
+    let on = false, until = 0;
+    for (let i = 0; i < 96000; i++) {
+      if (i >= until) { on = !on; until = i + Math.floor((on ? 0.08 : 0.05 + 0.15 * rand()) * 48000); }
+      pcm.writeInt16LE(on ? Math.round(gain * 8000 * Math.sin(i / 38.2)) : 0, i * 2);
+    }
+    return pcm;
+  };
+  const toEnvelope = (pcm, startTime) => {
+    const envelope = new EnergyEnvelope();
+    for (let offset = 0; offset < pcm.length; offset += 1920) {
+      envelope.push(pcm.subarray(offset, offset + 1920), startTime + (offset / 1920 + 1) * 20);
+    }
+    return envelope;
+  };
+
+  const t0 = 1_000_000;
+  const played = speechLike(1, 1);
+  const reference = toEnvelope(played, t0);
+  const echo = toEnvelope(speechLike(1, 0.2), t0 + 240); // Quieter, 240ms later
+  const other = toEnvelope(speechLike(99, 1), t0 + 240);
+
+  const match = correlateEcho(echo, reference);
+  assert.ok(match.score > 0.9, `echo r=${match.score.toFixed(2)}`);
+  assert.equal(match.lagMs, 240);
+  assert.ok(correlateEcho(other, reference).score < 0.5, 'different speech does not match');
+  assert.equal(correlateEcho(echo, new EnergyEnvelope()).score, 0, 'bot silent — nothing to match');
+});
+
+// ── 28. Speech markup: pauses, say-as, SSML and plain-text fallback ──
+
+await test('Speech markup renders SSML and degrades to plain text', async () => {
+  const list = toSpeechMarkup('Two things:\n- **disk** is full\n- backup failed at 3:15 pm');
+  assert.deepEqual(list.parts.filter(p => p.break).map(p => p.break), [350, 350]);
+  assert.ok(list.parts.some(p => p.emphasis === 'disk'));
+  assert.ok(list.parts.some(p => p.sayAs === 'time' && p.text === '3:15 pm'));
+  assert.equal(renderPlainText(list), 'Two things: disk is full. backup failed at three fifteen PM');
+
+  const call = toSpeechMarkup('Call 555-123-4567 about 10.0.0.1 on 2026-10-19 & the DNS.');
+  assert.equal(call.prosody.rate, 0.9, 'digit-heavy sentence slowed');
+  assert.equal(renderPlainText(call), 'Call five five five, one two three, four five six seven about ten dot zero dot zero dot one on October nineteenth, twenty twenty-six and the DNS.');
+  const ssml = renderSSML(call, { voice: 'en-GB-RyanNeural' });
+  assert.match(ssml, /xml:lang="en-GB"/);
+  assert.match(ssml, /<prosody rate="-10%" pitch="\+0%">/);
+  assert.match(ssml, /<say-as interpret-as="telephone">555-123-4567<\/say-as>/);
+  assert.match(ssml, /<say-as interpret-as="date" format="ymd">2026-10-19<\/say-as>/);
+  assert.match(ssml, /<say-as interpret-as="characters">DNS<\/say-as>/);
+  const shouted = renderSSML(toSpeechMarkup('I DO NOT agree with the API change.'));
+  assert.doesNotMatch(shouted, /interpret-as="characters">(?:DO|NOT)</, 'emphatic capitals are not spelled');
+  assert.match(shouted, /I DO NOT agree with the <say-as interpret-as="characters">API<\/say-as> change/);
+  assert.match(renderSSML(toSpeechMarkup('Q&A <now>')), />Q&amp;A &lt;now&gt;</);
+
+  const plain = toSpeechMarkup('Just words.', { prosody: { rate: 1.1, pitch: -5 } });
+  assert.deepEqual(plain.prosody, { rate: 1.1, pitch: -5 });
+});
+
+// ── 29. Text normalization and pronunciation lexicon ────────────────
+
+await test('Normalizer expands IDs, money, units, versions, paths and lexicon words', async () => {
+  assert.equal(normalizeForSpeech('Patch CVE-2024-3094 now.'), 'Patch C V E twenty twenty-four thirty ninety-four now.');
+  assert.equal(normalizeForSpeech('Revenue hit $1.2M, up 45% from $5.50.'), 'Revenue hit one point two million dollars, up forty-five percent from five dollars and fifty cents.');
+  assert.equal(normalizeForSpeech('512MB in 200ms'), 'five hundred twelve megabytes in two hundred milliseconds');
+  assert.equal(normalizeForSpeech('5B users, 1.5bn requests, 10k rows, 2KB each'), 'five billion users, one point five billion requests, ten thousand rows, two kilobytes each');
+  assert.equal(normalizeForSpeech('Deploy v2.4.1 🚀 to https://github.com/acme/api'), 'Deploy version two point four point one to github dot com slash acme slash api');
+  assert.equal(normalizeForSpeech('Edit /etc/nginx/nginx.conf'), 'Edit slash etc slash engine x slash engine x dot conf');
+  assert.equal(normalizeForSpeech('Meet at 3:45pm on 2026-10-19, host 10.0.0.1:8080'), 'Meet at three forty-five PM on October nineteenth, twenty twenty-six, host ten dot zero dot zero dot one port eighty eighty');
+  assert.equal(normalizeForSpeech('On 10/19/2026, 105 people', { locale: 'en-GB' }), 'On the nineteenth of October, twenty twenty-six, one hundred and five people');
+  assert.equal(normalizeForSpeech('1234 open tickets, 1850 total'), 'one thousand two hundred thirty-four open tickets, one thousand eight hundred fifty total');
+  assert.equal(normalizeForSpeech('Since 1998, and on March 3rd, 2026'), 'Since nineteen ninety-eight, and on March third, twenty twenty-six');
+
+  addPronunciations({ Radare2: 'radar two', haivemind: 'hive mind' });
+  assert.equal(normalizeForSpeech('Radare2 and haivemind, not radare2x'), 'radar two and hive mind, not radare2x');
+  const markup = toSpeechMarkup('Load Radare2 at 3pm');
+  assert.equal(renderPlainText(markup), 'Load radar two at three PM');
+  assert.match(renderSSML(markup), /radar two at <say-as interpret-as="time" format="hms12">3pm<\/say-as>/);
+});
+
+// ── 30. TTS cache: content keys, LRU eviction, hit/miss counts ──────
+
+await test('TTS cache keys by provider/voice/markup and evicts least recently used', async () => {
+  const { TTSCache, ttsCacheKey } = await import('../src/tts-cache.js');
+  const dir = mkdtempSync(join(tmpdir(), 'tts-cache-'));
+  try {
+    const stopped = toSpeechMarkup('Stopped.');
+    const key = ttsCacheKey({ provider: 'edge', voice: 'en-GB-RyanNeural', markup: stopped });
+    assert.equal(key, ttsCacheKey({ provider: 'edge', voice: 'en-GB-RyanNeural', markup: toSpeechMarkup('Stopped.') }));
+    assert.notEqual(key, ttsCacheKey({ provider: 'edge', voice: 'en-US-JennyNeural', markup: stopped }));
+    assert.notEqual(key, ttsCacheKey({ provider: 'openai', voice: 'en-GB-RyanNeural', markup: stopped }));
+    assert.notEqual(key, ttsCacheKey({ provider: 'edge', voice: 'en-GB-RyanNeural', markup: toSpeechMarkup('Stopped.', { prosody: { rate: 1.2 } }) }));
+
+    const cache = new TTSCache({ dir, maxBytes: 250 });
+    cache.set('a'.repeat(64), Buffer.alloc(100, 1));
+    cache.set('b'.repeat(64), Buffer.alloc(100, 2));
+    assert.equal(cache.get('a'.repeat(64))[0], 1); // a is now most recent
+    cache.set('c'.repeat(64), Buffer.alloc(100, 3)); // Over 250 — evicts b
+    assert.equal(cache.get('b'.repeat(64)), null);
+    assert.ok(cache.has('a'.repeat(64)) && cache.has('c'.repeat(64)));
+    const stats = cache.getStats();
+    assert.deepEqual([stats.hits, stats.misses, stats.evictions, stats.entries, stats.bytes], [1, 1, 1, 2, 200]);
+
+    const reopened = new TTSCache({ dir, maxBytes: 250 });
+    assert.equal(reopened.get('c'.repeat(64))[0], 3, 'entries survive a restart');
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ── 31. Earcons: built-in sounds, per-event config, thinking loop ──
+
+await test('Earcons render as raw PCM, can be turned off, and the thinking loop ends', async () => {
+  const pcm = renderNotes([[440, 100, 1], [0, 50, 0]], 0.5);
+  assert.equal(pcm.length, 150 * 192, '48kHz stereo 16-bit');
+  let peak = 0;
+  for (let i = 0; i < pcm.length; i += 2) peak = Math.max(peak, Math.abs(pcm.readInt16LE(i)));
+  assert.ok(peak > 8000 && peak <= 16384, `peak ${peak} follows the volume`);
+  assert.equal(pcm.readInt16LE(pcm.length - 2), 0, 'rest is silent');
+
+  for (const event of EARCON_EVENTS) assert.equal(getEarcon(event)?.raw, true, event);
+  process.env.EARCON_DONE = 'off';
+  process.env.EARCON_ERROR = 'listening';
+  try {
+    assert.equal(getEarcon('done'), null);
+    assert.equal(getEarcon('error').audio, getEarcon('listening').audio, 'events can share a sound');
+  } finally {
+    delete process.env.EARCON_DONE;
+    delete process.env.EARCON_ERROR;
+  }
+
+  const loop = createThinkingLoop();
+  let cycles = 0;
+  for await (const chunk of loop) {
+    assert.equal(chunk.length % 4, 0);
+    cycles++;
+  }
+  assert.ok(cycles >= 10 && cycles <= 100, `${cycles} cycles, then ends by itself`);
+});
+
+// ── 32. Quiet-hours DMs back off and give up ────────────────────────
+
+await test('Failed alert DMs are retried with backoff a bounded number of times', async () => {
+  const { createDMBackoff } = await import('../src/alert-scheduler.js');
+  const backoff = createDMBackoff({ retryMs: 1000, maxAttempts: 3 });
+  const alert = { id: 'a1' };
+  let now = 0;
+  const attempts = [];
+  for (let tick = 0; tick < 20; tick++, now += 1000) {
+    const due = backoff.due([alert], now);
+    if (due.length === 0) continue;
+    backoff.attempted(due, now);
+    attempts.push(now);
+  }
+  assert.deepEqual(attempts, [0, 1000, 3000], 'retried after 1s, then 2s, then given up');
+
+  backoff.retain(new Set()); // No longer pending — its attempts are forgotten
+  assert.deepEqual(backoff.due([alert], now), [alert], 'counting starts over');
+});
+
+// ── 33. Alert webhook: auth, validation, rate limits ────────────────
+
+await test('Alert webhook rejects bad credentials and payloads and rate-limits callers', async () => {
+  Object.assign(process.env, {
+    ALERT_WEBHOOK_TOKEN: 'test-token-4f1c',
+    ALERT_WEBHOOK_HMAC_SECRET: 'test-hmac-9b2e',
+    ALERT_CALLER_RATE_LIMIT: '4',
+    ALERT_RATE_LIMIT: '2',
+  });
+  const { createHmac } = await import('crypto');
+  const { startAlertWebhook, validateAlert } = await import('../src/alert-webhook.js');
+
+  assert.deepEqual(validateAlert([]), ['body must be a JSON object']);
+  assert.deepEqual(validateAlert({ message: ' ', priority: 'loud', source: 7, dedupeKey: 'k'.repeat(129) }), [
+    'message required',
+    'priority must be one of: normal, urgent, critical',
+    'source must be a string',
+    'dedupeKey exceeds 128 characters',
+  ]);
+  assert.deepEqual(validateAlert({ message: 'Disk full', priority: 'urgent', source: 'cron' }), []);
+
+  const server = startAlertWebhook({ port: 0, host: '127.0.0.1' });
+  await new Promise(resolve => server.once('listening', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/alert`;
+  const post = (body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  const signed = (body, secondsAgo = 0) => {
+    const timestamp = String(Math.floor(Date.now() / 1000) - secondsAgo);
+    const signature = 'sha256=' + createHmac('sha256', 'test-hmac-9b2e').update(`${timestamp}.${JSON.stringify(body)}`).digest('hex');
+    return { 'x-alert-timestamp': timestamp, 'x-alert-signature': signature };
+  };
+  const bearer = { authorization: 'Bearer test-token-4f1c' };
+
+  try {
+    const body = { message: 'Webhook test', source: 'a' };
+    assert.equal((await post(body)).status, 401, 'no credentials');
+    assert.equal((await post(body, { authorization: 'Bearer wrong' })).status, 401, 'wrong token');
+    assert.equal((await post(body, { ...signed(body), 'x-alert-signature': 'sha256=00' })).status, 401, 'bad signature');
+    assert.equal((await post(body, signed(body, 10 * 60))).status, 401, 'signature too old');
+    assert.equal((await post({ ...body, message: 'tampered' }, signed(body))).status, 401, 'body changed after signing');
+
+    const invalid = await post({ priority: 'loud' }, bearer);
+    assert.equal(invalid.status, 400);
+    assert.deepEqual((await invalid.json()).details, ['message required', 'priority must be one of: normal, urgent, critical']);
+
+    // Per source: 'a' has 2 per window
+    assert.equal((await post(body, signed(body))).status, 200, 'signed request accepted');
+    assert.equal((await post({ ...body, message: 'Webhook test 2' }, signed({ ...body, message: 'Webhook test 2' }))).status, 200);
+    const sourceLimited = await post({ ...body, message: 'Webhook test 3' }, signed({ ...body, message: 'Webhook test 3' }));
+    assert.equal(sourceLimited.status, 429);
+    assert.ok(Number(sourceLimited.headers.get('retry-after')) > 0, 'Retry-After set');
+
+    // Per caller: the bearer caller has 4 per window whatever the source says (the 400 counted)
+    const statuses = [];
+    for (const source of ['b', 'c', 'd', 'e']) statuses.push((await post({ message: `Rotating ${source}`, source }, bearer)).status);
+    assert.deepEqual(statuses, [200, 200, 200, 429], 'rotating source does not reset the budget');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ── 34. A stream cut off mid-clip is never cached ───────────────────
+
+// The provider chain is fixed when tts.js loads: these two fakes, then an
+// unknown name. Each test says what the fakes do through fakeTTS.
+const fakeTTS = { 'test-primary': {}, 'test-backup': {}, calls: [] };
+
+async function loadTTS() {
+  const providers = await import('../src/tts-providers.js');
+  for (const name of ['test-primary', 'test-backup']) {
+    if (providers.getTTSProvider(name)) continue;
+    providers.registerTTSProvider({
+      name,
+      voiceId: (voice) => voice || 'default',
+      synthesize: async (text) => { fakeTTS.calls.push(`${name}:${text}`); return fakeTTS[name].synthesize(text); },
+      synthesizeStream: async (text) => { fakeTTS.calls.push(`${name}:stream:${text}`); return fakeTTS[name].synthesizeStream(text); },
+      listVoices: async () => [],
+      healthCheck: async () => ({ ok: true, detail: 'fake' }),
+    });
+  }
+  process.env.TTS_PROVIDER = 'test-primary';
+  process.env.TTS_FALLBACK = 'test-backup,no-such-engine';
+  return { ...providers, ...(await import('../src/tts.js')) };
+}
+
+async function drain(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+await test('Engine dying mid-stream errors the stream and leaves the cache alone', async () => {
+  const { getTTSProvider, synthesizeSpeechStream, getTTSCacheStats } = await loadTTS();
+
+  // A real spawned engine: audio first, then a non-zero exit
+  writeFileSync(process.env.PIPER_PATH, '#!/bin/sh\nprintf partial-audio\nexit ${FAKE_PIPER_EXIT:-0}\n');
+  chmodSync(process.env.PIPER_PATH, 0o755);
+  const piper = getTTSProvider('piper');
+  process.env.FAKE_PIPER_EXIT = '3';
+  try {
+    const cut = await piper.synthesizeStream('Hello there.', { markup: toSpeechMarkup('Hello there.') });
+    await assert.rejects(drain(cut), /Piper exited with code 3 mid-stream/);
+    process.env.FAKE_PIPER_EXIT = '0';
+    const whole = await drain(await piper.synthesizeStream('Hello there.', { markup: toSpeechMarkup('Hello there.') }));
+    assert.equal(whole.subarray(44).toString(), 'partial-audio', 'clean exit ends the stream after a WAV header');
+  } finally {
+    delete process.env.FAKE_PIPER_EXIT;
+  }
+
+  // Through the cache: a failed stream isn't stored, a clean one is
+  fakeTTS['test-primary'].synthesizeStream = async () => new Readable({
+    read() {
+      this.push(Buffer.from('cut-off'));
+      this.destroy(new Error('engine died'));
+    },
+  });
+  const writes = getTTSCacheStats().writes;
+  await assert.rejects(drain(await synthesizeSpeechStream('Never cached.')), /engine died/);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(getTTSCacheStats().writes, writes, 'truncated clip not cached');
+
+  fakeTTS['test-primary'].synthesizeStream = async () => Readable.from([Buffer.from('whole '), Buffer.from('clip')]);
+  assert.equal((await drain(await synthesizeSpeechStream('Never cached.'))).toString(), 'whole clip');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(getTTSCacheStats().writes, writes + 1);
+  fakeTTS.calls.length = 0;
+  const hit = await synthesizeSpeechStream('Never cached.');
+  assert.ok(Buffer.isBuffer(hit) && hit.toString() === 'whole clip', 'later use replays the whole clip');
+  assert.deepEqual(fakeTTS.calls, [], 'engine not called again');
+});
+
+// ── 35. Endpointing: classification, waits and stitching ────────────
+
+await test('Endpointer dispatches finished sentences now and stitches trailing pieces', async () => {
+  Object.assign(process.env, { ENDPOINT_STITCH_MS: '30', ENDPOINT_HOLD_MS: '60' });
+  const { classifyEndpoint, endpointWaitMs, UtteranceStitcher } = await import('../src/endpointing.js');
+
+  for (const text of ['Turn off the lights.', 'What time is it?', 'stop', 'Mandy, cancel', 'thanks']) {
+    assert.equal(classifyEndpoint(text), 'complete', text);
+  }
+  for (const text of ['turn the lights on', 'I think so', 'do that then', 'put it in']) {
+    assert.equal(classifyEndpoint(text), 'unknown', `${text} is not held long`);
+  }
+  for (const text of ['check my email and', 'because', 'open the, um', 'Remind me to,', 'So I was thinking...']) {
+    assert.equal(classifyEndpoint(text), 'incomplete', text);
+  }
+  assert.equal(classifyEndpoint(''), 'unknown');
+  assert.deepEqual(['complete', 'unknown', 'incomplete'].map(endpointWaitMs), [0, 30, 60]);
+
+  const utterances = [];
+  const stitcher = new UtteranceStitcher((userId, utterance) => utterances.push({ userId, ...utterance }));
+  const piece = (transcript, bytes = 2) => ({ transcript, audio: Buffer.alloc(bytes, 1), speech: null });
+
+  stitcher.add('u1', piece('Stop.'));
+  assert.equal(utterances.length, 1, 'complete piece dispatched at once');
+
+  stitcher.add('u1', piece('check my calendar and'));
+  stitcher.add('u2', piece('play some music'));
+  await wait(40);
+  assert.deepEqual(utterances.map(u => u.userId), ['u1', 'u2'], "u2's unknown piece waited 30ms; u1 is still held");
+  stitcher.add('u1', piece('my email.', 4));
+  const stitched = utterances[2];
+  assert.equal(stitched.transcript, 'check my calendar and my email.');
+  assert.equal(stitched.pieces, 2);
+  assert.equal(stitched.audio.length, 6, 'audio of both pieces');
+
+  // Talking again pauses the wait; nothing new (noise) restarts it
+  stitcher.add('u1', piece('and'));
+  stitcher.hold('u1');
+  await wait(90);
+  assert.equal(utterances.length, 3, 'held while they were talking');
+  stitcher.resume('u1');
+  await wait(90);
+  assert.equal(utterances.length, 4);
+  assert.equal(utterances[3].transcript, 'and');
+});
+
+// ── 36. Delegation: routing by intent, polling and cancelling agents ─
+
+await test('Only heavy intents are delegated; agent polling stops on abort', async () => {
+  const { shouldDelegate, pollAgentCompletion, cancelBackgroundAgent } = agents;
+  const seen = fakeGateway.seen;
+
+  try {
+    // Same call as handleSpeech(): the classifier's forceDelegation still has to pass the intent check
+    const routed = (transcript) => {
+      const budget = classifyIntent({ transcript });
+      return shouldDelegate(transcript, budget.type, { force: budget.meta?.forceDelegation });
+    };
+    for (const transcript of ['Clean up my inbox and archive the newsletters', 'Research the history of the Opus codec', "Let's make a plan for the launch", 'Deploy the api to staging', 'Keep an eye on the build queue']) {
+      assert.ok(routed(transcript), `delegated: ${transcript}`);
+    }
+    for (const transcript of ['What is the capital of France?', 'Can you find the weather for tomorrow?', 'Explain how DNS works', 'Check my email', 'Remind me at five to call mom', 'Hey, how are you?']) {
+      assert.ok(!routed(transcript), `answered inline: ${transcript}`);
+    }
+    assert.equal(shouldDelegate('Tell me when the build is done', 'QUERY', { force: true }), false, 'force never widens the intents');
+    assert.equal(shouldDelegate('Tell me when the build is done', 'ACTION', { force: true }), true);
+
+    assert.deepEqual(await pollAgentCompletion('hook:test:done', 5000), { completed: true, response: 'Archived 34 emails. Five need you.' });
+
+    // Stop mid-request, mid-wait between polls, and before the first poll
+    for (const key of ['hook:test:slow', 'hook:test:missing']) {
+      const controller = new AbortController();
+      setTimeout(() => controller.abort(), 50);
+      const started = Date.now();
+      const result = await pollAgentCompletion(key, 60000, controller.signal);
+      assert.equal(result.aborted, true, key);
+      assert.ok(Date.now() - started < 1000, `${key} stopped promptly`);
+    }
+    const before = seen.length;
+    assert.equal((await pollAgentCompletion('hook:test:done', 5000, AbortSignal.abort())).aborted, true);
+    assert.equal(seen.length, before, 'no request after an abort');
+
+    assert.equal(await cancelBackgroundAgent('hook:test:slow'), true);
+    assert.equal(await cancelBackgroundAgent('hook:test:gone'), false, 'gateway refusal reported');
+    assert.equal(await cancelBackgroundAgent(null), false);
+    assert.ok(seen.includes('DELETE /api/sessions/hook:test:slow'));
+  } finally {
+    gateway.closeAllConnections();
+  }
+});
+
+// ── 37. Alert queue: lifecycle, expiry, history and reload ──────────
+
+await test('Alert queue persists each state change and expires stale alerts without new ones', async () => {
+  const queue = await import('../src/alert-queue.js');
+  const since = Date.now();
+  const mine = () => queue.getPendingAlerts().filter(a => a.source === 'lifecycle-test');
+
+  const read = queue.queueAlert({ message: 'Backup finished', source: 'lifecycle-test' });
+  const dismissed = queue.queueAlert({ message: 'Cert renews in 30 days', source: 'lifecycle-test' });
+  const snoozed = queue.queueAlert({ message: 'Disk at 80%', source: 'lifecycle-test', priority: 'urgent' });
+  assert.deepEqual(mine().map(a => a.message), ['Disk at 80%', 'Backup finished', 'Cert renews in 30 days'], 'urgent first, then oldest');
+
+  assert.equal(queue.acknowledgeAlert(read.id, 'dm'), true);
+  assert.equal(queue.acknowledgeAlert(read.id), false, 'only pending alerts are acknowledged');
+  assert.equal(queue.dismissAlert(dismissed.id), true);
+  assert.equal(queue.snoozeAlert(snoozed.id, 30), true);
+  assert.deepEqual(mine(), []);
+  await wait(40);
+  assert.deepEqual(mine().map(a => a.id), [snoozed.id], 'back once the snooze runs out');
+
+  const history = queue.getAlertHistory({ since }).filter(a => a.source === 'lifecycle-test');
+  assert.deepEqual(history.map(a => [a.message, a.status]), [
+    ['Backup finished', 'acknowledged'],
+    ['Cert renews in 30 days', 'dismissed'],
+    ['Disk at 80%', 'pending'],
+  ], 'history is oldest first, any status, within the range');
+  assert.equal(history[0].deliveredVia, 'dm');
+
+  // Five hours on with nothing new queued — reading the queue is enough to expire it
+  const realNow = Date.now;
+  Date.now = () => realNow() + 5 * 60 * 60 * 1000;
+  try {
+    assert.equal(queue.hasPendingAlerts(), false);
+    assert.deepEqual(mine(), []);
+    assert.equal(queue.getAlert(snoozed.id).status, 'expired');
+  } finally {
+    Date.now = realNow;
+  }
+
+  // The JSONL log replays into the same state in a fresh process
+  const ops = readFileSync(process.env.ALERT_QUEUE_PATH, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.ok(ops.some(op => op.op === 'update' && op.id === dismissed.id && op.changes.status === 'dismissed'));
+  writeFileSync(process.env.ALERT_QUEUE_PATH, readFileSync(process.env.ALERT_QUEUE_PATH, 'utf8') + '{"op":"upd'); // Torn last line
+  const reloaded = await import('../src/alert-queue.js?reload');
+  for (const alert of [read, dismissed, snoozed]) {
+    assert.equal(reloaded.getAlert(alert.id)?.status, queue.getAlert(alert.id).status, alert.message);
+  }
+});
+
+// ── 38. Alert dedupe, grouping and escalation ──────────────────────
+
+await test('Repeated alerts collapse into one entry and escalate to urgent', async () => {
+  const queue = await import('../src/alert-queue.js');
+  const escalations = [];
+  const onEscalated = (alert, previous) => escalations.push([alert.id, previous]);
+  queue.alertEvents.on('escalated', onEscalated);
+  try {
+    const first = queue.queueAlert({ message: 'Disk at 91% on db1', source: 'dedupe-test', dedupeKey: 'disk:db1' });
+    const second = queue.queueAlert({ message: 'Disk at 93% on db1', source: 'dedupe-test', dedupeKey: 'disk:db1' });
+    assert.equal(second.id, first.id, 'same source and dedupeKey is one alert');
+    assert.equal(queue.getAlert(first.id).occurrences, 2);
+    assert.equal(queue.getAlert(first.id).message, 'Disk at 93% on db1', 'latest message wins');
+    assert.equal(queue.getAlert(first.id).priority, 'normal');
+    assert.deepEqual(escalations, []);
+
+    const other = queue.queueAlert({ message: 'Disk at 93% on db1', source: 'dedupe-other', dedupeKey: 'disk:db1' });
+    assert.notEqual(other.id, first.id, 'the key is scoped to its source');
+
+    queue.queueAlert({ message: 'Disk at 95% on db1', source: 'dedupe-test', dedupeKey: 'disk:db1' });
+    assert.equal(queue.getAlert(first.id).occurrences, 3);
+    assert.equal(queue.getAlert(first.id).priority, 'urgent', 'third repeat escalates');
+    assert.deepEqual(escalations, [[first.id, 'normal']]);
+
+    // Without a dedupeKey the message itself is the key; sender priority only ever goes up
+    const critical = queue.queueAlert({ message: 'Primary DB down', source: 'dedupe-test', priority: 'critical' });
+    queue.queueAlert({ message: 'Primary DB down', source: 'dedupe-test', priority: 'normal' });
+    assert.equal(queue.getAlert(critical.id).occurrences, 2);
+    assert.equal(queue.getAlert(critical.id).priority, 'critical');
+
+    const groups = queue.groupAlertsBySource(queue.getPendingAlerts()).filter(g => g.source.startsWith('dedupe-'));
+    assert.deepEqual(groups.map(g => [g.source, g.alerts.length, g.occurrences, g.topPriority]), [
+      ['dedupe-test', 2, 5, 'critical'],
+      ['dedupe-other', 1, 1, 'normal'],
+    ]);
+
+    // A normal alert left unacknowledged past the window escalates on its next repeat
+    const stale = queue.queueAlert({ message: 'Backup lagging', source: 'dedupe-stale' });
+    const realNow = Date.now;
+    Date.now = () => realNow() + 31 * 60 * 1000;
+    try {
+      queue.queueAlert({ message: 'Backup lagging', source: 'dedupe-stale' });
+    } finally {
+      Date.now = realNow;
+    }
+    assert.equal(queue.getAlert(stale.id).occurrences, 2);
+    assert.equal(queue.getAlert(stale.id).priority, 'urgent');
+    assert.deepEqual(escalations.map(([id]) => id), [first.id, stale.id]);
+    assert.equal(queue.groupAlertsBySource([]).length, 0);
+  } finally {
+    queue.alertEvents.off('escalated', onEscalated);
+    for (const alert of queue.getPendingAlerts()) {
+      if (alert.source.startsWith('dedupe-')) queue.dismissAlert(alert.id);
+    }
+  }
+});
+
+// ── 39. Opus decoder: downmix, gap concealment and loss stats ──────
+
+await test('Stereo downmix averages L/R and leaves duplicated mono unchanged', async () => {
+  const samples = [[1000, -3000], [32767, 32767], [-32768, -32768], [500, 500]];
+  const stereo = Buffer.alloc(samples.length * 4 + 2); // Trailing half-frame is dropped
+  samples.forEach(([l, r], i) => { stereo.writeInt16LE(l, i * 4); stereo.writeInt16LE(r, i * 4 + 2); });
+  const mono = downmixStereo(stereo);
+  assert.equal(mono.length, samples.length * 2);
+  assert.deepEqual([0, 1, 2, 3].map(i => mono.readInt16LE(i * 2)), [-1000, 32767, -32768, 500]);
+});
+
+await test('RTP gaps are concealed, capped and counted across sequence wraparound', async () => {
+  const FRAME_BYTES = 960 * 2; // 20ms of 48kHz 16-bit mono
+  const encoder = new OpusScript(48000, 2, OpusScript.Application.AUDIO);
+  const pcm = Buffer.alloc(960 * 4);
+  for (let i = 0; i < 960; i++) {
+    const v = Math.round(8000 * Math.sin(i / 10));
+    pcm.writeInt16LE(v, i * 4);
+    pcm.writeInt16LE(v, i * 4 + 2);
+  }
+  const frame = encoder.encode(pcm, 960);
+  const monoEncoder = new OpusScript(48000, 1, OpusScript.Application.AUDIO);
+  const monoFrame = monoEncoder.encode(Buffer.alloc(960 * 2), 960);
+  encoder.delete();
+  monoEncoder.delete();
+
+  // Fake receiver: RTP header (sequence at byte 2) + Opus payload
+  const receiver = { parsePacket: (buffer) => Buffer.from(buffer.subarray(12)) };
+  tapRtpHeaders(receiver);
+  tapRtpHeaders(receiver); // Idempotent
+  const rtp = (sequence, payload = frame) => {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(sequence, 2);
+    return receiver.parsePacket(Buffer.concat([header, payload]));
+  };
+
+  const decoder = new OpusDecoder();
+  const out = [];
+  decoder.on('data', chunk => out.push(chunk.length));
+  const send = (packet) => new Promise(resolve => decoder.write(packet, resolve));
+
+  await send(rtp(65534));
+  await send(rtp(65535));
+  await send(rtp(0));                        // Wraps without loss
+  await send(rtp(3));                        // 1, 2 lost → concealed
+  await send(rtp(3));                        // Duplicate
+  await send(rtp(2));                        // Late — already concealed
+  await send(rtp(60, monoFrame));            // 56 lost → 5 PLC, 45 silence, rest dropped
+  await send(Buffer.from([0x03, 0x00]));     // No RTP header, won't decode → concealed
+  const frameCount = out.reduce((sum, n) => sum + n, 0) / FRAME_BYTES;
+
+  const stats = decoder.getStats();
+  assert.equal(stats.packets, 5);
+  assert.equal(stats.stereoPackets, 4, 'mono packet has no TOC stereo flag');
+  assert.equal(stats.late, 2);
+  assert.equal(stats.lost, 58);
+  assert.equal(stats.concealed, 2 + 5 + 1);
+  assert.equal(stats.silenced, 45);
+  assert.equal(stats.decodeErrors, 1);
+  assert.equal(stats.lossRate, (58 + 1) / (5 + 1 + 58));
+  assert.equal(frameCount, 5 + 8 + 45, 'every decoded or filled frame is 20ms of audio');
+  decoder.destroy();
+  const idle = new OpusDecoder();
+  assert.equal(idle.getStats().lossRate, 0, 'no packets, no loss');
+  idle.destroy();
+});
+
+// ── 40. Playback: MP3 duration and controller lifecycle ────────────
+
+await test('MP3 duration counts Layer III frames, skipping ID3 and the Xing frame', async () => {
+  const mp3 = (header, length, count, { xing = false } = {}) => Buffer.concat(Array.from({ length: count }, (_, i) => {
+    const frame = Buffer.alloc(length);
+    Buffer.from(header).copy(frame);
+    if (xing && i === 0) frame.write('Xing', 36, 'latin1');
+    return frame;
+  }));
+  const mpeg1 = [0xff, 0xfb, 0x90, 0x00]; // 128kbps, 44.1kHz → 417-byte frames of 1152 samples
+  const mpeg2 = [0xff, 0xf3, 0x84, 0x00]; // 64kbps, 24kHz → 192-byte frames of 576 samples
+
+  assert.equal(getMp3DurationMs(mp3(mpeg1, 417, 10)), Math.round(10 * 1152 / 44100 * 1000));
+  assert.equal(getMp3DurationMs(mp3(mpeg1, 417, 11, { xing: true })), Math.round(10 * 1152 / 44100 * 1000));
+  assert.equal(getMp3DurationMs(mp3(mpeg2, 192, 5)), 120);
+
+  const id3 = Buffer.alloc(10 + 300);
+  id3.write('ID3', 0, 'latin1');
+  id3[9] = 300 & 0x7f; id3[8] = 300 >> 7; // Syncsafe size
+  id3.fill(0xff, 10); // Sync-like bytes inside the tag must not count
+  assert.equal(getMp3DurationMs(Buffer.concat([id3, mp3(mpeg2, 192, 5)])), 120);
+
+  assert.equal(getMp3DurationMs(Buffer.from('RIFF....WAVEfmt not an mp3')), null);
+  assert.equal(getMp3DurationMs(Buffer.alloc(0)), null);
+});
+
+/** Stand-in for the Discord AudioPlayer: state transitions are driven by the test */
+class FakePlayer extends EventEmitter {
+  constructor({ stuck = false, inert = false } = {}) {
+    super();
+    this.stuck = stuck; // stop() does nothing
+    this.inert = inert; // play() never leaves Idle
+    this.state = { status: AudioPlayerStatus.Idle };
+  }
+  setState(next) {
+    const old = this.state;
+    this.state = next;
+    this.emit('stateChange', old, next);
+  }
+  play(resource) { if (!this.inert) this.setState({ status: AudioPlayerStatus.Buffering, resource }); }
+  begin() { this.setState({ status: AudioPlayerStatus.Playing, resource: this.state.resource }); }
+  end() { this.setState({ status: AudioPlayerStatus.Idle }); }
+  stop() {
+    if (this.stuck || this.state.status === AudioPlayerStatus.Idle) return false;
+    this.end();
+    return true;
+  }
+  pause() {
+    if (this.state.status !== AudioPlayerStatus.Playing) return false;
+    this.setState({ status: AudioPlayerStatus.Paused, resource: this.state.resource });
+    return true;
+  }
+  unpause() {
+    if (this.state.status !== AudioPlayerStatus.Paused) return false;
+    this.setState({ status: AudioPlayerStatus.Playing, resource: this.state.resource });
+    return true;
+  }
+}
+
+function recordPlayback(controller) {
+  const events = [];
+  for (const name of ['started', 'sentence', 'finished', 'interrupted', 'paused', 'resumed', 'failed']) {
+    controller.on(name, (payload) => events.push([name, payload.metadata?.text ?? payload.metadata?.id]));
+  }
+  return events;
+}
+
+await test('Playback controller resolves each clip once with its outcome', async () => {
+  const player = new FakePlayer();
+  const playback = new PlaybackController(player);
+  const events = recordPlayback(playback);
+  const second = Buffer.alloc(192 * 1000); // 1s of raw 48kHz stereo s16le
+
+  const first = playback.play(second, { text: 'Hello there.' }, { raw: true });
+  assert.equal(playback.isActive, true);
+  assert.equal(playback.metadata.text, 'Hello there.');
+  player.begin();
+  player.end();
+  const done = await first;
+  assert.equal(done.status, 'finished');
+  assert.equal(done.durationMs, 1000);
+  assert.deepEqual(events, [['started', 'Hello there.'], ['finished', 'Hello there.'], ['sentence', 'Hello there.']]);
+  assert.equal(playback.isActive, false);
+
+  // Replaced by the next clip before it finished
+  events.length = 0;
+  const replaced = playback.play(second, { id: 'a' }, { raw: true });
+  player.begin();
+  const next = playback.play(second, { id: 'b' }, { raw: true });
+  assert.equal((await replaced).status, 'interrupted');
+  player.begin();
+
+  // Pause / resume, then stop
+  assert.equal(playback.pause(), true);
+  assert.equal(playback.isPaused, true);
+  assert.equal(playback.pause(), false, 'already paused');
+  assert.equal(playback.resume(), true);
+  assert.equal(playback.resume(), false, 'not paused');
+  assert.equal(playback.stop(), true);
+  assert.equal((await next).status, 'interrupted');
+  assert.equal(playback.stop(), false, 'nothing left to stop');
+  assert.deepEqual(events, [
+    ['started', 'a'], ['interrupted', 'a'], ['started', 'b'],
+    ['paused', 'b'], ['resumed', 'b'], ['interrupted', 'b'],
+  ], 'only finished clips count as spoken sentences');
+});
+
+await test('Playback controller reports gapless sentence boundaries and settles stalled clips', async () => {
+  const realSetTimeout = globalThis.setTimeout;
+  const watchdogs = [];
+  globalThis.setTimeout = (fn, ms) => { watchdogs.push({ fn, ms }); return realSetTimeout(() => {}, 0); };
+  try {
+    // Gapless stream: each 'segment' closes the previous sentence
+    const player = new FakePlayer();
+    const playback = new PlaybackController(player);
+    const events = recordPlayback(playback);
+    const stream = new PassThrough();
+    const turn = playback.play(stream, { text: 'One.' }, { raw: true });
+    assert.equal(watchdogs.at(-1).ms, 5 * 60 * 1000, 'streams get the long watchdog');
+    player.begin();
+    stream.emit('segment', { metadata: { text: 'Two.' }, previous: { text: 'One.' } });
+    assert.equal(playback.metadata.text, 'Two.');
+    player.end();
+    assert.equal((await turn).status, 'finished');
+    assert.deepEqual(events, [['started', 'One.'], ['sentence', 'One.'], ['finished', 'Two.'], ['sentence', 'Two.']]);
+
+    // Known duration: watchdog at duration + slack, then gives up on a stuck player
+    const stuck = new FakePlayer({ stuck: true });
+    const stalled = new PlaybackController(stuck);
+    const failed = [];
+    stalled.on('failed', (payload) => failed.push(payload.error.message));
+    const clip = stalled.play(Buffer.alloc(192 * 2000), { id: 'stuck' }, { raw: true });
+    stuck.begin();
+    assert.equal(watchdogs.at(-1).ms, 2000 + 5000);
+    watchdogs.at(-1).fn();
+    assert.equal((await clip).status, 'error');
+    assert.deepEqual(failed, ['Playback watchdog']);
+
+    // A clip the player never picked up is settled by stop() itself
+    const inert = new PlaybackController(new FakePlayer({ inert: true }));
+    const never = inert.play(Buffer.alloc(192 * 100), { id: 'never' }, { raw: true });
+    assert.equal(inert.stop(), true);
+    assert.equal((await never).status, 'interrupted');
+  } finally {
+    globalThis.setTimeout = realSetTimeout;
+  }
+});
+
+await test('WAV and other non-MP3 buffers never get a length made up from sync-like bytes', async () => {
+  // 20s of 22050Hz mono PCM whose samples look like MPEG frame headers
+  const wav = (seconds, dataSize) => {
+    const pcm = Buffer.alloc(22050 * 2 * seconds);
+    for (let i = 0; i < pcm.length; i += 417) Buffer.from([0xff, 0xfb, 0x90, 0x00]).copy(pcm, i);
+    const header = Buffer.alloc(44);
+    header.write('RIFF', 0);
+    header.writeUInt32LE(36 + pcm.length, 4);
+    header.write('WAVEfmt ', 8);
+    header.writeUInt32LE(16, 16);
+    header.writeUInt16LE(1, 20);
+    header.writeUInt16LE(1, 22);
+    header.writeUInt32LE(22050, 24);
+    header.writeUInt32LE(22050 * 2, 28);
+    header.writeUInt16LE(2, 32);
+    header.writeUInt16LE(16, 34);
+    header.write('data', 36);
+    header.writeUInt32LE(dataSize ?? pcm.length, 40);
+    return Buffer.concat([header, pcm]);
+  };
+  const long = wav(20);
+  assert.equal(getMp3DurationMs(long), null);
+  assert.equal(getWavDurationMs(long), 20000);
+  assert.equal(getWavDurationMs(wav(3, 0xffffffff)), 3000, 'streamed WAV (as cached from Piper) runs to the end');
+  const ogg = Buffer.concat([Buffer.from('OggS'), long.subarray(44)]);
+  assert.equal(getMp3DurationMs(ogg), null);
+  assert.equal(getWavDurationMs(ogg), null);
+
+  // Played through the controller, the watchdog waits for the real length
+  const ffmpeg = join(scratchDir, 'ffmpeg'); // createAudioResource probes for ffmpeg to decode WAV/MP3
+  writeFileSync(ffmpeg, '#!/bin/sh\nif [ "$1" = -h ]; then echo "ffmpeg version test Copyright"; exit 0; fi\ncat >/dev/null\n');
+  chmodSync(ffmpeg, 0o755);
+  const realPath = process.env.PATH;
+  const realSetTimeout = globalThis.setTimeout;
+  const watchdogs = [];
+  process.env.PATH = `${scratchDir}:${realPath}`;
+  globalThis.setTimeout = (fn, ms) => { watchdogs.push(ms); return realSetTimeout(() => {}, 0); };
+  try {
+    const player = new FakePlayer();
+    const playback = new PlaybackController(player);
+    const clip = playback.play(long, { text: 'A long briefing.' });
+    assert.deepEqual(watchdogs, [20000 + 5000]);
+    player.begin();
+    player.end();
+    const result = await clip;
+    assert.deepEqual([result.status, result.durationMs], ['finished', 20000]);
+  } finally {
+    globalThis.setTimeout = realSetTimeout;
+    process.env.PATH = realPath;
+  }
+});
+
+// ── 41. TTS providers: registry and fallback chain ─────────────────
+
+await test('Provider registry validates, replaces and lists engines', async () => {
+  const { registerTTSProvider, getTTSProvider, listTTSProviders, listVoices } = await loadTTS();
+  for (const name of ['edge', 'openai', 'elevenlabs', 'azure', 'piper', 'http', 'test-primary', 'test-backup']) {
+    assert.ok(listTTSProviders().includes(name), name);
+  }
+  const complete = {
+    name: 'test-registry',
+    synthesize: async () => Buffer.from('one'),
+    listVoices: async () => [{ id: 'v1', name: 'Voice One' }],
+    healthCheck: async () => ({ ok: true, detail: 'fake' }),
+  };
+  for (const method of ['synthesize', 'listVoices', 'healthCheck']) {
+    const { [method]: _, ...partial } = complete;
+    assert.throws(() => registerTTSProvider(partial), new RegExp(`test-registry is missing ${method}\\(\\)`));
+  }
+  assert.equal(getTTSProvider('test-registry'), null, 'invalid providers are not registered');
+
+  registerTTSProvider(complete);
+  registerTTSProvider({ ...complete, listVoices: async () => [{ id: 'v2', name: 'Voice Two' }] });
+  assert.equal(listTTSProviders().filter(name => name === 'test-registry').length, 1, 'same name replaces');
+  assert.deepEqual((await listVoices('test-registry')).map(v => v.id), ['v2']);
+  await assert.rejects(listVoices('no-such-engine'), /Unknown TTS provider "no-such-engine"/);
+});
+
+await test('Speech falls back along TTS_PROVIDER then TTS_FALLBACK after a provider throws', async () => {
+  const { getTTSProvider, synthesizeSpeech, synthesizeSpeechStream, checkTTSHealth } = await loadTTS();
+  const fail = (name) => async () => { throw new Error(`${name} is down`); };
+  const primary = fakeTTS['test-primary'];
+  const backup = fakeTTS['test-backup'];
+  try {
+    primary.synthesize = fail('primary');
+    backup.synthesize = async (text) => Buffer.from(`backup:${text}`);
+    fakeTTS.calls.length = 0;
+    assert.equal((await synthesizeSpeech('Fallback in order.')).toString(), 'backup:Fallback in order.');
+    assert.deepEqual(fakeTTS.calls, ['test-primary:Fallback in order.', 'test-backup:Fallback in order.']);
+
+    primary.synthesize = async (text) => Buffer.from(`primary:${text}`);
+    fakeTTS.calls.length = 0;
+    assert.equal((await synthesizeSpeech('Primary first.')).toString(), 'primary:Primary first.');
+    assert.deepEqual(fakeTTS.calls, ['test-primary:Primary first.'], 'backup untouched while the primary works');
+
+    primary.synthesize = fail('primary');
+    backup.synthesize = fail('backup');
+    assert.equal(await synthesizeSpeech('Nobody home.'), null, 'unknown names in the chain are skipped, then give up');
+
+    // Streaming follows the same order and surfaces the last engine's error
+    primary.synthesizeStream = fail('primary');
+    backup.synthesizeStream = async () => Readable.from([Buffer.from('backup stream')]);
+    fakeTTS.calls.length = 0;
+    assert.equal((await drain(await synthesizeSpeechStream('Stream fallback.'))).toString(), 'backup stream');
+    assert.deepEqual(fakeTTS.calls, ['test-primary:stream:Stream fallback.', 'test-backup:stream:Stream fallback.']);
+    backup.synthesizeStream = fail('backup');
+    await assert.rejects(synthesizeSpeechStream('Stream nobody home.'), /backup is down/);
+
+    // Health covers the chain in order; a throwing check reports not ok
+    const backupProvider = getTTSProvider('test-backup');
+    const healthCheck = backupProvider.healthCheck;
+    backupProvider.healthCheck = fail('backup');
+    try {
+      assert.deepEqual(await checkTTSHealth(), [
+        { name: 'test-primary', ok: true, detail: 'fake' },
+        { name: 'test-backup', ok: false, detail: 'backup is down' },
+      ]);
+    } finally {
+      backupProvider.healthCheck = healthCheck;
+    }
+  } finally {
+    fakeTTS['test-primary'] = {};
+    fakeTTS['test-backup'] = {};
+  }
+});
+
+await test('Request timeout covers the wait for headers, not a slowly streamed body', async () => {
+  const { getTTSProvider } = await loadTTS();
+  const server = createServer((req, res) => {
+    if (req.url === '/slow-headers') return setTimeout(() => res.end('late'), 400);
+    res.writeHead(200, { 'Content-Type': 'audio/mpeg' });
+    let sent = 0;
+    const timer = setInterval(() => {
+      res.write(`chunk${sent++} `);
+      if (sent === 5) { clearInterval(timer); res.end(); }
+    }, 100);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // TTS_REQUEST_TIMEOUT_MS is 150 here — the half-second body outlasts it
+  try {
+    const http = getTTSProvider('http');
+    process.env.TTS_HTTP_URL = `${base}/slow-body`;
+    const body = await drain(await http.synthesizeStream('Take your time.'));
+    assert.equal(body.toString(), 'chunk0 chunk1 chunk2 chunk3 chunk4 ', 'body outlives the header timeout');
+
+    process.env.TTS_HTTP_URL = `${base}/slow-headers`;
+    await assert.rejects(http.synthesizeStream('Too slow.'), /HTTP TTS timed out/);
+  } finally {
+    delete process.env.TTS_HTTP_URL;
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ── 42. Response budget enforcement ────────────────────────────────
+
+await test('Budget tracker admits the first sentence, then cuts off for good', async () => {
+  assert.equal(estimateSpokenSeconds(''), 0);
+  assert.equal(estimateSpokenSeconds('  one two   three four five '), 2, '2.5 words a second');
+
+  // Sentence cap
+  const chat = classifyIntent({ transcript: 'thanks' });
+  assert.deepEqual([chat.maxSentences, chat.spillover], [2, false]);
+  const capped = createBudgetTracker(chat);
+  assert.deepEqual(['You are welcome.', 'Any time.', 'Happy to help.'].map(s => capped.admit(s)), [true, true, false]);
+  assert.deepEqual([capped.sentences, capped.exceeded, capped.spilled], [2, true, []], 'no spillover for chat');
+
+  // Time cap: an over-long first sentence still plays, nothing after it does
+  const budget = { maxSentences: 10, maxSpokenSeconds: 4, spillover: true };
+  const long = 'one two three four five six seven eight nine ten twelve words.';
+  const timed = createBudgetTracker(budget);
+  assert.equal(timed.admit(long), true, 'first sentence is never dropped');
+  assert.equal(timed.admit('Short.'), false);
+  assert.equal(timed.admit('Ok.'), false, 'stays exceeded once over');
+  assert.deepEqual(timed.spilled, ['Short.', 'Ok.'], 'rejected sentences kept for spillover');
+  assert.equal(timed.spokenSeconds, estimateSpokenSeconds(long));
+
+  const fits = createBudgetTracker(budget);
+  assert.deepEqual(['Five words in this one.', 'Two more.', 'And four more words.'].map(s => fits.admit(s)), [true, true, false]);
+  assert.equal(fits.spokenSeconds, 2.8);
+});
+
+// ── 43. Channel registry and resolution ────────────────────────────
+
+await test('Channel registry resolves names, aliases and voice channels, and survives bad edits', async () => {
+  const registryPath = join(scratchDir, 'channels.json');
+  writeFileSync(registryPath, JSON.stringify({
+    discord: {
+      '111': { name: 'security', aliases: ['sec', 'Incident Room'], directive: 'directives/security.md', voiceChannelId: '900' },
+      '222': { name: 'gibson' },
+    },
+    voiceChannels: {
+      '900': { name: 'war room', defaultContext: 'security' },
+      '901': { name: 'lounge' },
+    },
+  }));
+  const registry = loadChannelRegistry(registryPath);
+  assert.deepEqual(listChannels(registry), { contexts: ['security', 'gibson'], voiceChannels: ['war room', 'lounge'] });
+
+  const security = { channelId: '111', channelName: 'security', directivePath: 'directives/security.md', voiceChannelId: '900' };
+  assert.deepEqual(resolveChannel('Security', registry), security);
+  assert.deepEqual(resolveChannel(' incident room ', registry), security, 'aliases match case-insensitively');
+  assert.deepEqual(resolveChannel('gibson', registry), { channelId: '222', channelName: 'gibson', directivePath: null, voiceChannelId: null });
+  assert.deepEqual(resolveChannel('war room', registry), { ...security, channelName: 'war room' }, 'voice channel carries its default context');
+  assert.deepEqual(resolveChannel('lounge', registry), { channelId: null, channelName: 'lounge', directivePath: null, voiceChannelId: '901' });
+  assert.equal(resolveChannel('kitchen', registry), null);
+  assert.equal(resolveChannel('', registry), null);
+  assert.equal(resolveChannel('security', null), null);
+
+  const move = detectChannelCommand('Go to the war room.');
+  assert.deepEqual([move.action, move.target], ['move', 'war room']);
+  assert.deepEqual(resolveChannel(move.target, registry).voiceChannelId, '900');
+  assert.equal(detectChannelCommand('Where am I?').action, 'query');
+  assert.deepEqual([detectChannelCommand('focus on gibson').action, detectChannelCommand('focus on gibson').target], ['focus', 'gibson']);
+
+  // A half-saved edit or a deleted file keeps the last good registry
+  writeFileSync(registryPath, '{"discord": {');
+  assert.equal(loadChannelRegistry(registryPath), registry);
+  assert.equal(loadChannelRegistry(join(scratchDir, 'no-such-channels.json')), registry);
+  writeFileSync(registryPath, JSON.stringify({ discord: { '333': { name: 'ops' } } }));
+  const reloaded = loadChannelRegistry(registryPath);
+  assert.deepEqual(reloaded, { discord: { '333': { name: 'ops' } }, voiceChannels: {} }, 'missing sections default to empty');
+  assert.equal(resolveChannel('security', reloaded), null);
+});
+
+// ── 44. Alert briefing commands ────────────────────────────────────
+
+await test('Briefing commands depend on the state and prefer the most specific action', async () => {
+  const offered = (text) => detectBriefingCommand(text, 'offered')?.action ?? null;
+  const reading = (text) => detectBriefingCommand(text, 'reading')?.action ?? null;
+
+  assert.deepEqual(['Yes.', 'brief me', "let's hear them", 'what happened'].map(offered), ['start', 'start', 'start', 'start']);
+  assert.deepEqual(['No thanks.', 'maybe later', 'not now'].map(offered), ['decline', 'decline', 'decline']);
+  assert.equal(offered('next'), null, 'reading commands mean nothing until the briefing starts');
+
+  const cases = {
+    'Next.': 'next',
+    'got it': 'next',
+    'skip': 'skip',
+    'say that again': 'repeat',
+    'tell me more': 'details',
+    'dismiss that': 'dismiss',
+    "that's all": 'stop',
+    'post it to text, next': 'post',
+    'skip, actually dismiss it': 'dismiss',
+    'snooze that, then next': 'snooze',
+  };
+  for (const [text, action] of Object.entries(cases)) assert.equal(reading(text), action, text);
+
+  assert.equal(reading('what is the weather going to be like in Boston tomorrow'), null, 'long questions go to the brain');
+  assert.equal(reading('what is the weather'), null);
+  assert.equal(reading(''), null);
+  assert.deepEqual(detectBriefingCommand('snooze that for 20 minutes', 'reading'), { action: 'snooze', durationMs: 20 * 60 * 1000 });
+});
+
+await test('Snooze durations parse digits, number words and half hours', async () => {
+  const MIN = 60 * 1000;
+  assert.equal(parseSnoozeDuration('snooze it for 20 minutes'), 20 * MIN);
+  assert.equal(parseSnoozeDuration('snooze for 2 hrs'), 120 * MIN);
+  assert.equal(parseSnoozeDuration('remind me in an hour'), 60 * MIN);
+  assert.equal(parseSnoozeDuration('snooze for fifteen mins'), 15 * MIN);
+  assert.equal(parseSnoozeDuration('snooze for forty-five minutes'), 45 * MIN);
+  assert.equal(parseSnoozeDuration('Snooze that for half an hour'), 30 * MIN);
+  assert.equal(parseSnoozeDuration('snooze that'), 60 * MIN, 'defaults to an hour');
+  assert.equal(parseSnoozeDuration('snooze for 0 minutes'), 60 * MIN, 'zero falls back to the default');
+  assert.deepEqual([MIN, 20 * MIN, 60 * MIN, 90 * MIN].map(describeDuration), ['1 minute', '20 minutes', 'an hour', '1.5 hours']);
+});
+
+// ── 45. User profiles and alert routing ────────────────────────────
+
+await test('Profiles fill in defaults for allowed users and route alerts by source and priority', async () => {
+  const { loadUserProfiles, getUserProfile, getAlertRecipients } = await import('../src/user-profiles.js');
+  const { WAKE_WORD_PHRASES } = await import('../src/wakeword.js');
+  const sessionUser = process.env.SESSION_USER || 'mandy-voice-user';
+  const profilesPath = join(scratchDir, 'users.json');
+  writeFileSync(profilesPath, JSON.stringify({
+    users: {
+      '100': { name: 'Ana', voice: { edge: 'en-GB-SoniaNeural' }, earcons: false },
+      '200': { name: 'Ben', wakeWords: [' Hey Jarvis '], dmUserId: '299', alerts: { sources: ['cron'], minPriority: 'urgent' } },
+      '300': { name: 'Cy', sessionUser: 'cy-session', alerts: { enabled: false, minPriority: 'bogus' } },
+      '999': { name: 'Stranger' },
+    },
+  }));
+  const profiles = loadUserProfiles(profilesPath, ['100', '200', '300', '400']);
+  assert.deepEqual([...profiles.keys()], ['100', '200', '300', '400'], 'ALLOWED_USERS order; extra profiles ignored');
+  assert.equal(getUserProfile('999'), null, 'a profile alone never grants access');
+
+  const [ana, ben, cy, dee] = ['100', '200', '300', '400'].map(getUserProfile);
+  assert.equal(ana.sessionUser, sessionUser, 'primary user shares the text session');
+  assert.equal(ben.sessionUser, `${sessionUser}-200`);
+  assert.equal(cy.sessionUser, 'cy-session');
+  assert.deepEqual(ana.voice, { edge: 'en-GB-SoniaNeural' });
+  assert.deepEqual([ana.earcons, ben.earcons], [false, null]);
+  assert.deepEqual(ben.wakeWords, ['hey jarvis']);
+  assert.deepEqual(ana.wakeWords, WAKE_WORD_PHRASES);
+  assert.deepEqual([ana.dmUserId, ben.dmUserId], ['100', '299']);
+  assert.deepEqual(dee, { ...dee, name: null, voice: {}, alerts: { enabled: true, sources: ['*'], minPriority: 'normal' } });
+  assert.deepEqual(cy.alerts, { enabled: false, sources: ['*'], minPriority: 'normal' }, 'unknown priority falls back to normal');
+
+  const recipients = (alert) => getAlertRecipients(alert).map(p => p.name || p.id);
+  assert.deepEqual(recipients({ source: 'security', priority: 'normal' }), ['Ana', '400']);
+  assert.deepEqual(recipients({ source: 'cron', priority: 'normal' }), ['Ana', '400'], 'below Ben\'s minimum priority');
+  assert.deepEqual(recipients({ source: 'cron', priority: 'critical' }), ['Ana', 'Ben', '400']);
+  assert.deepEqual(recipients({ source: 'agent', priority: 'normal', userId: '300' }), ['Cy'], 'tagged alerts reach only their user, even with alerts off');
+
+  // A broken file keeps the last good profiles; no file means env defaults for everyone
+  writeFileSync(profilesPath, '{"users": ');
+  assert.equal(loadUserProfiles(profilesPath, ['100']), profiles);
+  const defaults = loadUserProfiles(join(scratchDir, 'no-such-users.json'), ['100']);
+  assert.deepEqual([...defaults.keys()], ['100']);
+  assert.equal(getUserProfile('100').name, null);
+  assert.equal(getUserProfile('200'), null);
+});
+
+// ── 46. Voice activity detection ───────────────────────────────────
+
+/** 48kHz 16-bit mono PCM of `ms` milliseconds from a sample function */
+function synthPcm(ms, sample) {
+  const count = 48 * ms;
+  const pcm = Buffer.alloc(count * 2);
+  for (let i = 0; i < count; i++) pcm.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample(i)))), i * 2);
+  return pcm;
+}
+const vowel = (amp) => (i) => amp * (Math.sin(2 * Math.PI * 150 * i / 48000) + 0.5 * Math.sin(2 * Math.PI * 300 * i / 48000) + 0.3 * Math.sin(2 * Math.PI * 450 * i / 48000));
+const hiss = (amp) => {
+  let seed = 7;
+  return () => amp * (((seed = (seed * 1103515245 + 12345) & 0x7fffffff) / 0x7fffffff) * 2 - 1);
+};
+const hush = () => 0;
+
+await test('VAD finds speech regions, bridges short pauses and pads the trim', async () => {
+  const FRAME_BYTES = 1920;
+  const clip = Buffer.concat([synthPcm(300, hush), synthPcm(500, vowel(3000)), synthPcm(100, hush), synthPcm(400, vowel(3000)), synthPcm(600, hush)]);
+  const vad = new VoiceActivityDetector();
+  vad.push(clip);
+  const summary = vad.summarize();
+  assert.equal(summary.totalMs, 1900);
+  assert.equal(summary.speechRatio, 1, '100ms pause is inside the hangover');
+  assert.equal(summary.speechMs, 1000 + 180, 'speech plus hangover');
+  assert.equal(summary.startByte, (15 - 5) * FRAME_BYTES, '100ms lead-in before the first speech frame');
+  assert.equal(summary.endByte, (15 + 59 + 10) * FRAME_BYTES, '200ms after the last');
+  assert.equal(trimSilence(clip, summary).length, summary.endByte - summary.startByte);
+
+  // Same audio in odd-sized chunks gives the same answer
+  const chunked = new VoiceActivityDetector();
+  for (let offset = 0; offset < clip.length; offset += 1001) chunked.push(clip.subarray(offset, offset + 1001));
+  assert.deepEqual(chunked.summarize(), summary);
+
+  // A long pause ends the region; the gap lowers the ratio
+  const split = new VoiceActivityDetector();
+  split.push(Buffer.concat([synthPcm(300, vowel(3000)), synthPcm(600, hush), synthPcm(300, vowel(3000))]));
+  assert.ok(split.summarize().speechRatio < 0.7, `ratio ${split.summarize().speechRatio}`);
+
+  // A 40ms click never opens a region
+  const click = new VoiceActivityDetector();
+  click.push(Buffer.concat([synthPcm(200, hush), synthPcm(40, vowel(3000)), synthPcm(400, hush)]));
+  assert.deepEqual(click.summarize(), { totalMs: 640, speechMs: 0, speechRatio: 0, startByte: 0, endByte: 0, noiseFloor: 30 });
+  assert.equal(trimSilence(clip, click.summarize()).length, 0);
+});
+
+await test('VAD rejects hiss and adapts its noise floor across utterances', async () => {
+  const vad = new VoiceActivityDetector();
+  vad.push(synthPcm(1000, hiss(3000)));
+  const noisy = vad.summarize();
+  assert.equal(noisy.speechMs, 0, 'loud but flat, high-crossing noise is not speech');
+  assert.ok(noisy.noiseFloor > 500, `floor rose to ${noisy.noiseFloor}`);
+
+  // The floor carries over reset(): quiet speech under a loud fan doesn't trip the gate
+  vad.reset();
+  vad.push(synthPcm(500, vowel(800)));
+  assert.equal(vad.summarize().speechMs, 0);
+
+  // Once the room is quiet again the same voice gets through
+  vad.reset();
+  vad.push(synthPcm(1000, hush));
+  assert.equal(vad.summarize().noiseFloor, 30, 'floor falls fast, down to its minimum');
+  vad.reset();
+  vad.push(Buffer.concat([synthPcm(500, vowel(800)), synthPcm(300, hush)]));
+  assert.ok(vad.summarize().speechMs >= 500);
+});
+
+// ── 47. Streaming STT session ──────────────────────────────────────
+
+await test('Streaming transcriber buffers early audio, emits partials and resolves on close', async () => {
+  const { WebSocketServer } = await import('ws');
+  const sessions = [];
+  const server = new WebSocketServer({
+    host: '127.0.0.1',
+    port: 0,
+    verifyClient: ({ req }) => !req.url.includes('sample_rate=8000'), // Stands in for a server that refuses us
+  });
+  await new Promise(resolve => server.once('listening', resolve));
+  server.on('connection', (ws, req) => {
+    const session = { url: req.url, bytes: 0, finished: false };
+    sessions.push(session);
+    if (req.url.includes('sample_rate=22050')) { // Drops the user mid-sentence
+      ws.send(JSON.stringify({ type: 'final', text: 'turn off the' }));
+      return ws.close();
+    }
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        session.bytes += data.length;
+        if (session.bytes === data.length) ws.send(JSON.stringify({ type: 'partial', text: 'hey travis' }));
+        return;
+      }
+      if (JSON.parse(data.toString()).type !== 'finish') return;
+      session.finished = true;
+      ws.send(JSON.stringify({ type: 'final', text: 'Hey travis, check the hive mind.' }));
+      ws.send(JSON.stringify({ type: 'partial', text: 'thanks' }));
+      ws.send(JSON.stringify({ type: 'final', text: '' }));
+      ws.close();
+    });
+  });
+  Object.assign(process.env, { STT_STREAMING_PROVIDER: 'local', STT_STREAM_URL: `ws://127.0.0.1:${server.address().port}/stream` });
+
+  try {
+    const { createStreamingTranscriber, wakeWordKeywords, STREAMING_STT_ENABLED } = await import('../src/stt.js');
+    assert.equal(STREAMING_STT_ENABLED, true);
+    assert.deepEqual(wakeWordKeywords(['mandy', 'hey mandy', ' Hey JARVIS ', '']), ['Mandy', 'Jarvis'], 'names to boost, once each');
+
+    const stt = createStreamingTranscriber({ sampleRate: 16000 });
+    const partials = [];
+    const finals = [];
+    stt.on('partial', text => partials.push(text));
+    stt.on('final', text => finals.push(text));
+    stt.write(Buffer.alloc(640)); // Before the socket opens — held, then sent
+    stt.write(Buffer.alloc(640));
+    await wait(100);
+    assert.deepEqual(partials, ['hey Mandy'], 'interim text is post-processed');
+    const transcript = await stt.finish();
+    assert.equal(transcript, 'Hey Mandy, check the haivemind.', 'an empty final clears the interim words');
+    assert.deepEqual(finals, ['Hey Mandy, check the haivemind.']);
+    assert.deepEqual(partials.slice(1), ['Hey Mandy, check the haivemind.', 'Hey Mandy, check the haivemind. thanks', 'Hey Mandy, check the haivemind.']);
+    assert.deepEqual([sessions[0].url, sessions[0].bytes, sessions[0].finished], ['/stream?sample_rate=16000', 1280, true]);
+    assert.equal(await stt.finish(), transcript, 'finish after close returns the same text');
+    stt.write(Buffer.alloc(640)); // Ignored once done
+
+    // Refused connection: the error surfaces and finish() rejects so the caller can fall back
+    const refused = createStreamingTranscriber({ sampleRate: 8000 });
+    const errors = [];
+    refused.on('error', err => errors.push(err.message));
+    refused.write(Buffer.alloc(640));
+    await assert.rejects(refused.finish(), /Unexpected server response: 401/);
+    assert.equal(errors.length, 1);
+    await assert.rejects(refused.finish(), /401/, 'stays failed');
+
+    // Closed before the user stopped: truncated text must not reach the brain
+    const dropped = createStreamingTranscriber({ sampleRate: 22050 });
+    dropped.on('error', () => {});
+    await wait(100);
+    await assert.rejects(dropped.finish(), /closed before the utterance ended/);
+
+    // Aborted mid-utterance: nothing more is sent, finish() settles at once
+    const aborted = createStreamingTranscriber();
+    await wait(50);
+    aborted.abort();
+    aborted.write(Buffer.alloc(640));
+    assert.equal(await aborted.finish(), '');
+    await wait(50);
+    assert.equal(sessions.at(-1).bytes, 0);
+  } finally {
+    for (const client of server.clients) client.terminate();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+// ── 48. Alert history questions ────────────────────────────────────
+
+await test('Only questions about delivered alerts are answered from history', async () => {
+  const { detectAlertHistoryQuery } = await import('../src/alert-queue.js');
+  const now = new Date(2026, 2, 10, 15, 30);
+  const label = (text) => detectAlertHistoryQuery(text, now)?.label ?? null;
+
+  assert.equal(label('What alerts did I get this morning?'), 'This morning');
+  assert.equal(label('Were there any alerts?'), 'Today');
+  assert.equal(label('any alerts yesterday'), 'Yesterday');
+  assert.equal(label('Which alerts came in in the last hour?'), 'In the last hour');
+  assert.equal(label('did I miss any alerts last night'), 'Last night');
+  assert.deepEqual(detectAlertHistoryQuery('alerts today', now), { since: new Date(2026, 2, 10).getTime(), until: now.getTime() + 1, label: 'Today' });
+
+  for (const text of [
+    'What do you think about the Prometheus alert rules?',
+    'List the steps to set up an alert',
+    'Any idea why PagerDuty alerts are so noisy?',
+    'Which alerting tool should I use?',
+    'what did I get done this morning',
+  ]) {
+    assert.equal(label(text), null, text);
+  }
+});
+
+// ── 49. In-memory audio: WAV to STT, playback sources, tmp sweep ────
+
+await test('Utterance PCM reaches STT as in-memory WAV bytes', async () => {
+  const received = [];
+  const mlx = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      received.push({ url: req.url, type: req.headers['content-type'], body: Buffer.concat(chunks) });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ text: ' hey travis, check the sole file ' }));
+    });
+  });
+  await new Promise(resolve => mlx.listen(0, '127.0.0.1', resolve));
+  process.env.MLX_WHISPER_URL = `http://127.0.0.1:${mlx.address().port}`;
+  try {
+    const { transcribeAudio } = await import('../src/stt.js?in-memory'); // MLX_WHISPER_URL is read at import
+    const pcm = Buffer.alloc(16000 * 2 / 2); // 0.5s of 16kHz mono
+    for (let i = 0; i < pcm.length; i += 2) pcm.writeInt16LE(Math.round(8000 * Math.sin(i / 10)), i);
+    const wav = pcmToWav(pcm);
+    assert.equal(getWavDurationMs(wav), 500);
+    assert.ok(wav.subarray(44).equals(pcm));
+
+    assert.equal(await transcribeAudio(wav), 'hey Mandy, check the SOUL file');
+    assert.deepEqual([received[0].url, received[0].type], ['/transcribe', 'audio/wav']);
+    assert.ok(received[0].body.equals(wav), 'the WAV bytes themselves, no file in between');
+
+    // A file path still works for anything that has one
+    const path = join(scratchDir, 'utterance.wav');
+    writeFileSync(path, wav);
+    await transcribeAudio(path);
+    assert.ok(received[1].body.equals(wav));
+  } finally {
+    delete process.env.MLX_WHISPER_URL;
+    await new Promise(resolve => mlx.close(resolve));
+  }
+});
+
+await test('Playback takes audio as a Buffer, a stream or a file path', async () => {
+  // Fake ffmpeg keeps what it was fed, one file per clip
+  const captures = join(scratchDir, 'ffmpeg-input');
+  mkdirSync(captures);
+  const ffmpeg = join(scratchDir, 'ffmpeg');
+  writeFileSync(ffmpeg, `#!/bin/sh\nif [ "$1" = -h ]; then echo "ffmpeg version test Copyright"; exit 0; fi\ncat > "${captures}/$$"\n`);
+  chmodSync(ffmpeg, 0o755);
+  const wav = pcmToWav(Buffer.alloc(16000 * 2 * 2)); // 2s
+  const path = join(scratchDir, 'clip.wav');
+  writeFileSync(path, wav);
+
+  const realPath = process.env.PATH;
+  const realSetTimeout = globalThis.setTimeout;
+  const watchdogs = [];
+  process.env.PATH = `${scratchDir}:${realPath}`;
+  globalThis.setTimeout = (fn, ms) => { watchdogs.push(ms); return realSetTimeout(() => {}, 0); };
+  try {
+    const player = new FakePlayer();
+    const playback = new PlaybackController(player);
+    for (const [source, watchdogMs] of [[wav, 2000 + 5000], [Readable.from([wav]), 5 * 60 * 1000], [path, 2000 + 5000]]) {
+      watchdogs.length = 0;
+      const clip = playback.play(source, { id: 'clip' });
+      assert.deepEqual(watchdogs, [watchdogMs], 'buffers and files are timed from their header, streams get the long watchdog');
+      player.begin();
+      player.end();
+      assert.equal((await clip).status, 'finished');
+    }
+  } finally {
+    globalThis.setTimeout = realSetTimeout;
+    process.env.PATH = realPath;
+  }
+
+  const fed = () => readdirSync(captures).map(name => readFileSync(join(captures, name)));
+  for (let i = 0; i < 50 && fed().filter(bytes => bytes.length === wav.length).length < 3; i++) await wait(20);
+  const inputs = fed();
+  assert.equal(inputs.length, 3);
+  for (const bytes of inputs) assert.ok(bytes.equals(wav), 'each source reaches the decoder byte for byte');
+});
+
+await test('Startup sweep removes orphaned audio files and keeps recent ones', async () => {
+  const dir = join(scratchDir, 'tmp');
+  mkdirSync(dir);
+  const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
+  for (const name of ['speech_1700000000000.wav', 'tts_1700000000000.mp3', 'speech_recent.wav', 'tts_notes.txt', 'keep.wav']) {
+    writeFileSync(join(dir, name), 'x');
+    if (name !== 'speech_recent.wav') utimesSync(join(dir, name), hourAgo, hourAgo);
+  }
+
+  assert.equal(sweepTmpDir(dir), 2);
+  assert.deepEqual(readdirSync(dir).sort(), ['keep.wav', 'speech_recent.wav', 'tts_notes.txt'], 'recent and unrelated files stay');
+  assert.equal(sweepTmpDir(dir, { minAgeMs: 0 }), 1);
+  assert.deepEqual(readdirSync(dir).sort(), ['keep.wav', 'tts_notes.txt']);
+  assert.equal(sweepTmpDir(join(scratchDir, 'no-such-dir')), 0);
+});
+
 // ── Summary ──────────────────────────────────────────────────────────
 
 console.log(`\n${'─'.repeat(50)}`);
@@ -464,4 +2120,6 @@ if (failures.length > 0) {
 }
 
 console.log('');
+gateway.close();
+rmSync(scratchDir, { recursive: true, force: true });
 process.exit(failed > 0 ? 1 : 0);